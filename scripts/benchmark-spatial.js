@@ -0,0 +1,153 @@
+/**
+ * @module benchmark-spatial
+ * @description Measures how neighbor queries and simulation steps scale with population size
+ *
+ * Usage:
+ *   node scripts/benchmark-spatial.js --sizes 250,500,1000,2000,4000
+ *
+ * Compares a linear nearest-neighbor scan with the spatial grid at constant
+ * density, then times full simulation steps at the same population sizes.
+ */
+
+import { parseArgs } from 'node:util';
+import { performance } from 'node:perf_hooks';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+const { values: args } = parseArgs({
+  options: {
+    sizes: { type: 'string', default: '250,500,1000,2000,4000' },
+    radius: { type: 'string', default: '100' },
+    steps: { type: 'string', default: '60' },
+    'max-step-size': { type: 'string', default: '1000' },
+    help: { type: 'boolean', short: 'h' }
+  }
+});
+
+if (args.help) {
+  console.log(`Usage: node scripts/benchmark-spatial.js [options]
+
+  --sizes <list>          Comma-separated entity counts (default 250,500,1000,2000,4000)
+  --radius <n>            Query radius in pixels (default 100)
+  --steps <n>             Simulation steps timed per size (default 60)
+  --max-step-size <n>     Largest population used for the simulation step timing (default 1000)`);
+  process.exit(0);
+}
+
+// Pixels of world area per entity, so every size runs at the same density
+const AREA_PER_ENTITY = 4000;
+
+// Timed runs per query benchmark
+const REPETITIONS = 5;
+
+const sizes = args.sizes.split(',').map(Number);
+const radius = Number(args.radius);
+const steps = Number(args.steps);
+const maxStepSize = Number(args['max-step-size']);
+
+/**
+ * Finds the nearest point by checking every point
+ * @param {Array} points - Points {id, x, y}
+ * @param {Object} position - Query center {x, y}
+ * @param {number} range - Maximum distance
+ * @returns {string|null} ID of the nearest point in range
+ */
+function linearNearest(points, position, range) {
+  let nearest = null;
+  let nearestDistanceSquared = range * range;
+  for (const point of points) {
+    const dx = point.x - position.x;
+    const dy = point.y - position.y;
+    const distanceSquared = dx * dx + dy * dy;
+    if (distanceSquared < nearestDistanceSquared && point !== position) {
+      nearestDistanceSquared = distanceSquared;
+      nearest = point.id;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Runs a function and returns its duration
+ * @param {Function} fn - Function to time
+ * @returns {number} Elapsed milliseconds
+ */
+function time(fn) {
+  const start = performance.now();
+  fn();
+  return performance.now() - start;
+}
+
+/**
+ * Runs a function several times and returns its fastest duration, which filters out GC pauses
+ * @param {Function} fn - Function to time
+ * @returns {number} Fastest elapsed milliseconds
+ */
+function bestTime(fn) {
+  let best = Infinity;
+  for (let i = 0; i < REPETITIONS; i++) {
+    best = Math.min(best, time(fn));
+  }
+  return best;
+}
+
+// Module logging would drown the table
+console.log = () => {};
+
+const server = await createServer({
+  root: fileURLToPath(new URL('..', import.meta.url)),
+  configFile: false,
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false }
+});
+
+try {
+  const grid = await server.ssrLoadModule('/src/utils/spatial-grid.js');
+  const headless = await server.ssrLoadModule('/src/headless.js');
+  const { CONSTANTS } = await server.ssrLoadModule('/src/utils/core.js');
+  
+  console.error(`Nearest-neighbor query per entity, radius ${radius}px, constant density`);
+  console.error('entities   linear ms   grid ms (build + query)   speedup');
+  
+  sizes.forEach(size => {
+    const side = Math.sqrt(size * AREA_PER_ENTITY);
+    const points = Array.from({ length: size }, (_, i) => ({
+      id: `p${i}`,
+      x: Math.random() * side,
+      y: Math.random() * side
+    }));
+    
+    const runLinear = () => {
+      points.forEach(point => linearNearest(points, point, radius));
+    };
+    const runGrid = () => {
+      const index = grid.createSpatialGrid(CONSTANTS.SIMULATION.SPATIAL_CELL_SIZE);
+      points.forEach(point => grid.insertIntoGrid(index, point.id, point));
+      points.forEach(point => grid.findNearestInGrid(index, point, radius, id => id !== point.id));
+    };
+    
+    const linearMs = bestTime(runLinear);
+    const gridMs = bestTime(runGrid);
+    
+    console.error(
+      `${String(size).padStart(8)}   ${linearMs.toFixed(1).padStart(9)}   ${gridMs.toFixed(1).padStart(23)}   ${(linearMs / gridMs).toFixed(1).padStart(6)}x`
+    );
+  });
+  
+  console.error(`\nFull simulation step, ${steps} steps per size`);
+  console.error('population   ms per step');
+  
+  sizes.filter(size => size <= maxStepSize).forEach(size => {
+    const side = Math.round(Math.sqrt(size * AREA_PER_ENTITY * 4));
+    headless.initializeHeadless({ seed: 1, populationSize: size, width: side, height: side });
+    
+    const elapsed = time(() => headless.stepSimulation(steps));
+    console.error(`${String(size).padStart(10)}   ${(elapsed / steps).toFixed(2).padStart(11)}`);
+  });
+} catch (error) {
+  console.error('Benchmark failed:', error);
+  process.exitCode = 1;
+} finally {
+  await server.close();
+}
@@ -0,0 +1,155 @@
+/**
+ * @module run-batch
+ * @description Command-line runner for parameter sweeps over headless simulations
+ *
+ * Usage:
+ *   node scripts/run-batch.js --mutation-rates 0.02,0.05,0.1 --populations 20,40 \
+ *     --replicates 5 --seconds 300 --format csv --output sweep.csv
+ *
+ * Every combination of the listed values is run once per replicate seed.
+ */
+
+import { writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+const { values: args } = parseArgs({
+  options: {
+    'mutation-rates': { type: 'string' },
+    pressures: { type: 'string' },
+    'regeneration-rates': { type: 'string' },
+    populations: { type: 'string' },
+    'crowding-penalties': { type: 'string' },
+    reproduction: { type: 'string' },
+    crossover: { type: 'string' },
+    selection: { type: 'string' },
+    behavior: { type: 'string' },
+    distribution: { type: 'string' },
+    biomes: { type: 'string' },
+    replicates: { type: 'string', default: '3' },
+    'base-seed': { type: 'string', default: '1' },
+    seconds: { type: 'string', default: '120' },
+    format: { type: 'string', default: 'csv' },
+    output: { type: 'string', short: 'o' },
+    help: { type: 'boolean', short: 'h' }
+  }
+});
+
+if (args.help) {
+  console.log(`Usage: node scripts/run-batch.js [options]
+
+Grid axes (comma-separated values; omitted axes use the defaults):
+  --mutation-rates <list>       Global mutation rates
+  --pressures <list>            Environmental pressures (0-1)
+  --regeneration-rates <list>   Resource regeneration rates
+  --populations <list>          Initial population sizes
+  --crowding-penalties <list>   Extra metabolic cost per nearby organism (0 disables crowding)
+  --reproduction <list>         Reproduction modes (asexual, sexual)
+  --crossover <list>            Crossover strategies (uniform, single-point, blend)
+  --selection <list>            Selection strategies (natural, fitness-proportional, tournament,
+                                truncation, carrying-capacity)
+  --behavior <list>             Behavior modes (scripted, neural)
+  --distribution <list>         Resource distributions (uniform, patches, movingPatches, gradient, noise)
+  --biomes <list>               Biome layouts (single, bands, patchwork)
+
+Run settings:
+  --replicates <n>      Seeds per grid cell (default 3)
+  --base-seed <n>       Seed of the first replicate (default 1)
+  --seconds <n>         Simulated seconds per run (default 120)
+  --format <csv|json>   Output table format (default csv)
+  -o, --output <file>   Write the table here instead of stdout`);
+  process.exit(0);
+}
+
+/**
+ * Parses a comma-separated list of numbers
+ * @param {string} value - Raw argument value
+ * @returns {Array<number>} Parsed numbers
+ */
+function toNumberList(value) {
+  return value.split(',').map(item => {
+    const parsed = Number(item.trim());
+    if (Number.isNaN(parsed)) {
+      throw new Error(`Expected a number, got "${item}"`);
+    }
+    return parsed;
+  });
+}
+
+// Grid axis flags mapped to headless run parameters
+const axes = {
+  'mutation-rates': 'mutationRate',
+  pressures: 'environmentalPressure',
+  'regeneration-rates': 'resourceRegenerationRate',
+  populations: 'populationSize',
+  'crowding-penalties': 'crowdingPenalty'
+};
+
+const grid = {};
+Object.entries(axes).forEach(([flag, parameter]) => {
+  if (args[flag] !== undefined) {
+    grid[parameter] = toNumberList(args[flag]);
+  }
+});
+
+// Non-numeric axes
+if (args.reproduction !== undefined) {
+  grid.reproductionMode = args.reproduction.split(',').map(item => item.trim());
+}
+if (args.crossover !== undefined) {
+  grid.crossoverStrategy = args.crossover.split(',').map(item => item.trim());
+}
+if (args.selection !== undefined) {
+  grid.selectionStrategy = args.selection.split(',').map(item => item.trim());
+}
+if (args.behavior !== undefined) {
+  grid.behaviorMode = args.behavior.split(',').map(item => item.trim());
+}
+if (args.distribution !== undefined) {
+  grid.resourceDistribution = args.distribution.split(',').map(item => item.trim());
+}
+if (args.biomes !== undefined) {
+  grid.biomeLayout = args.biomes.split(',').map(item => item.trim());
+}
+
+// Module logging is per run and too noisy for a sweep
+const log = console.error;
+console.log = () => {};
+
+const server = await createServer({
+  root: fileURLToPath(new URL('..', import.meta.url)),
+  configFile: false,
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false }
+});
+
+try {
+  const headless = await server.ssrLoadModule('/src/headless.js');
+  
+  const results = headless.runBatch(grid, {
+    seconds: Number(args.seconds),
+    replicates: Number(args.replicates),
+    baseSeed: Number(args['base-seed']),
+    onProgress: (completed, total, result) => {
+      const outcome = result.extinctionTime === null
+        ? `population ${result.finalPopulation}`
+        : `extinct at ${result.extinctionTime.toFixed(1)}s`;
+      log(`[${completed}/${total}] seed ${result.seed}: ${outcome}`);
+    }
+  });
+  
+  const table = headless.exportBatchResults(results, args.format);
+  if (args.output) {
+    writeFileSync(args.output, table);
+    log(`Wrote ${results.length} runs to ${args.output}`);
+  } else {
+    process.stdout.write(table + '\n');
+  }
+} catch (error) {
+  log('Batch run failed:', error);
+  process.exitCode = 1;
+} finally {
+  await server.close();
+}
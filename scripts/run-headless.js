@@ -0,0 +1,140 @@
+/**
+ * @module run-headless
+ * @description Command-line runner for the simulation without a browser
+ *
+ * Usage:
+ *   node scripts/run-headless.js --seconds 600 --seed 42 --output run.json
+ *
+ * Loads the headless coordinator through Vite so the source modules resolve
+ * exactly as they do in the browser build.
+ */
+
+import { writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+const { values: args } = parseArgs({
+  options: {
+    seconds: { type: 'string', default: '60' },
+    seed: { type: 'string' },
+    population: { type: 'string' },
+    'mutation-rate': { type: 'string' },
+    pressure: { type: 'string' },
+    reproduction: { type: 'string' },
+    crossover: { type: 'string' },
+    selection: { type: 'string' },
+    fitness: { type: 'string' },
+    behavior: { type: 'string' },
+    crowding: { type: 'string' },
+    'resource-types': { type: 'string' },
+    distribution: { type: 'string' },
+    'distribution-params': { type: 'string' },
+    biomes: { type: 'string' },
+    'biome-types': { type: 'string' },
+    width: { type: 'string' },
+    height: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    help: { type: 'boolean', short: 'h' }
+  }
+});
+
+if (args.help) {
+  console.log(`Usage: node scripts/run-headless.js [options]
+
+  --seconds <n>         Simulated seconds to run (default 60)
+  --seed <n>            Random seed
+  --population <n>      Initial population size
+  --mutation-rate <n>   Global mutation rate
+  --pressure <n>        Environmental pressure (0-1)
+  --reproduction <mode> asexual or sexual
+  --crossover <name>    uniform, single-point or blend (sexual mode)
+  --selection <name>    natural (default), fitness-proportional, tournament,
+                        truncation or carrying-capacity
+  --fitness <json>      Fitness components, e.g.
+                        '[{"type":"trait","trait":"bodySize","target":1,"weight":1}]'
+  --behavior <mode>     scripted or neural (evolved network controllers)
+  --crowding <n>        Extra metabolic cost per nearby organism (default 0, off)
+  --resource-types <json>
+                        Resource type overrides, e.g. '{"poison":{"spawnWeight":0}}'
+  --distribution <name> Where resources spawn: uniform (default), patches,
+                        movingPatches, gradient or noise
+  --distribution-params <json>
+                        Distribution parameter overrides, e.g. '{"count":6,"spread":30}'
+  --biomes <layout>     Biome layout: single, bands (default) or patchwork
+  --biome-types <json>  Biome overrides, e.g. '{"shallows":{"drag":1}}'
+  --width <n>           Environment width
+  --height <n>          Environment height
+  -o, --output <file>   Write the exported JSON here instead of stdout`);
+  process.exit(0);
+}
+
+/**
+ * Parses an optional numeric argument
+ * @param {string|undefined} value - Raw argument value
+ * @returns {number|undefined} The parsed number, or undefined when not given
+ */
+function toNumber(value) {
+  if (value === undefined) return undefined;
+  const parsed = Number(value);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Expected a number, got "${value}"`);
+  }
+  return parsed;
+}
+
+// Keep stdout clean for the exported JSON; module logging goes to stderr
+console.log = console.error;
+
+const server = await createServer({
+  root: fileURLToPath(new URL('..', import.meta.url)),
+  configFile: false,
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false }
+});
+
+try {
+  const headless = await server.ssrLoadModule('/src/headless.js');
+  
+  const initialized = headless.initializeHeadless({
+    seed: toNumber(args.seed),
+    populationSize: toNumber(args.population),
+    mutationRate: toNumber(args['mutation-rate']),
+    environmentalPressure: toNumber(args.pressure),
+    reproductionMode: args.reproduction,
+    crossoverStrategy: args.crossover,
+    selectionStrategy: args.selection,
+    fitnessComponents: args.fitness !== undefined ? JSON.parse(args.fitness) : undefined,
+    behaviorMode: args.behavior,
+    crowdingPenalty: toNumber(args.crowding),
+    resourceTypes: args['resource-types'] !== undefined ? JSON.parse(args['resource-types']) : undefined,
+    resourceDistribution: args.distribution,
+    distributionParameters: args['distribution-params'] !== undefined
+      ? JSON.parse(args['distribution-params'])
+      : undefined,
+    biomeLayout: args.biomes,
+    biomeTypes: args['biome-types'] !== undefined ? JSON.parse(args['biome-types']) : undefined,
+    width: toNumber(args.width),
+    height: toNumber(args.height)
+  });
+  
+  if (!initialized) {
+    throw new Error('Failed to initialize the headless simulation');
+  }
+  
+  headless.runFor(toNumber(args.seconds));
+  
+  const output = headless.exportRun();
+  if (args.output) {
+    writeFileSync(args.output, output);
+    console.error(`Wrote ${args.output} after ${headless.getSimulationTime().toFixed(1)}s simulated`);
+  } else {
+    process.stdout.write(output + '\n');
+  }
+} catch (error) {
+  console.error('Headless run failed:', error);
+  process.exitCode = 1;
+} finally {
+  await server.close();
+}
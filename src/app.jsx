@@ -9,15 +9,46 @@ import { CONSTANTS } from './utils/core';
 
 // Import domain managers
 import { initializeOrganismSystem } from './organism/organism-manager';
-import { initializeEvolutionSystem, setMutationRate } from './evolution/evolution-manager';
+import {
+  initializeEvolutionSystem,
+  setMutationRate,
+  getMutationRate,
+  setSelectionStrategy,
+  getSelectionStrategy,
+  setEnvironmentalPressure,
+  getEnvironmentalPressure,
+  breedOrganisms,
+  cullOrganisms,
+  setFitnessComponents,
+  getFitnessComponents,
+  getFitnessComponentsError,
+  SELECTION_STRATEGIES
+} from './evolution/evolution-manager';
 import { 
   initializeSimulation, 
   startSimulation, 
   stopSimulation, 
   resetSimulation,
-  setEnvironmentBoundaries
+  setEnvironmentBoundaries,
+  setRenderCallback,
+  saveSnapshot,
+  loadSnapshot,
+  subscribeToSimulation
 } from './simulation/simulation-manager';
-import { initializeUI, renderSimulation, setCanvasDimensions } from './ui/ui-manager';
+import {
+  initializeUI,
+  renderSimulation,
+  refreshCanvas,
+  setCanvasDimensions,
+  setSelectedOrganism,
+  getSelectedOrganism,
+  setOrganismColorMode,
+  clearBreederSelection,
+  ControlPanel,
+  StatisticsDisplay,
+  OrganismDetailPanel,
+  FitnessEditor
+} from './ui/ui-manager';
 import { initializeDataTracking, getStatistics } from './data/data-manager';
 
 function App() {
@@ -27,10 +58,29 @@ function App() {
     simulationSpeed: CONSTANTS.SIMULATION.DEFAULT_SPEED,
     populationSize: CONSTANTS.SIMULATION.DEFAULT_POPULATION_SIZE,
     mutationRate: CONSTANTS.EVOLUTION.DEFAULT_MUTATION_RATE,
+    selectionStrategy: CONSTANTS.EVOLUTION.DEFAULT_SELECTION_STRATEGY,
+    environmentalPressure: 0.5,
+    organismColorMode: 'color',
+    breederSelection: [],
     statistics: null,
-    selectedOrganism: null
+    selectedOrganism: null,
+    fitnessComponents: CONSTANTS.FITNESS.DEFAULT_COMPONENTS
   });
 
+  /**
+   * Keep the controls and statistics in step with the simulation, and the canvas
+   * sized to the window, for as long as the application is mounted
+   */
+  useEffect(() => {
+    const unsubscribe = subscribeToSimulation(handleSimulationStatus);
+    window.addEventListener('resize', handleWindowResize);
+    
+    return () => {
+      unsubscribe();
+      window.removeEventListener('resize', handleWindowResize);
+    };
+  }, []);
+
   /**
    * Initialize all systems when the application starts
    */
@@ -63,20 +113,18 @@ function App() {
       // Set environment boundaries to match canvas
       setEnvironmentBoundaries(canvasWidth, canvasHeight);
       
-      // Initialize UI after other systems
+      // Initialize UI after other systems; the controls are rendered below
       initializeUI({
-        onStart: handleStartSimulation,
-        onStop: handleStopSimulation,
-        onReset: handleResetSimulation,
-        onSpeedChange: handleSpeedChange,
-        onPopulationSizeChange: handlePopulationSizeChange,
-        onMutationRateChange: handleMutationRateChange,
-        onOrganismSelect: handleOrganismSelect
+        onOrganismSelect: handleOrganismSelect,
+        onBreederSelectionChange: handleBreederSelectionChange
       });
       
       // Set canvas dimensions
       setCanvasDimensions(canvasWidth, canvasHeight);
       
+      // Draw each simulation frame through the UI domain
+      setRenderCallback(refreshCanvas);
+      
       // Initialize simulation last, as it depends on the other systems
       initializeSimulation();
 
@@ -87,14 +135,6 @@ function App() {
       }));
 
       console.log('Evolution Morphology Simulator initialized successfully');
-      
-      // Handle window resize
-      window.addEventListener('resize', handleWindowResize);
-      
-      // Clean up event listener on unmount
-      return () => {
-        window.removeEventListener('resize', handleWindowResize);
-      };
     } catch (error) {
       console.error('Failed to initialize application:', error);
     }
@@ -119,44 +159,87 @@ function App() {
   };
 
   /**
-   * Starts the simulation
+   * Refreshes the statistics and detail panel whenever the simulation reports its status
+   * @param {Object} status - Status from the simulation domain {isRunning, simulationSpeed, simulationTime}
+   */
+  const handleSimulationStatus = (status) => {
+    setSimulationState(prevState => ({
+      ...prevState,
+      isRunning: status.isRunning,
+      statistics: getStatistics(),
+      selectedOrganism: prevState.selectedOrganism && getSelectedOrganism()
+    }));
+  };
+
+  /**
+   * Starts the simulation; the status subscription marks it as running
    */
   const handleStartSimulation = () => {
     if (!simulationState.isRunning) {
       startSimulation(simulationState.simulationSpeed);
-      setSimulationState(prevState => ({
-        ...prevState,
-        isRunning: true
-      }));
     }
   };
 
   /**
-   * Stops the simulation
+   * Stops the simulation; the status subscription marks it as stopped
    */
   const handleStopSimulation = () => {
     if (simulationState.isRunning) {
       stopSimulation();
-      setSimulationState(prevState => ({
-        ...prevState,
-        isRunning: false
-      }));
     }
   };
 
   /**
-   * Resets the simulation to initial state
+   * Resets the simulation to initial state with the chosen population size
    */
   const handleResetSimulation = () => {
-    handleStopSimulation();
-    resetSimulation();
+    setSelectedOrganism(null);
+    clearBreederSelection();
+    resetSimulation({ populationSize: simulationState.populationSize });
+    refreshCanvas();
     setSimulationState(prevState => ({
       ...prevState,
-      statistics: getStatistics(),
       selectedOrganism: null
     }));
   };
 
+  /**
+   * Saves the complete simulation state to local storage
+   */
+  const handleSaveSnapshot = () => {
+    try {
+      localStorage.setItem(CONSTANTS.STORAGE.SNAPSHOT_KEY, saveSnapshot());
+      console.log('Simulation snapshot saved');
+    } catch (error) {
+      console.error('Failed to save snapshot:', error);
+    }
+  };
+
+  /**
+   * Restores the simulation state saved in local storage; the simulation stays paused
+   */
+  const handleLoadSnapshot = () => {
+    const snapshot = localStorage.getItem(CONSTANTS.STORAGE.SNAPSHOT_KEY);
+    if (!snapshot) {
+      console.warn('No saved snapshot found');
+      return;
+    }
+    
+    setSelectedOrganism(null);
+    clearBreederSelection();
+    if (loadSnapshot(snapshot)) {
+      refreshCanvas();
+      setSimulationState(prevState => ({
+        ...prevState,
+        mutationRate: getMutationRate(),
+        selectionStrategy: getSelectionStrategy(),
+        environmentalPressure: getEnvironmentalPressure(),
+        selectedOrganism: null,
+        fitnessComponents: getFitnessComponents()
+      }));
+    }
+  };
+
   /**
    * Updates the simulation speed
    * @param {number} speed - The new simulation speed
@@ -208,11 +291,108 @@ function App() {
     setMutationRate(clampedRate);
   };
 
+  /**
+   * Switches the selection strategy; takes effect from the next selection round
+   * @param {string} strategy - The new selection strategy
+   */
+  const handleSelectionStrategyChange = (strategy) => {
+    setSelectionStrategy(strategy);
+    if (strategy !== 'breeder') {
+      clearBreederSelection();
+    }
+    
+    setSimulationState(prevState => ({
+      ...prevState,
+      selectionStrategy: getSelectionStrategy()
+    }));
+  };
+
+  /**
+   * Updates the environmental pressure used by the selection strategy
+   * @param {number} pressure - The new pressure (0-1)
+   */
+  const handlePressureChange = (pressure) => {
+    setEnvironmentalPressure(pressure);
+    setSimulationState(prevState => ({
+      ...prevState,
+      environmentalPressure: getEnvironmentalPressure()
+    }));
+  };
+
+  /**
+   * Switches what determines organism body color on the canvas
+   * @param {string} mode - 'color' or 'species'
+   */
+  const handleColorModeChange = (mode) => {
+    setOrganismColorMode(mode);
+    setSimulationState(prevState => ({
+      ...prevState,
+      organismColorMode: mode
+    }));
+  };
+
+  /**
+   * Tracks the organisms chosen on the canvas in breeder mode
+   * @param {Array<string>} organismIds - IDs of the chosen organisms
+   */
+  const handleBreederSelectionChange = (organismIds) => {
+    setSimulationState(prevState => ({
+      ...prevState,
+      breederSelection: organismIds
+    }));
+  };
+
+  /**
+   * Breeds the organisms chosen by hand in breeder mode
+   */
+  const handleBreed = () => {
+    breedOrganisms(simulationState.breederSelection);
+    clearBreederSelection();
+    refreshCanvas();
+    setSimulationState(prevState => ({
+      ...prevState,
+      statistics: getStatistics(),
+      selectedOrganism: prevState.selectedOrganism && getSelectedOrganism()
+    }));
+  };
+
+  /**
+   * Removes the organisms chosen by hand in breeder mode
+   */
+  const handleCull = () => {
+    cullOrganisms(simulationState.breederSelection);
+    clearBreederSelection();
+    refreshCanvas();
+    setSimulationState(prevState => ({
+      ...prevState,
+      statistics: getStatistics(),
+      selectedOrganism: prevState.selectedOrganism && getSelectedOrganism()
+    }));
+  };
+
+  /**
+   * Replaces the fitness function; takes effect from the next selection round
+   * @param {Array} components - The edited fitness components
+   * @returns {string|null} Why the components were rejected, or null if applied
+   */
+  const handleFitnessComponentsApply = (components) => {
+    const error = getFitnessComponentsError(components);
+    if (error) return error;
+    
+    setFitnessComponents(components);
+    setSimulationState(prevState => ({
+      ...prevState,
+      fitnessComponents: getFitnessComponents()
+    }));
+    return null;
+  };
+
   /**
    * Handles organism selection for details view
    * @param {Object} organism - The selected organism
    */
   const handleOrganismSelect = (organism) => {
+    setSelectedOrganism(organism ? organism.id : null);
     setSimulationState(prevState => ({
       ...prevState,
       selectedOrganism: organism
@@ -223,28 +403,13 @@ function App() {
    * Closes the organism detail panel
    */
   const handleCloseOrganismDetails = () => {
+    setSelectedOrganism(null);
     setSimulationState(prevState => ({
       ...prevState,
       selectedOrganism: null
     }));
   };
 
-  /**
-   * Updates simulation statistics periodically
-   */
-  useEffect(() => {
-    if (simulationState.isRunning) {
-      const statisticsInterval = setInterval(() => {
-        setSimulationState(prevState => ({
-          ...prevState,
-          statistics: getStatistics()
-        }));
-      }, 1000); // Update statistics every second
-
-      return () => clearInterval(statisticsInterval);
-    }
-  }, [simulationState.isRunning]);
-
   return (
     <div className="evolution-simulator">
       <header className="app-header">
@@ -257,12 +422,50 @@ function App() {
           <div id="simulation-container">
             {/* Canvas will be rendered here by the UI manager */}
           </div>
+          
+          <OrganismDetailPanel
+            organism={simulationState.selectedOrganism}
+            onClose={handleCloseOrganismDetails}
+          />
+          
+          <div id="phylogeny-container">
+            {/* Phylogenetic tree will be rendered here by the UI manager */}
+          </div>
         </div>
         
         <div className="simulation-controls">
-          <div id="control-panel">
-            {/* Controls will be rendered here by the UI manager */}
-          </div>
+          <ControlPanel
+            onStart={handleStartSimulation}
+            onStop={handleStopSimulation}
+            onReset={handleResetSimulation}
+            onSaveSnapshot={handleSaveSnapshot}
+            onLoadSnapshot={handleLoadSnapshot}
+            onSpeedChange={handleSpeedChange}
+            onPopulationSizeChange={handlePopulationSizeChange}
+            onMutationRateChange={handleMutationRateChange}
+            onSelectionStrategyChange={handleSelectionStrategyChange}
+            onPressureChange={handlePressureChange}
+            onColorModeChange={handleColorModeChange}
+            onBreed={handleBreed}
+            onCull={handleCull}
+            onClearBreederSelection={clearBreederSelection}
+            isRunning={simulationState.isRunning}
+            simulationSpeed={simulationState.simulationSpeed}
+            populationSize={simulationState.populationSize}
+            mutationRate={simulationState.mutationRate}
+            selectionStrategies={SELECTION_STRATEGIES}
+            selectionStrategy={simulationState.selectionStrategy}
+            environmentalPressure={simulationState.environmentalPressure}
+            organismColorMode={simulationState.organismColorMode}
+            breederSelectionCount={simulationState.breederSelection.length}
+          />
+          
+          <StatisticsDisplay statistics={simulationState.statistics} />
+          
+          <FitnessEditor
+            components={simulationState.fitnessComponents}
+            onApply={handleFitnessComponentsApply}
+          />
         </div>
       </div>
     </div>
@@ -5,8 +5,11 @@
  * @responsibility Manages data collection, statistics and performance monitoring
  */
 
-import { getAllOrganisms } from '../organism/organism-manager';
-import { getGenerationCount } from '../evolution/evolution-manager';
+import { CONSTANTS, deepClone } from '../utils/core';
+import { getRandomSeed } from '../utils/math-utils';
+import { getBiomeAt } from '../utils/biome-map';
+import { getAllOrganisms, getPredationCount, getResourceConsumption } from '../organism/organism-manager';
+import { getBirthCount, getFitnessComponents } from '../evolution/evolution-manager';
 
 // Internal state
 let simulationStats = {
@@ -15,7 +18,10 @@ let simulationStats = {
   frameCount: 0,
   fps: 0,
   populationHistory: [],
-  traitHistory: []
+  traitHistory: [],
+  speciesHistory: [],
+  resources: null,
+  biomes: null
 };
 
 /**
@@ -31,7 +37,10 @@ export function initializeDataTracking() {
       frameCount: 0,
       fps: 0,
       populationHistory: [],
-      traitHistory: []
+      traitHistory: [],
+      speciesHistory: [],
+      resources: null,
+      biomes: null
     };
     
     console.log('Data tracking system initialized');
@@ -43,7 +52,7 @@ export function initializeDataTracking() {
 }
 
 /**
- * Updates the simulation statistics
+ * Updates the frame rate statistics; called once per rendered frame
  */
 export function updateStatistics() {
   // Calculate FPS
@@ -54,9 +63,6 @@ export function updateStatistics() {
     simulationStats.fps = Math.round((simulationStats.frameCount * 1000) / elapsed);
     simulationStats.frameCount = 0;
     simulationStats.lastUpdateTime = now;
-    
-    // Record population and trait statistics
-    recordPopulationStats();
   }
   
   simulationStats.frameCount++;
@@ -64,20 +70,33 @@ export function updateStatistics() {
 
 /**
  * Records current population statistics
+ * Called by the simulation once per simulated second, independent of frame rate
+ * @param {number} simulationTime - Simulated time in seconds at which the sample is taken
+ * @param {Object} environment - Current environment state, sampled for resource and biome statistics
  */
-function recordPopulationStats() {
+export function recordStatistics(simulationTime, environment = null) {
   const organisms = getAllOrganisms();
   
+  if (environment) {
+    simulationStats.resources = calculateResourceStats(environment);
+    simulationStats.biomes = calculateBiomeStats(organisms, environment);
+  }
+  
   if (organisms.length === 0) return;
   
   // Calculate averages
   const averageStats = calculateAverageStats(organisms);
   
   // Save to history (limited to last 100 entries)
+  const generationStats = calculateGenerationStats(organisms);
+  const trophicStats = calculateTrophicStats(organisms);
   simulationStats.populationHistory.push({
-    timestamp: Date.now(),
+    simulationTime,
     count: organisms.length,
-    generation: getGenerationCount()
+    herbivores: trophicStats.herbivores,
+    carnivores: trophicStats.carnivores,
+    generation: generationStats.max,
+    meanGeneration: generationStats.mean
   });
   
   if (simulationStats.populationHistory.length > 100) {
@@ -85,13 +104,23 @@ function recordPopulationStats() {
   }
   
   simulationStats.traitHistory.push({
-    timestamp: Date.now(),
-    averageStats
+    simulationTime,
+    averageStats,
+    biomes: simulationStats.biomes
   });
   
   if (simulationStats.traitHistory.length > 100) {
     simulationStats.traitHistory.shift();
   }
+  
+  simulationStats.speciesHistory.push({
+    simulationTime,
+    counts: countSpecies(organisms)
+  });
+  
+  if (simulationStats.speciesHistory.length > 100) {
+    simulationStats.speciesHistory.shift();
+  }
 }
 
 /**
@@ -106,11 +135,15 @@ function calculateAverageStats(organisms) {
       bodyShape: 0,
       metabolism: 0,
       sensorRange: 0,
+      diet: 0,
+      toxinDetection: 0,
       speed: 0,
       turnRate: 0,
       energy: 0,
       age: 0,
-      appendageCount: 0
+      appendageCount: 0,
+      sensorCount: 0,
+      fieldOfView: 0
     };
   }
   
@@ -120,11 +153,15 @@ function calculateAverageStats(organisms) {
     bodyShape: 0,
     metabolism: 0,
     sensorRange: 0,
+    diet: 0,
+    toxinDetection: 0,
     speed: 0,
     turnRate: 0,
     energy: 0,
     age: 0,
-    appendageCount: 0
+    appendageCount: 0,
+    sensorCount: 0,
+    fieldOfView: 0
   };
   
   // Count organisms with different appendage types
@@ -140,7 +177,8 @@ function calculateAverageStats(organisms) {
       if (organism.genome.bodySize) sums.bodySize += organism.genome.bodySize.value || 0;
       if (organism.genome.bodyShape) sums.bodyShape += organism.genome.bodyShape.value || 0;
       if (organism.genome.metabolism) sums.metabolism += organism.genome.metabolism.value || 0;
-      if (organism.genome.sensorRange) sums.sensorRange += organism.genome.sensorRange.value || 0;
+      if (organism.genome.diet) sums.diet += organism.genome.diet.value || 0;
+      if (organism.genome.toxinDetection) sums.toxinDetection += organism.genome.toxinDetection.value || 0;
       if (organism.genome.speed) sums.speed += organism.genome.speed.value || 0;
       if (organism.genome.turnRate) sums.turnRate += organism.genome.turnRate.value || 0;
     }
@@ -150,7 +188,9 @@ function calculateAverageStats(organisms) {
       if (!organism.genome?.bodySize && organism.phenotype.bodySize) sums.bodySize += organism.phenotype.bodySize;
       if (!organism.genome?.bodyShape && organism.phenotype.bodyShape) sums.bodyShape += organism.phenotype.bodyShape;
       if (!organism.genome?.metabolism && organism.phenotype.metabolism) sums.metabolism += organism.phenotype.metabolism;
-      if (!organism.genome?.sensorRange && organism.phenotype.sensorRange) sums.sensorRange += organism.phenotype.sensorRange;
+      if (organism.phenotype.sensorRange) sums.sensorRange += organism.phenotype.sensorRange; // derived from the sensors
+      if (!organism.genome?.diet && organism.phenotype.diet) sums.diet += organism.phenotype.diet;
+      if (!organism.genome?.toxinDetection && organism.phenotype.toxinDetection) sums.toxinDetection += organism.phenotype.toxinDetection;
       if (!organism.genome?.speed && organism.phenotype.speed) sums.speed += organism.phenotype.speed;
       if (!organism.genome?.turnRate && organism.phenotype.turnRate) sums.turnRate += organism.phenotype.turnRate;
       
@@ -165,6 +205,14 @@ function calculateAverageStats(organisms) {
           }
         });
       }
+      
+      // Count sensors and the share of a full circle they watch on average
+      if (organism.phenotype.sensors) {
+        sums.sensorCount += organism.phenotype.sensors.length;
+        organism.phenotype.sensors.forEach(sensor => {
+          sums.fieldOfView += Math.min(1, sensor.fieldOfView);
+        });
+      }
     }
     
     // Sum state values
@@ -181,11 +229,15 @@ function calculateAverageStats(organisms) {
     bodyShape: sums.bodyShape / count,
     metabolism: sums.metabolism / count,
     sensorRange: sums.sensorRange / count,
+    diet: sums.diet / count,
+    toxinDetection: sums.toxinDetection / count,
     speed: sums.speed / count,
     turnRate: sums.turnRate / count,
     energy: sums.energy / count,
     age: sums.age / count,
     appendageCount: sums.appendageCount / count,
+    sensorCount: sums.sensorCount / count,
+    fieldOfView: sums.sensorCount > 0 ? sums.fieldOfView / sums.sensorCount : 0,
     appendageTypes: {
       fin: appendageTypes.fin / count,
       flagella: appendageTypes.flagella / count
@@ -195,21 +247,134 @@ function calculateAverageStats(organisms) {
   return averages;
 }
 
+/**
+ * Counts living organisms per species
+ * @param {Array} organisms - Array of organism objects
+ * @returns {Object} Species ID -> member count
+ */
+function countSpecies(organisms) {
+  const counts = {};
+  organisms.forEach(organism => {
+    if (organism.speciesId) {
+      counts[organism.speciesId] = (counts[organism.speciesId] || 0) + 1;
+    }
+  });
+  return counts;
+}
+
+/**
+ * Groups the population by the biome each organism is in
+ * Diverging trait averages and species between biomes indicate allopatric divergence.
+ * @param {Array} organisms - Array of organism objects
+ * @param {Object} environment - Current environment state
+ * @returns {Object} Per biome name: {population, speciesCount, averageStats}
+ */
+function calculateBiomeStats(organisms, environment) {
+  const groups = {};
+  organisms.forEach(organism => {
+    const { name } = getBiomeAt(environment, organism.state.position);
+    (groups[name] = groups[name] || []).push(organism);
+  });
+  
+  const biomes = {};
+  Object.entries(groups).forEach(([name, members]) => {
+    biomes[name] = {
+      population: members.length,
+      speciesCount: Object.keys(countSpecies(members)).length,
+      averageStats: calculateAverageStats(members)
+    };
+  });
+  
+  return biomes;
+}
+
+/**
+ * Summarizes the resource type registry, how many resources of each type are available
+ * and the distribution they spawn from
+ * @param {Object} environment - Current environment state
+ * @returns {Object} Resource statistics {types, available, distribution}
+ */
+function calculateResourceStats(environment) {
+  const types = environment.parameters.resourceTypes || {};
+  const available = {};
+  Object.keys(types).forEach(type => {
+    available[type] = 0;
+  });
+  environment.resources.forEach(resource => {
+    available[resource.type] = (available[resource.type] || 0) + 1;
+  });
+  
+  const { resourceDistribution } = environment.parameters;
+  const distribution = resourceDistribution ? resourceDistribution.type : 'uniform';
+  
+  return { types: deepClone(types), available, distribution };
+}
+
+/**
+ * Splits a population by trophic level
+ * @param {Array} organisms - Array of organism objects
+ * @returns {Object} Herbivore and carnivore counts
+ */
+function calculateTrophicStats(organisms) {
+  const carnivores = organisms.filter(organism =>
+    (organism.phenotype.diet || 0) >= CONSTANTS.PREDATION.CARNIVORE_THRESHOLD
+  ).length;
+  
+  return { herbivores: organisms.length - carnivores, carnivores };
+}
+
+/**
+ * Calculates the generational depth of a population
+ * @param {Array} organisms - Array of organism objects
+ * @returns {Object} Maximum and mean generation
+ */
+function calculateGenerationStats(organisms) {
+  if (!organisms || organisms.length === 0) {
+    return { max: 0, mean: 0 };
+  }
+  
+  let max = 0;
+  let sum = 0;
+  organisms.forEach(organism => {
+    const generation = organism.generation || 0;
+    max = Math.max(max, generation);
+    sum += generation;
+  });
+  
+  return { max, mean: sum / organisms.length };
+}
+
 /**
  * Gets the current statistics for the simulation
  * @returns {Object} Current statistics
  */
 export function getStatistics() {
   const organisms = getAllOrganisms();
+  const generationStats = calculateGenerationStats(organisms);
+  const trophicStats = calculateTrophicStats(organisms);
   
   return {
     fps: simulationStats.fps,
     populationSize: organisms.length,
-    currentGeneration: getGenerationCount(),
+    currentGeneration: generationStats.max,
+    meanGeneration: generationStats.mean,
+    totalBirths: getBirthCount(),
+    speciesCount: Object.keys(countSpecies(organisms)).length,
+    herbivoreCount: trophicStats.herbivores,
+    carnivoreCount: trophicStats.carnivores,
+    totalKills: getPredationCount(),
+    resources: {
+      types: simulationStats.resources ? simulationStats.resources.types : {},
+      available: simulationStats.resources ? { ...simulationStats.resources.available } : {},
+      consumed: getResourceConsumption(),
+      distribution: simulationStats.resources ? simulationStats.resources.distribution : 'uniform'
+    },
+    biomes: simulationStats.biomes ? deepClone(simulationStats.biomes) : {},
     runTime: Math.floor((Date.now() - simulationStats.startTime) / 1000),
     averageStats: calculateAverageStats(organisms),
     populationHistory: [...simulationStats.populationHistory],
-    traitHistory: [...simulationStats.traitHistory]
+    traitHistory: [...simulationStats.traitHistory],
+    speciesHistory: [...simulationStats.speciesHistory]
   };
 }
 
@@ -225,6 +390,39 @@ export function getPerformanceMetrics() {
   };
 }
 
+/**
+ * Captures the recorded history for a snapshot
+ * @returns {Object} Serializable data state
+ */
+export function getDataState() {
+  return {
+    runTime: (Date.now() - simulationStats.startTime) / 1000,
+    populationHistory: [...simulationStats.populationHistory],
+    traitHistory: [...simulationStats.traitHistory],
+    speciesHistory: [...simulationStats.speciesHistory]
+  };
+}
+
+/**
+ * Restores the recorded history from a snapshot
+ * @param {Object} state - State captured by getDataState
+ */
+export function restoreDataState(state) {
+  const now = Date.now();
+  
+  simulationStats = {
+    startTime: now - (state.runTime || 0) * 1000,
+    lastUpdateTime: now,
+    frameCount: 0,
+    fps: 0,
+    populationHistory: [...(state.populationHistory || [])],
+    traitHistory: [...(state.traitHistory || [])],
+    speciesHistory: [...(state.speciesHistory || [])],
+    resources: null,
+    biomes: null
+  };
+}
+
 /**
  * Exports the simulation data as JSON
  * @returns {string} JSON string of simulation data
@@ -232,9 +430,72 @@ export function getPerformanceMetrics() {
 export function exportSimulationData() {
   const data = {
     timestamp: Date.now(),
+    seed: getRandomSeed(),
+    fitnessComponents: getFitnessComponents(),
     statistics: getStatistics(),
     organisms: getAllOrganisms()
   };
   
   return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Formats a table of experiment results for export
+ * Nested objects are flattened into dotted column names (e.g. averageStats.speed)
+ * @param {Array} rows - Array of result objects
+ * @param {string} format - 'csv' or 'json'
+ * @returns {string} The formatted table
+ */
+export function exportResultsTable(rows, format = 'json') {
+  const flatRows = rows.map(row => flattenRecord(row));
+  
+  if (format === 'json') {
+    return JSON.stringify(flatRows, null, 2);
+  }
+  
+  if (format !== 'csv') {
+    throw new Error(`Unsupported results format: ${format}`);
+  }
+  
+  // Union of all columns, in first-seen order
+  const columns = [];
+  flatRows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+  });
+  
+  const formatCell = value => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  
+  const lines = [columns.join(',')];
+  flatRows.forEach(row => {
+    lines.push(columns.map(column => formatCell(row[column])).join(','));
+  });
+  
+  return lines.join('\n');
+}
+
+/**
+ * Flattens nested objects into a single level with dotted keys
+ * @param {Object} record - The object to flatten
+ * @param {string} prefix - Key prefix for nested values
+ * @returns {Object} The flattened object
+ */
+function flattenRecord(record, prefix = '') {
+  const flat = {};
+  
+  Object.entries(record).forEach(([key, value]) => {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenRecord(value, column));
+    } else {
+      flat[column] = value;
+    }
+  });
+  
+  return flat;
 }
\ No newline at end of file
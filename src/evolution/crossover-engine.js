@@ -0,0 +1,297 @@
+/**
+ * @module crossover-engine
+ * @description Recombines two parent genomes into an offspring genome
+ * @domain Evolution
+ * @private Should only be used by evolution-manager.js
+ */
+
+import { CONSTANTS, deepClone } from '../utils/core';
+import { randomFloat, lerp } from '../utils/math-utils';
+
+// Supported crossover strategies
+export const CROSSOVER_STRATEGIES = ['uniform', 'single-point', 'blend'];
+
+// Maximum appendages an offspring can inherit (matches the mutation cap)
+const MAX_APPENDAGES = 3;
+
+// Variable-length body part lists, recombined slot by slot rather than as scalar genes
+const PART_KEYS = ['appendages', 'sensors'];
+
+/**
+ * Produces an offspring genome from two parents
+ * Brains are recombined weight by weight when both parents have the same
+ * network shape; otherwise the offspring inherits one parent's brain whole.
+ * @param {Object} genomeA - The first parent's genome
+ * @param {Object} genomeB - The second parent's genome
+ * @param {string} strategy - One of CROSSOVER_STRATEGIES
+ * @returns {Object} The recombined genome (not yet mutated)
+ */
+export function crossoverGenomes(genomeA, genomeB, strategy = 'uniform') {
+  const offspring = {};
+  
+  // Scalar genes are every gene object with a value, in a stable order
+  const scalarKeys = Object.keys(genomeA).filter(key =>
+    !PART_KEYS.includes(key) && isGene(genomeA[key]) && isGene(genomeB[key])
+  );
+  const cutPoint = Math.floor(randomFloat() * (scalarKeys.length + 1));
+  
+  scalarKeys.forEach((key, index) => {
+    offspring[key] = crossoverGene(genomeA[key], genomeB[key], strategy, index < cutPoint);
+  });
+  
+  if (genomeA.brain && genomeB.brain) {
+    offspring.brain = crossoverBrains(genomeA.brain, genomeB.brain, strategy);
+  }
+  
+  // Genes only one parent carries are inherited as-is
+  Object.keys(genomeA).concat(Object.keys(genomeB)).forEach(key => {
+    if (!PART_KEYS.includes(key) && offspring[key] === undefined) {
+      offspring[key] = deepClone(genomeA[key] !== undefined ? genomeA[key] : genomeB[key]);
+    }
+  });
+  
+  offspring.appendages = crossoverParts(
+    alignAppendages(genomeA.appendages || [], genomeB.appendages || []),
+    'type',
+    strategy,
+    MAX_APPENDAGES
+  );
+  
+  offspring.sensors = crossoverParts(
+    alignSensors(genomeA.sensors || [], genomeB.sensors || []),
+    'stimulus',
+    strategy,
+    CONSTANTS.SENSORS.MAX_SENSORS
+  );
+  offspring.sensors.forEach(sensor => {
+    sensor.angle.value -= Math.floor(sensor.angle.value);
+  });
+  
+  return offspring;
+}
+
+/**
+ * Recombines a single gene
+ * @param {Object} geneA - Gene from the first parent
+ * @param {Object} geneB - Gene from the second parent
+ * @param {string} strategy - Crossover strategy
+ * @param {boolean} beforeCut - For single-point crossover, whether this gene lies before the cut
+ * @returns {Object} The offspring gene
+ */
+function crossoverGene(geneA, geneB, strategy, beforeCut) {
+  if (strategy === 'blend') {
+    // Each gene lands somewhere between the parents' values
+    const t = randomFloat();
+    return {
+      ...geneA,
+      value: lerp(geneA.value, geneB.value, t),
+      mutationRate: lerp(geneA.mutationRate, geneB.mutationRate, t)
+    };
+  }
+  
+  if (strategy === 'single-point') {
+    return deepClone(beforeCut ? geneA : geneB);
+  }
+  
+  // Uniform: each gene comes from either parent with equal chance
+  return deepClone(randomFloat() < 0.5 ? geneA : geneB);
+}
+
+/**
+ * Recombines two brains
+ * Neurons line up only when both networks have the same number of hidden
+ * neurons and inputs; then every weight is crossed like a gene value. Single-point
+ * crossover cuts between neurons, hidden layer first.
+ * @param {Object} brainA - Brain of the first parent
+ * @param {Object} brainB - Brain of the second parent
+ * @param {string} strategy - Crossover strategy
+ * @returns {Object} The offspring brain
+ */
+function crossoverBrains(brainA, brainB, strategy) {
+  const sameShape = brainA.hidden.length === brainB.hidden.length &&
+    brainA.outputs.length === brainB.outputs.length &&
+    brainA.hidden.concat(brainA.outputs).every((neuron, index) => (
+      neuron.inputWeights.length === brainB.hidden.concat(brainB.outputs)[index].inputWeights.length
+    ));
+  
+  if (!sameShape) {
+    return deepClone(randomFloat() < 0.5 ? brainA : brainB);
+  }
+  
+  const neuronCount = brainA.hidden.length + brainA.outputs.length;
+  const cutPoint = Math.floor(randomFloat() * (neuronCount + 1));
+  
+  const crossNeuron = (neuronA, neuronB, index) => {
+    const beforeCut = index < cutPoint;
+    const neuron = {};
+    Object.keys(neuronA).forEach(key => {
+      neuron[key] = Array.isArray(neuronA[key])
+        ? neuronA[key].map((weight, i) => crossoverWeight(weight, neuronB[key][i], strategy, beforeCut))
+        : crossoverWeight(neuronA[key], neuronB[key], strategy, beforeCut);
+    });
+    return neuron;
+  };
+  
+  return {
+    mutationRate: crossoverWeight(brainA.mutationRate, brainB.mutationRate, strategy, cutPoint > 0),
+    hidden: brainA.hidden.map((neuron, index) => crossNeuron(neuron, brainB.hidden[index], index)),
+    outputs: brainA.outputs.map((neuron, index) => (
+      crossNeuron(neuron, brainB.outputs[index], brainA.hidden.length + index)
+    ))
+  };
+}
+
+/**
+ * Recombines a single brain weight
+ * @param {number} weightA - Weight from the first parent
+ * @param {number} weightB - Weight from the second parent
+ * @param {string} strategy - Crossover strategy
+ * @param {boolean} beforeCut - For single-point crossover, whether the weight lies before the cut
+ * @returns {number} The offspring weight
+ */
+function crossoverWeight(weightA, weightB, strategy, beforeCut) {
+  if (strategy === 'blend') return lerp(weightA, weightB, randomFloat());
+  if (strategy === 'single-point') return beforeCut ? weightA : weightB;
+  return randomFloat() < 0.5 ? weightA : weightB;
+}
+
+/**
+ * Recombines aligned slots of a variable-length body part list
+ * Homologous parts are crossed with each other; unmatched parts are inherited
+ * whole or lost.
+ * @param {Array} slots - Slots of { a, b } from alignAppendages or alignSensors
+ * @param {string} kindKey - Property naming the part's kind ('type' or 'stimulus')
+ * @param {string} strategy - Crossover strategy
+ * @param {number} maxCount - Maximum parts the offspring can inherit
+ * @returns {Array} The offspring's parts
+ */
+function crossoverParts(slots, kindKey, strategy, maxCount) {
+  const cutPoint = Math.floor(randomFloat() * (slots.length + 1));
+  const offspring = [];
+  
+  slots.forEach(({ a, b }, index) => {
+    let part = null;
+    
+    if (a && b) {
+      // Homologous pair: recombine every property
+      part = {
+        [kindKey]: strategy === 'single-point'
+          ? (index < cutPoint ? a[kindKey] : b[kindKey])
+          : (randomFloat() < 0.5 ? a[kindKey] : b[kindKey])
+      };
+      Object.keys(a).forEach(key => {
+        if (key !== kindKey && isGene(a[key]) && isGene(b[key])) {
+          part[key] = crossoverGene(a[key], b[key], strategy, index < cutPoint);
+        }
+      });
+    } else if (strategy === 'single-point') {
+      // Unmatched part survives only on its parent's side of the cut
+      const source = index < cutPoint ? a : b;
+      part = source ? deepClone(source) : null;
+    } else if (randomFloat() < 0.5) {
+      part = deepClone(a || b);
+    }
+    
+    if (part && offspring.length < maxCount) {
+      offspring.push(part);
+    }
+  });
+  
+  return offspring;
+}
+
+/**
+ * Pairs up sensors from two genomes that detect the same stimulus in a similar direction
+ * Angles wrap around the body, so a paired sensor's angle is unwrapped next to
+ * its partner's to keep blending between them on the short way round.
+ * @param {Array} sensorsA - Sensors of the first genome
+ * @param {Array} sensorsB - Sensors of the second genome
+ * @returns {Array} Slots of { a, b }, ordered by direction; either side may be null
+ */
+function alignSensors(sensorsA, sensorsB) {
+  // Sensors pointing further apart than this (fraction of a turn) are not considered homologous
+  const matchThreshold = 0.15;
+  const separation = (a, b) => {
+    const difference = Math.abs(a.angle.value - b.angle.value);
+    return Math.min(difference, 1 - difference);
+  };
+  const unmatchedB = sensorsB.slice();
+  const slots = [];
+  
+  sensorsA.forEach(a => {
+    let bestIndex = -1;
+    let bestDistance = matchThreshold;
+    
+    unmatchedB.forEach((b, index) => {
+      if (b.stimulus === a.stimulus && separation(a, b) <= bestDistance) {
+        bestDistance = separation(a, b);
+        bestIndex = index;
+      }
+    });
+    
+    const b = bestIndex >= 0 ? unmatchedB.splice(bestIndex, 1)[0] : null;
+    slots.push({ a, b: b ? unwrapAngle(b, a.angle.value) : null });
+  });
+  
+  unmatchedB.forEach(b => slots.push({ a: null, b }));
+  
+  const slotAngle = slot => (slot.a || slot.b).angle.value;
+  return slots.sort((first, second) => slotAngle(first) - slotAngle(second));
+}
+
+/**
+ * Pairs up appendages from two genomes by nearest body position
+ * Also used by species-classifier.js to compare appendages between genomes.
+ * @param {Array} appendagesA - Appendages of the first genome
+ * @param {Array} appendagesB - Appendages of the second genome
+ * @returns {Array} Slots of { a, b }, ordered by body position; either side may be null
+ */
+export function alignAppendages(appendagesA, appendagesB) {
+  // Appendages further apart than this along the body are not considered homologous
+  const matchThreshold = 0.25;
+  const unmatchedB = appendagesB.slice();
+  const slots = [];
+  
+  appendagesA.forEach(a => {
+    let bestIndex = -1;
+    let bestDistance = matchThreshold;
+    
+    unmatchedB.forEach((b, index) => {
+      const separation = Math.abs(a.position.value - b.position.value);
+      if (separation <= bestDistance) {
+        bestDistance = separation;
+        bestIndex = index;
+      }
+    });
+    
+    const b = bestIndex >= 0 ? unmatchedB.splice(bestIndex, 1)[0] : null;
+    slots.push({ a, b });
+  });
+  
+  unmatchedB.forEach(b => slots.push({ a: null, b }));
+  
+  const slotPosition = slot => (slot.a || slot.b).position.value;
+  return slots.sort((first, second) => slotPosition(first) - slotPosition(second));
+}
+
+/**
+ * Copies a sensor with its angle shifted by whole turns to lie within half a turn of a reference
+ * @param {Object} sensor - The sensor gene set
+ * @param {number} reference - Reference angle (fraction of a turn)
+ * @returns {Object} The sensor, copied if its angle changed
+ */
+function unwrapAngle(sensor, reference) {
+  const value = sensor.angle.value - Math.round(sensor.angle.value - reference);
+  if (value === sensor.angle.value) return sensor;
+  
+  return { ...sensor, angle: { ...sensor.angle, value } };
+}
+
+/**
+ * Checks whether a genome entry is a gene object
+ * @param {*} entry - Genome entry
+ * @returns {boolean} True if the entry has a numeric value
+ */
+function isGene(entry) {
+  return entry !== null && typeof entry === 'object' && typeof entry.value === 'number';
+}
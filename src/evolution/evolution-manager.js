@@ -6,13 +6,50 @@
  */
 
 import { CONSTANTS, generateId, deepClone } from '../utils/core';
-import { random, gaussian } from '../utils/math-utils';
-import { createOrganism, getOrganismById, removeOrganism } from '../organism/organism-manager';
+import { random, randomFloat, gaussian } from '../utils/math-utils';
+import { createSpatialGrid, insertIntoGrid, removeFromGrid, findNearestInGrid } from '../utils/spatial-grid';
+import {
+  createOrganism,
+  getOrganismById,
+  setOrganismEnergy,
+  setOrganismSpecies,
+  removeOrganism
+} from '../organism/organism-manager';
+import { crossoverGenomes, CROSSOVER_STRATEGIES } from './crossover-engine';
+import { SELECTION_STRATEGIES, isContinuousStrategy, selectParents, selectCulls } from './selection-schemes';
+import { normalizeFitnessComponents, evaluateFitness } from './fitness-function';
+
+// Selection strategies, re-exported for the controls that pick one
+export { SELECTION_STRATEGIES } from './selection-schemes';
+import {
+  resetLineage,
+  recordBirth,
+  recordDeath,
+  getRecord,
+  getAncestry,
+  getAllRecords,
+  restoreRecords
+} from './lineage-tracker';
+import {
+  resetSpecies,
+  classifyOrganisms,
+  genomeDistance,
+  getAllSpecies,
+  restoreSpecies,
+  getNextSpeciesId
+} from './species-classifier';
 
 // Internal state
 let mutationRate = CONSTANTS.EVOLUTION.DEFAULT_MUTATION_RATE;
-let generationCount = 0;
+let birthCount = 0;
+let evolutionTime = 0; // Simulated time used to timestamp births and deaths
 let environmentalPressure = 0.5; // Default balanced environmental pressure (0-1)
+let reproductionMode = CONSTANTS.EVOLUTION.DEFAULT_REPRODUCTION_MODE;
+let crossoverStrategy = CONSTANTS.EVOLUTION.DEFAULT_CROSSOVER_STRATEGY;
+let selectionStrategy = CONSTANTS.EVOLUTION.DEFAULT_SELECTION_STRATEGY;
+let nextSelectionTime = 0; // Simulated time of the next selection round
+let nextCullTime = 0;      // Simulated time of the next truncation cull
+let fitnessComponents = deepClone(CONSTANTS.FITNESS.DEFAULT_COMPONENTS);
 
 /**
  * Initializes the evolution system
@@ -21,8 +58,17 @@ let environmentalPressure = 0.5; // Default balanced environmental pressure (0-1
 export function initializeEvolutionSystem() {
   try {
     mutationRate = CONSTANTS.EVOLUTION.DEFAULT_MUTATION_RATE;
-    generationCount = 0;
+    birthCount = 0;
+    evolutionTime = 0;
+    resetLineage();
+    resetSpecies();
     environmentalPressure = 0.5;
+    reproductionMode = CONSTANTS.EVOLUTION.DEFAULT_REPRODUCTION_MODE;
+    crossoverStrategy = CONSTANTS.EVOLUTION.DEFAULT_CROSSOVER_STRATEGY;
+    selectionStrategy = CONSTANTS.EVOLUTION.DEFAULT_SELECTION_STRATEGY;
+    nextSelectionTime = 0;
+    nextCullTime = CONSTANTS.EVOLUTION.CULL_INTERVAL;
+    fitnessComponents = deepClone(CONSTANTS.FITNESS.DEFAULT_COMPONENTS);
     console.log('Evolution system initialized');
     return true;
   } catch (error) {
@@ -48,11 +94,97 @@ export function getMutationRate() {
 }
 
 /**
- * Gets the current generation count
- * @returns {number} Current generation count
+ * Gets the number of births since the lineage was started
+ * @returns {number} Total births
+ */
+export function getBirthCount() {
+  return birthCount;
+}
+
+/**
+ * Sets the simulated time used to timestamp births and deaths
+ * @param {number} time - Simulated time in seconds
+ */
+export function setEvolutionTime(time) {
+  evolutionTime = time;
+}
+
+/**
+ * Starts a fresh lineage from a founding population
+ * Founders are generation 0 and each starts its own lineage.
+ * @param {Array} founders - The initial organisms
+ */
+export function initializeLineage(founders) {
+  resetLineage();
+  resetSpecies();
+  birthCount = 0;
+  evolutionTime = 0;
+  nextSelectionTime = 0;
+  nextCullTime = CONSTANTS.EVOLUTION.CULL_INTERVAL;
+  
+  (founders || []).forEach(founder => recordBirth(founder));
+  updateSpecies(founders || []);
+}
+
+/**
+ * Reassigns organisms to species by genome distance
+ * Called periodically by the simulation; newborns inherit their parent's species in between.
+ * @param {Array} organisms - Array of organism objects
+ */
+export function updateSpecies(organisms) {
+  setOrganismSpecies(classifyOrganisms(organisms, evolutionTime));
+}
+
+/**
+ * Gets all species, living and extinct
+ * @returns {Array} Species records with id, color, foundedAt, extinctAt, memberCount and representative genome
+ */
+export function getSpecies() {
+  return getAllSpecies();
+}
+
+/**
+ * Measures the genetic distance between two organisms
+ * @param {Object} organismA - The first organism
+ * @param {Object} organismB - The second organism
+ * @returns {number} Genome distance, 0 for identical genomes
+ */
+export function getGenomeDistance(organismA, organismB) {
+  return genomeDistance(organismA.genome, organismB.genome);
+}
+
+/**
+ * Records the deaths of organisms in the lineage store
+ * @param {Array} organisms - Organisms that died this step
+ */
+export function recordDeaths(organisms) {
+  (organisms || []).forEach(organism => recordDeath(organism.id, evolutionTime));
+}
+
+/**
+ * Gets the lineage record of an organism, living or dead
+ * @param {string} organismId - ID of the organism
+ * @returns {Object|null} The lineage record, or null if unknown
+ */
+export function getLineageRecord(organismId) {
+  return getRecord(organismId);
+}
+
+/**
+ * Gets the chain of ancestors of an organism back to its founder
+ * @param {string} organismId - ID of the organism
+ * @returns {Array} Lineage records starting with the organism itself
+ */
+export function getOrganismAncestry(organismId) {
+  return getAncestry(organismId);
+}
+
+/**
+ * Gets every lineage record, including dead ancestors
+ * @returns {Array} All lineage records in birth order
  */
-export function getGenerationCount() {
-  return generationCount;
+export function getLineageRecords() {
+  return getAllRecords();
 }
 
 /**
@@ -72,6 +204,147 @@ export function getEnvironmentalPressure() {
   return environmentalPressure;
 }
 
+/**
+ * Sets how organisms reproduce
+ * @param {string} mode - 'asexual' (clone with mutation) or 'sexual' (two nearby parents with crossover)
+ */
+export function setReproductionMode(mode) {
+  if (mode !== 'asexual' && mode !== 'sexual') {
+    console.error(`Unknown reproduction mode: ${mode}`);
+    return;
+  }
+  reproductionMode = mode;
+}
+
+/**
+ * Gets the current reproduction mode
+ * @returns {string} 'asexual' or 'sexual'
+ */
+export function getReproductionMode() {
+  return reproductionMode;
+}
+
+/**
+ * Sets the crossover strategy used in sexual reproduction
+ * @param {string} strategy - 'uniform', 'single-point' or 'blend'
+ */
+export function setCrossoverStrategy(strategy) {
+  if (!CROSSOVER_STRATEGIES.includes(strategy)) {
+    console.error(`Unknown crossover strategy: ${strategy}`);
+    return;
+  }
+  crossoverStrategy = strategy;
+}
+
+/**
+ * Gets the current crossover strategy
+ * @returns {string} The crossover strategy
+ */
+export function getCrossoverStrategy() {
+  return crossoverStrategy;
+}
+
+/**
+ * Sets how organisms are selected for reproduction and culling
+ * @param {string} strategy - 'natural', 'fitness-proportional', 'tournament', 'truncation', 'carrying-capacity' or 'breeder'
+ */
+export function setSelectionStrategy(strategy) {
+  if (!SELECTION_STRATEGIES.includes(strategy)) {
+    console.error(`Unknown selection strategy: ${strategy}`);
+    return;
+  }
+  selectionStrategy = strategy;
+}
+
+/**
+ * Gets the current selection strategy
+ * @returns {string} The selection strategy
+ */
+export function getSelectionStrategy() {
+  return selectionStrategy;
+}
+
+/**
+ * Sets the components of the fitness function
+ * Missing component parameters are filled in with their defaults.
+ * @param {Array} components - Components {type, weight, ...parameters}, see fitness-function
+ * @returns {boolean} Success status; the current function is kept on failure
+ */
+export function setFitnessComponents(components) {
+  try {
+    fitnessComponents = normalizeFitnessComponents(components);
+    return true;
+  } catch (error) {
+    console.error('Invalid fitness function:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Gets the components of the fitness function
+ * @returns {Array} A copy of the fitness components
+ */
+export function getFitnessComponents() {
+  return deepClone(fitnessComponents);
+}
+
+/**
+ * Checks a fitness function without applying it
+ * @param {Array} components - Components {type, weight, ...parameters}
+ * @returns {string|null} Description of the first problem, or null if it is valid
+ */
+export function getFitnessComponentsError(components) {
+  try {
+    normalizeFitnessComponents(components);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Captures the evolution domain state for a snapshot
+ * @returns {Object} Serializable evolution state
+ */
+export function getEvolutionState() {
+  return {
+    mutationRate,
+    birthCount,
+    evolutionTime,
+    environmentalPressure,
+    reproductionMode,
+    crossoverStrategy,
+    selectionStrategy,
+    nextSelectionTime,
+    nextCullTime,
+    fitnessComponents: deepClone(fitnessComponents),
+    lineage: getAllRecords(),
+    species: getAllSpecies(),
+    nextSpeciesId: getNextSpeciesId()
+  };
+}
+
+/**
+ * Restores the evolution domain state from a snapshot
+ * @param {Object} state - State captured by getEvolutionState
+ */
+export function restoreEvolutionState(state) {
+  setMutationRate(state.mutationRate);
+  setEnvironmentalPressure(state.environmentalPressure);
+  birthCount = state.birthCount || 0;
+  evolutionTime = state.evolutionTime || 0;
+  restoreRecords(state.lineage);
+  restoreSpecies(state);
+  reproductionMode = state.reproductionMode || CONSTANTS.EVOLUTION.DEFAULT_REPRODUCTION_MODE;
+  crossoverStrategy = state.crossoverStrategy || CONSTANTS.EVOLUTION.DEFAULT_CROSSOVER_STRATEGY;
+  selectionStrategy = state.selectionStrategy || CONSTANTS.EVOLUTION.DEFAULT_SELECTION_STRATEGY;
+  nextSelectionTime = state.nextSelectionTime || 0;
+  nextCullTime = state.nextCullTime !== undefined ? state.nextCullTime : evolutionTime + CONSTANTS.EVOLUTION.CULL_INTERVAL;
+  if (!state.fitnessComponents || !setFitnessComponents(state.fitnessComponents)) {
+    fitnessComponents = deepClone(CONSTANTS.FITNESS.DEFAULT_COMPONENTS);
+  }
+}
+
 /**
  * Processes reproduction for an organism that has enough energy
  * @param {string} parentId - ID of the parent organism
@@ -101,15 +374,20 @@ export function reproduceOrganism(parentId) {
   
   // Position offset with some randomness to prevent stacking
   const positionOffset = 20; // Base offset for visibility
-  const randomOffset = () => (Math.random() * 20 - 10); // Random -10 to +10
+  const randomOffset = () => (randomFloat() * 20 - 10); // Random -10 to +10
   
   // Create offspring at slightly offset position
   const offspring = createOrganism({
     genome: offspringGenome,
+    parentId: parent.id,
+    lineageId: parent.lineageId,
+    generation: parent.generation + 1,
+    birthTime: evolutionTime,
+    speciesId: parent.speciesId,
     state: {
       position: {
-        x: parent.state.position.x + positionOffset * Math.cos(Math.random() * Math.PI * 2) + randomOffset(),
-        y: parent.state.position.y + positionOffset * Math.sin(Math.random() * Math.PI * 2) + randomOffset()
+        x: parent.state.position.x + positionOffset * Math.cos(randomFloat() * Math.PI * 2) + randomOffset(),
+        y: parent.state.position.y + positionOffset * Math.sin(randomFloat() * Math.PI * 2) + randomOffset()
       },
       // Initial velocity based on parent but with variation
       velocity: {
@@ -120,20 +398,77 @@ export function reproduceOrganism(parentId) {
     }
   });
   
-  // Update parent energy by creating a new organism with updated energy
-  const updatedParent = createOrganism({
-    ...parent,
+  // The parent stays in place and only pays the energy
+  setOrganismEnergy(parentId, updatedParentEnergy);
+  
+  recordBirth(offspring);
+  birthCount++;
+  
+  return offspring.id;
+}
+
+/**
+ * Produces an offspring from two parents that both have enough energy
+ * The genome is recombined with the current crossover strategy and then mutated.
+ * Each parent pays half of the usual reproduction energy.
+ * @param {string} parentAId - ID of the first parent
+ * @param {string} parentBId - ID of the second parent
+ * @returns {string|null} ID of the new organism, or null if reproduction failed
+ */
+export function reproduceSexually(parentAId, parentBId) {
+  const parentA = getOrganismById(parentAId);
+  const parentB = getOrganismById(parentBId);
+  
+  if (!parentA || !parentB) {
+    console.error(`Cannot reproduce: parent ${parentA ? parentBId : parentAId} not found`);
+    return null;
+  }
+  
+  // Both parents must have enough energy
+  const threshold = CONSTANTS.ORGANISM.REPRODUCTION_ENERGY_THRESHOLD;
+  if (parentA.state.energy < threshold || parentB.state.energy < threshold) {
+    return null;
+  }
+  
+  // Recombine, then mutate like any other offspring
+  const offspringGenome = mutateGenome(
+    crossoverGenomes(parentA.genome, parentB.genome, crossoverStrategy)
+  );
+  
+  // Each parent contributes half of the asexual energy transfer
+  const contributionRatio = CONSTANTS.ORGANISM.ENERGY_TRANSFER_RATIO / 2;
+  const contributionA = parentA.state.energy * contributionRatio;
+  const contributionB = parentB.state.energy * contributionRatio;
+  
+  const randomOffset = () => (randomFloat() * 20 - 10); // Random -10 to +10
+  
+  // Offspring appears between the parents and continues the first parent's lineage
+  const offspring = createOrganism({
+    genome: offspringGenome,
+    parentId: parentA.id,
+    coParentId: parentB.id,
+    lineageId: parentA.lineageId,
+    generation: Math.max(parentA.generation, parentB.generation) + 1,
+    birthTime: evolutionTime,
+    speciesId: parentA.speciesId,
     state: {
-      ...parent.state,
-      energy: updatedParentEnergy
+      position: {
+        x: (parentA.state.position.x + parentB.state.position.x) / 2 + randomOffset(),
+        y: (parentA.state.position.y + parentB.state.position.y) / 2 + randomOffset()
+      },
+      velocity: {
+        x: (parentA.state.velocity.x + parentB.state.velocity.x) * 0.4 + randomOffset() * 0.2,
+        y: (parentA.state.velocity.y + parentB.state.velocity.y) * 0.4 + randomOffset() * 0.2
+      },
+      energy: contributionA + contributionB
     }
   });
   
-  // Remove the original parent
-  removeOrganism(parentId);
+  setOrganismEnergy(parentAId, parentA.state.energy - contributionA);
+  setOrganismEnergy(parentBId, parentB.state.energy - contributionB);
   
-  // Increment generation count when reproduction occurs
-  generationCount++;
+  recordBirth(offspring);
+  birthCount++;
   
   return offspring.id;
 }
@@ -148,13 +483,13 @@ function mutateGenome(genome) {
   const mutatedGenome = deepClone(genome);
   
   // Determine if this is a rare "jump mutation" (large change)
-  const isJumpMutation = Math.random() < 0.05 * mutationRate;
+  const isJumpMutation = randomFloat() < 0.05 * mutationRate;
   
   // Mutate basic properties
   Object.keys(mutatedGenome).forEach(key => {
     if (key !== 'appendages' && typeof mutatedGenome[key] === 'object' && mutatedGenome[key].value !== undefined) {
       // Apply mutation based on the gene's mutation rate and global mutation rate
-      if (Math.random() < mutatedGenome[key].mutationRate * mutationRate) {
+      if (randomFloat() < mutatedGenome[key].mutationRate * mutationRate) {
         // Use gaussian distribution for more realistic mutations
         // If jump mutation, make a larger change
         const mutationMagnitude = isJumpMutation ? 0.3 : 0.1;
@@ -172,7 +507,7 @@ function mutateGenome(genome) {
       Object.keys(appendage).forEach(key => {
         if (key !== 'type' && typeof appendage[key] === 'object' && appendage[key].value !== undefined) {
           // Apply mutation based on the gene's mutation rate and global mutation rate
-          if (Math.random() < appendage[key].mutationRate * mutationRate) {
+          if (randomFloat() < appendage[key].mutationRate * mutationRate) {
             // Use gaussian distribution for more realistic mutations
             // If jump mutation, make a larger change
             const mutationMagnitude = isJumpMutation ? 0.25 : 0.1;
@@ -184,12 +519,12 @@ function mutateGenome(genome) {
       });
       
       // Small chance to change appendage type with increased chance during jump mutations
-      if (Math.random() < mutationRate * (isJumpMutation ? 0.3 : 0.1)) {
+      if (randomFloat() < mutationRate * (isJumpMutation ? 0.3 : 0.1)) {
         appendage.type = appendage.type === 'fin' ? 'flagella' : 'fin';
       }
       
       // Chance to develop specialized appendage features (placeholder for future expansion)
-      if (isJumpMutation && Math.random() < mutationRate * 0.2) {
+      if (isJumpMutation && randomFloat() < mutationRate * 0.2) {
         // This could be expanded in the future to add new appendage properties
         // For now, just adjust existing properties more significantly
         if (appendage.length) {
@@ -201,8 +536,8 @@ function mutateGenome(genome) {
   
   // Chance to add a new appendage, increased during jump mutations
   const appendageAddChance = isJumpMutation ? 0.4 : 0.2;
-  if (mutatedGenome.appendages.length < 3 && Math.random() < mutationRate * appendageAddChance) {
-    const appendageType = Math.random() > 0.5 ? "fin" : "flagella";
+  if (mutatedGenome.appendages.length < 3 && randomFloat() < mutationRate * appendageAddChance) {
+    const appendageType = randomFloat() > 0.5 ? "fin" : "flagella";
     
     mutatedGenome.appendages.push({
       type: appendageType,
@@ -214,46 +549,216 @@ function mutateGenome(genome) {
   
   // Chance to remove an appendage, slightly increased during jump mutations
   const appendageRemoveChance = isJumpMutation ? 0.15 : 0.1;
-  if (mutatedGenome.appendages.length > 0 && Math.random() < mutationRate * appendageRemoveChance) {
-    const index = Math.floor(Math.random() * mutatedGenome.appendages.length);
+  if (mutatedGenome.appendages.length > 0 && randomFloat() < mutationRate * appendageRemoveChance) {
+    const index = Math.floor(randomFloat() * mutatedGenome.appendages.length);
     mutatedGenome.appendages.splice(index, 1);
   }
   
+  // Mutate sensor organs
+  if (mutatedGenome.sensors) {
+    mutateSensors(mutatedGenome.sensors, isJumpMutation);
+  }
+  
+  // Mutate the neural controller's weights and topology
+  if (mutatedGenome.brain) {
+    mutateBrain(mutatedGenome.brain, isJumpMutation);
+  }
+  
   return mutatedGenome;
 }
 
+/**
+ * Mutates a genome's sensors in place
+ * Sensor angles wrap around the body so eyes can drift past the front or rear.
+ * @param {Array} sensors - The genome's sensors
+ * @param {boolean} isJumpMutation - Whether this offspring gets a large mutation
+ */
+function mutateSensors(sensors, isJumpMutation) {
+  const { STIMULI, MAX_SENSORS } = CONSTANTS.SENSORS;
+  const mutationMagnitude = isJumpMutation ? 0.25 : 0.1;
+  
+  sensors.forEach(sensor => {
+    ['angle', 'fieldOfView', 'range'].forEach(key => {
+      if (randomFloat() < sensor[key].mutationRate * mutationRate) {
+        const value = sensor[key].value + gaussian(0, mutationMagnitude);
+        sensor[key].value = key === 'angle'
+          ? value - Math.floor(value)
+          : Math.max(0, Math.min(1, value));
+      }
+    });
+    
+    // Small chance for a sensor to switch to another stimulus
+    if (randomFloat() < mutationRate * (isJumpMutation ? 0.1 : 0.02)) {
+      sensor.stimulus = STIMULI[Math.floor(randomFloat() * STIMULI.length)];
+    }
+  });
+  
+  // Chance to grow a new sensor
+  if (sensors.length < MAX_SENSORS && randomFloat() < mutationRate * 0.1) {
+    sensors.push({
+      stimulus: STIMULI[Math.floor(randomFloat() * STIMULI.length)],
+      angle: { value: random(0, 1), mutationRate: 0.04 },
+      fieldOfView: { value: random(0.1, 0.3), mutationRate: 0.03 },
+      range: { value: random(0.2, 0.5), mutationRate: 0.02 }
+    });
+  }
+  
+  // Chance to lose a sensor
+  if (sensors.length > 0 && randomFloat() < mutationRate * 0.05) {
+    sensors.splice(Math.floor(randomFloat() * sensors.length), 1);
+  }
+}
+
+/**
+ * Mutates a brain in place
+ * Weights drift by small gaussian steps, and neurons are occasionally added to
+ * or removed from the hidden layer. New neurons start with no influence on the
+ * outputs so that growing the network does not disrupt evolved behavior.
+ * @param {Object} brain - The brain to mutate
+ * @param {boolean} isJumpMutation - Whether this offspring gets a large mutation
+ */
+function mutateBrain(brain, isJumpMutation) {
+  const { INPUT_COUNT, MAX_HIDDEN, MAX_WEIGHT } = CONSTANTS.BRAIN;
+  const mutationMagnitude = isJumpMutation ? 1.0 : 0.3;
+  const mutateWeight = weight => {
+    if (randomFloat() >= brain.mutationRate * mutationRate) return weight;
+    return Math.max(-MAX_WEIGHT, Math.min(MAX_WEIGHT, weight + gaussian(0, mutationMagnitude)));
+  };
+  
+  brain.hidden.forEach(neuron => {
+    neuron.inputWeights = neuron.inputWeights.map(mutateWeight);
+    neuron.recurrentWeight = mutateWeight(neuron.recurrentWeight);
+    neuron.bias = mutateWeight(neuron.bias);
+  });
+  brain.outputs.forEach(neuron => {
+    neuron.inputWeights = neuron.inputWeights.map(mutateWeight);
+    neuron.hiddenWeights = neuron.hiddenWeights.map(mutateWeight);
+    neuron.bias = mutateWeight(neuron.bias);
+  });
+  
+  // Chance to add a hidden neuron
+  if (brain.hidden.length < MAX_HIDDEN && randomFloat() < mutationRate * 0.2) {
+    brain.hidden.push({
+      inputWeights: Array.from({ length: INPUT_COUNT }, () => gaussian(0, 0.5)),
+      recurrentWeight: gaussian(0, 0.5),
+      bias: gaussian(0, 0.5)
+    });
+    brain.outputs.forEach(neuron => neuron.hiddenWeights.push(0));
+  }
+  
+  // Chance to remove a hidden neuron along with its output connections
+  if (brain.hidden.length > 0 && randomFloat() < mutationRate * 0.1) {
+    const index = Math.floor(randomFloat() * brain.hidden.length);
+    brain.hidden.splice(index, 1);
+    brain.outputs.forEach(neuron => neuron.hiddenWeights.splice(index, 1));
+  }
+}
+
 /**
  * Applies selection pressure based on organism fitness and environmental factors
+ * The selection strategy decides who reproduces and who is culled; see selection-schemes.
+ * In breeder mode nothing happens here: parents and culls are chosen by hand.
  * @param {Array} organisms - Array of organism objects
  * @param {Object} environment - The current environment state
  */
 export function applySelection(organisms, environment) {
-  // If no organisms provided, get all organisms
+  if (selectionStrategy === 'breeder') return;
+  
   const allOrganisms = organisms || [];
   
-  // If environment is provided, use it to influence selection
-  const hasEnvironment = environment && typeof environment === 'object';
+  // If environment is provided, use it to influence fitness
+  const fitnessEnvironment = environment && typeof environment === 'object' ? environment : null;
   
-  allOrganisms.forEach(organism => {
-    // Calculate fitness considering environmental factors if available
-    const fitness = calculateOrganismFitness(organism, hasEnvironment ? environment : null);
+  let parents;
+  if (selectionStrategy !== 'natural' && evolutionTime >= nextSelectionTime) {
+    // Selection round: score everyone, cull, then pick parents among the survivors
+    nextSelectionTime = evolutionTime + CONSTANTS.EVOLUTION.SELECTION_INTERVAL;
     
-    // Base reproduction chance on fitness and environmental pressure
-    const reproductionThreshold = CONSTANTS.ORGANISM.REPRODUCTION_ENERGY_THRESHOLD;
-    const hasEnoughEnergy = organism.state && organism.state.energy >= reproductionThreshold;
-    
-    // Only attempt reproduction if organism has enough energy
-    if (hasEnoughEnergy) {
-      // Energy is sufficient - can reproduce
-      reproduceOrganism(organism.id);
+    const cullDue = evolutionTime >= nextCullTime;
+    if (cullDue && selectionStrategy === 'truncation') {
+      nextCullTime = evolutionTime + CONSTANTS.EVOLUTION.CULL_INTERVAL;
     }
     
-    // Future expansion: environmental adaptation could influence survival beyond reproduction
+    const scored = allOrganisms.map(organism => ({
+      organism,
+      fitness: calculateOrganismFitness(organism, fitnessEnvironment)
+    }));
+    const culled = new Set(selectCulls(selectionStrategy, scored, environmentalPressure, cullDue));
+    cullOrganisms([...culled].map(organism => organism.id));
+    
+    parents = selectParents(
+      selectionStrategy,
+      scored.filter(({ organism }) => !culled.has(organism)),
+      environmentalPressure
+    );
+  } else if (isContinuousStrategy(selectionStrategy)) {
+    // Between rounds, continuous strategies let anyone with enough energy reproduce
+    parents = allOrganisms.filter(organism =>
+      organism.state && organism.state.energy >= CONSTANTS.ORGANISM.REPRODUCTION_ENERGY_THRESHOLD
+    );
+  } else {
+    return;
+  }
+  
+  if (reproductionMode === 'sexual') {
+    pairAndReproduce(parents);
+    return;
+  }
+  
+  parents.forEach(organism => reproduceOrganism(organism.id));
+}
+
+/**
+ * Removes organisms from the population and records their deaths
+ * Used by selection rounds and by culling by hand in breeder mode.
+ * @param {Array<string>} organismIds - IDs of the organisms to remove
+ * @returns {number} Number of organisms removed
+ */
+export function cullOrganisms(organismIds) {
+  let removed = 0;
+  
+  organismIds.forEach(organismId => {
+    if (removeOrganism(organismId)) {
+      recordDeath(organismId, evolutionTime);
+      removed++;
+    }
   });
+  
+  return removed;
+}
+
+/**
+ * Breeds organisms chosen by hand
+ * Each parent has a litter of mutated offspring through reproduceOrganism. The
+ * breeder feeds parents up to the reproduction threshold before each birth, so
+ * the choice alone decides who reproduces.
+ * @param {Array<string>} parentIds - IDs of the chosen parents
+ * @returns {Array<string>} IDs of the offspring
+ */
+export function breedOrganisms(parentIds) {
+  const offspringIds = [];
+  const threshold = CONSTANTS.ORGANISM.REPRODUCTION_ENERGY_THRESHOLD;
+  
+  parentIds.forEach(parentId => {
+    for (let i = 0; i < CONSTANTS.EVOLUTION.BREEDER_LITTER_SIZE; i++) {
+      const parent = getOrganismById(parentId);
+      if (!parent) return;
+      
+      if (parent.state.energy < threshold) {
+        setOrganismEnergy(parentId, threshold);
+      }
+      
+      const offspringId = reproduceOrganism(parentId);
+      if (offspringId) offspringIds.push(offspringId);
+    }
+  });
+  
+  return offspringIds;
 }
 
 /**
  * Calculates fitness for a given organism, considering environmental factors
+ * The score is the weighted sum of the configured fitness components.
  * @param {Object} organism - The organism to evaluate
  * @param {Object} environment - Optional environment data to consider
  * @returns {number} Fitness score
@@ -261,121 +766,31 @@ export function applySelection(organisms, environment) {
 export function calculateOrganismFitness(organism, environment = null) {
   if (!organism) return 0;
   
-  // Calculate a weighted fitness score based on various factors
-  
-  // Energy efficiency: how efficiently the organism gathers energy
-  const energyScore = organism.state.energy / CONSTANTS.ORGANISM.REPRODUCTION_ENERGY_THRESHOLD;
-  
-  // Metabolic efficiency: lower metabolism means less energy consumption
-  const metabolismScore = 1 - organism.phenotype.metabolism;
-  
-  // Sensory capability: better sensors help find resources
-  const sensorScore = organism.phenotype.sensorRange;
-  
-  // Movement efficiency: balance between speed and energy cost
-  const movementScore = organism.phenotype.speed * (1 - organism.phenotype.metabolism);
-  
-  // Age bonus: surviving longer is a sign of fitness
-  const ageScore = Math.min(1, organism.state.age / 100);
-  
-  // Appendage efficiency: more appendages can be beneficial or detrimental depending on environment
-  const appendageScore = calculateAppendageEfficiency(organism);
-  
-  // Environmental adaptation: how well the organism fits the environment
-  const environmentScore = environment ? calculateEnvironmentFit(organism, environment) : 0.5;
-  
-  // Weighted sum of different fitness components
-  // Adjust weights based on environmental pressure
-  const fitnessScore = (
-    energyScore * 0.35 +
-    metabolismScore * 0.15 +
-    sensorScore * 0.1 +
-    movementScore * 0.15 +
-    ageScore * 0.1 +
-    appendageScore * 0.05 +
-    environmentScore * 0.1
-  );
-  
-  return fitnessScore;
+  return evaluateFitness(organism, environment, fitnessComponents);
 }
 
 /**
- * Calculates how efficient the organism's appendages are
- * @param {Object} organism - The organism to evaluate
- * @returns {number} Efficiency score (0-1)
+ * Pairs eligible organisms with their nearest eligible neighbor and reproduces each pair
+ * Each organism takes part in at most one pairing per call. Candidates leave the
+ * mating grid once they have had their turn, so every search only sees
+ * organisms that are still unpaired.
+ * @param {Array} organisms - Array of organism objects
  */
-function calculateAppendageEfficiency(organism) {
-  if (!organism.phenotype || !organism.phenotype.appendages) {
-    return 0.5; // Neutral score if no appendages data
-  }
-  
-  const appendages = organism.phenotype.appendages;
+function pairAndReproduce(organisms) {
+  const threshold = CONSTANTS.ORGANISM.REPRODUCTION_ENERGY_THRESHOLD;
+  const candidates = organisms.filter(o => o.state && o.state.energy >= threshold);
+  const matingRange = CONSTANTS.EVOLUTION.MATING_RANGE;
   
-  // If no appendages, provide a neutral score
-  if (appendages.length === 0) {
-    return 0.5;
-  }
-  
-  // Calculate average efficiency of appendages
-  let totalEfficiency = 0;
+  const grid = createSpatialGrid(matingRange);
+  candidates.forEach(organism => insertIntoGrid(grid, organism.id, organism.state.position, organism));
   
-  appendages.forEach(app => {
-    let efficiency = 0;
+  candidates.forEach(organism => {
+    if (!removeFromGrid(grid, organism.id)) return; // Already paired
     
-    // Different calculations based on appendage type
-    if (app.type === 'fin') {
-      // Fins are more efficient for faster movement
-      efficiency = 0.5 + (app.length * 0.5) * (organism.phenotype.speed * 0.5);
-    } else if (app.type === 'flagella') {
-      // Flagella are more efficient for precise movements
-      efficiency = 0.7 + (app.length * 0.3) * (organism.phenotype.turnRate * 0.5);
+    const mate = findNearestInGrid(grid, organism.state.position, matingRange);
+    if (mate) {
+      removeFromGrid(grid, mate.id);
+      reproduceSexually(organism.id, mate.id);
     }
-    
-    totalEfficiency += efficiency;
   });
-  
-  // Calculate average but with diminishing returns for many appendages
-  // 1-2 appendages can be optimal, 3+ may add drag
-  const averageEfficiency = totalEfficiency / appendages.length;
-  const diminishingFactor = Math.max(0, 1 - (Math.max(0, appendages.length - 2) * 0.2));
-  
-  return averageEfficiency * diminishingFactor;
 }
-
-/**
- * Calculates how well an organism fits the current environment
- * @param {Object} organism - The organism to evaluate
- * @param {Object} environment - The environment data
- * @returns {number} Environmental fit score (0-1)
- */
-function calculateEnvironmentFit(organism, environment) {
-  // This is a placeholder that can be expanded with actual environmental factors
-  // For now, return a simplified calculation
-  
-  // Default to neutral adaptation
-  let environmentFit = 0.5;
-  
-  // If we have environment data, we can make this more sophisticated
-  if (environment) {
-    // Example: resource density could favor different strategies
-    const resourceDensity = environment.resources ? 
-      Math.min(1, environment.resources.length / environment.parameters.maxResources) : 
-      0.5;
-    
-    // High resource density favors fast movement and metabolism
-    // Low resource density favors efficiency and sensors
-    if (resourceDensity > 0.7) {
-      // Resource-rich environment: speed and higher metabolism is good
-      environmentFit = 0.3 + (organism.phenotype.speed * 0.4) + (organism.phenotype.metabolism * 0.3);
-    } else if (resourceDensity < 0.3) {
-      // Resource-poor environment: efficiency and sensors are good
-      environmentFit = 0.3 + ((1 - organism.phenotype.metabolism) * 0.4) + (organism.phenotype.sensorRange * 0.3);
-    } else {
-      // Balanced environment: balanced traits are good
-      const balanceFactor = 1 - Math.abs(organism.phenotype.speed - (1 - organism.phenotype.metabolism));
-      environmentFit = 0.4 + (balanceFactor * 0.6);
-    }
-  }
-  
-  return Math.max(0, Math.min(1, environmentFit));
-}
\ No newline at end of file
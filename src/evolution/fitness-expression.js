@@ -0,0 +1,239 @@
+/**
+ * @module fitness-expression
+ * @description Compiles user-written arithmetic expressions for custom fitness terms
+ * @domain Evolution
+ * @private Should only be used by fitness-function.js
+ *
+ * Expressions are parsed rather than evaluated as JavaScript, because they are
+ * saved in snapshots and may come from someone else's file. The grammar covers
+ * numbers, variables, + - * / ^, parentheses, unary minus and the functions
+ * below, e.g. "speed * (1 - metabolism)" or "1 - abs(bodySize - 0.8)".
+ */
+
+// Functions available to expressions, by name and argument count
+const FUNCTIONS = {
+  abs: { arity: 1, apply: Math.abs },
+  sqrt: { arity: 1, apply: value => Math.sqrt(Math.max(0, value)) },
+  min: { arity: 2, apply: Math.min },
+  max: { arity: 2, apply: Math.max },
+  clamp: { arity: 3, apply: (value, low, high) => Math.max(low, Math.min(high, value)) }
+};
+
+const BINARY_OPERATORS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => (b === 0 ? 0 : a / b),
+  '^': (a, b) => Math.pow(a, b)
+};
+
+/**
+ * Compiles an expression into a function of named variables
+ * @param {string} source - The expression
+ * @param {Array<string>} variableNames - Variables the expression may use
+ * @returns {Function} Takes an object of variable values and returns a finite number (0 for NaN)
+ * @throws {Error} If the expression is malformed or uses an unknown name
+ */
+export function compileExpression(source, variableNames) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('Expression is empty');
+  }
+  
+  const parser = { tokens: tokenize(source), position: 0, variableNames };
+  const evaluate = parseSum(parser);
+  if (parser.position < parser.tokens.length) {
+    throw new Error(`Unexpected "${parser.tokens[parser.position].text}" in expression`);
+  }
+  
+  return variables => {
+    const value = evaluate(variables);
+    return Number.isFinite(value) ? value : 0;
+  };
+}
+
+/**
+ * Splits an expression into number, name and symbol tokens
+ * @param {string} source - The expression
+ * @returns {Array} Tokens {kind, text}
+ * @throws {Error} On characters outside the grammar
+ */
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/^(),]))/y;
+  let index = 0;
+  
+  while (index < source.length) {
+    if (source.slice(index).trim() === '') break;
+    
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected character "${source.slice(index).trim()[0]}" in expression`);
+    }
+    
+    if (match[1] !== undefined) tokens.push({ kind: 'number', text: match[1] });
+    else if (match[2] !== undefined) tokens.push({ kind: 'name', text: match[2] });
+    else tokens.push({ kind: 'symbol', text: match[3] });
+    index = pattern.lastIndex;
+  }
+  
+  return tokens;
+}
+
+/**
+ * Parses terms joined by + and -
+ * @param {Object} parser - Token list and read position
+ * @returns {Function} Evaluator
+ */
+function parseSum(parser) {
+  let left = parseProduct(parser);
+  
+  while (peekSymbol(parser, '+') || peekSymbol(parser, '-')) {
+    left = combine(BINARY_OPERATORS[parser.tokens[parser.position++].text], left, parseProduct(parser));
+  }
+  
+  return left;
+}
+
+/**
+ * Parses factors joined by * and /
+ * @param {Object} parser - Token list and read position
+ * @returns {Function} Evaluator
+ */
+function parseProduct(parser) {
+  let left = parseUnary(parser);
+  
+  while (peekSymbol(parser, '*') || peekSymbol(parser, '/')) {
+    left = combine(BINARY_OPERATORS[parser.tokens[parser.position++].text], left, parseUnary(parser));
+  }
+  
+  return left;
+}
+
+/**
+ * Parses an optionally negated power
+ * Negation binds looser than ^, so -2^2 is -4.
+ * @param {Object} parser - Token list and read position
+ * @returns {Function} Evaluator
+ */
+function parseUnary(parser) {
+  if (peekSymbol(parser, '-')) {
+    parser.position++;
+    const operand = parseUnary(parser);
+    return variables => -operand(variables);
+  }
+  
+  return parsePower(parser);
+}
+
+/**
+ * Parses a right-associative power
+ * The exponent may be negated, as in 2^-1.
+ * @param {Object} parser - Token list and read position
+ * @returns {Function} Evaluator
+ */
+function parsePower(parser) {
+  const base = parseOperand(parser);
+  if (!peekSymbol(parser, '^')) return base;
+  
+  parser.position++;
+  return combine(BINARY_OPERATORS['^'], base, parseUnary(parser));
+}
+
+/**
+ * Parses a number, variable, function call or parenthesized expression
+ * @param {Object} parser - Token list and read position
+ * @returns {Function} Evaluator
+ * @throws {Error} On a missing operand or unknown name
+ */
+function parseOperand(parser) {
+  const token = parser.tokens[parser.position++];
+  if (!token) {
+    throw new Error('Expression ends unexpectedly');
+  }
+  
+  if (token.kind === 'number') {
+    const value = parseFloat(token.text);
+    return () => value;
+  }
+  
+  if (token.kind === 'symbol' && token.text === '(') {
+    const inner = parseSum(parser);
+    expectSymbol(parser, ')');
+    return inner;
+  }
+  
+  if (token.kind === 'name' && Object.hasOwn(FUNCTIONS, token.text)) {
+    return parseCall(parser, token.text);
+  }
+  
+  if (token.kind === 'name' && parser.variableNames.includes(token.text)) {
+    const name = token.text;
+    return variables => Number(variables[name]) || 0;
+  }
+  
+  throw new Error(`Unknown name "${token.text}" in expression`);
+}
+
+/**
+ * Parses the argument list of a function call
+ * @param {Object} parser - Token list and read position, just past the function name
+ * @param {string} name - Function name
+ * @returns {Function} Evaluator
+ * @throws {Error} On a wrong number of arguments
+ */
+function parseCall(parser, name) {
+  const { arity, apply } = FUNCTIONS[name];
+  const args = [];
+  
+  expectSymbol(parser, '(');
+  if (!peekSymbol(parser, ')')) {
+    args.push(parseSum(parser));
+    while (peekSymbol(parser, ',')) {
+      parser.position++;
+      args.push(parseSum(parser));
+    }
+  }
+  expectSymbol(parser, ')');
+  
+  if (args.length !== arity) {
+    throw new Error(`${name}() takes ${arity} argument${arity === 1 ? '' : 's'}`);
+  }
+  
+  return variables => apply(...args.map(arg => arg(variables)));
+}
+
+/**
+ * Builds the evaluator of a binary operation
+ * @param {Function} operator - Combines two numbers
+ * @param {Function} left - Left operand evaluator
+ * @param {Function} right - Right operand evaluator
+ * @returns {Function} Evaluator
+ */
+function combine(operator, left, right) {
+  return variables => operator(left(variables), right(variables));
+}
+
+/**
+ * Checks whether the next token is a given symbol
+ * @param {Object} parser - Token list and read position
+ * @param {string} symbol - The symbol
+ * @returns {boolean} True if it is
+ */
+function peekSymbol(parser, symbol) {
+  const token = parser.tokens[parser.position];
+  return Boolean(token && token.kind === 'symbol' && token.text === symbol);
+}
+
+/**
+ * Consumes a required symbol
+ * @param {Object} parser - Token list and read position
+ * @param {string} symbol - The symbol
+ * @throws {Error} If the next token is something else
+ */
+function expectSymbol(parser, symbol) {
+  if (!peekSymbol(parser, symbol)) {
+    throw new Error(`Expected "${symbol}" in expression`);
+  }
+  parser.position++;
+}
@@ -0,0 +1,255 @@
+/**
+ * @module fitness-function
+ * @description Scores organisms with a configurable, weighted set of fitness components
+ * @domain Evolution
+ * @private Should only be used by evolution-manager.js
+ *
+ * A fitness function is a plain array of components, each { type, weight, ...parameters }:
+ *   energy         - energy relative to the reproduction threshold
+ *   age            - age relative to scale seconds, saturating at 1
+ *   trait          - closeness of a phenotype trait to target, 0 beyond tolerance
+ *   appendageCount - closeness of the appendage count to target, 0 beyond tolerance
+ *   expression     - a custom arithmetic expression over phenotype and state fields
+ *   environment    - fit to the local biome, see calculateEnvironmentFit
+ *   trophic        - fit of the body to the organism's place in the food chain
+ * Fitness is the weighted sum of the component scores. Components are plain data
+ * so that the configuration is saved with snapshots.
+ */
+
+import { CONSTANTS } from '../utils/core';
+import { getBiomeAt, getBiomeRegionIndex } from '../utils/biome-map';
+import { compileExpression } from './fitness-expression';
+
+// Names custom expressions can use besides the traits
+const STATE_VARIABLES = ['energy', 'age', 'generation', 'appendageCount', 'sensorCount', 'elongation'];
+
+// Compiled expressions by source, so each is parsed once
+const compiledExpressions = new Map();
+
+/**
+ * Checks a fitness function and returns a normalized copy
+ * Missing parameters are filled in from CONSTANTS.FITNESS.COMPONENT_DEFAULTS.
+ * @param {Array} components - Fitness components
+ * @returns {Array} The normalized components
+ * @throws {Error} If a component has an unknown type or invalid parameter
+ */
+export function normalizeFitnessComponents(components) {
+  if (!Array.isArray(components)) {
+    throw new Error('Fitness components must be an array');
+  }
+  
+  return components.map((component, index) => {
+    const { COMPONENT_DEFAULTS } = CONSTANTS.FITNESS;
+    const defaults = component && Object.hasOwn(COMPONENT_DEFAULTS, component.type) && COMPONENT_DEFAULTS[component.type];
+    if (!defaults) {
+      throw new Error(`Fitness component ${index + 1} has unknown type: ${component && component.type}`);
+    }
+    
+    const normalized = { type: component.type, weight: component.weight, ...defaults };
+    Object.keys(defaults).forEach(key => {
+      if (component[key] !== undefined) normalized[key] = component[key];
+    });
+    
+    validateComponent(normalized, index);
+    return normalized;
+  });
+}
+
+/**
+ * Calculates an organism's fitness
+ * @param {Object} organism - The organism to evaluate
+ * @param {Object|null} environment - Environment data, if available
+ * @param {Array} components - Normalized fitness components
+ * @returns {number} Weighted fitness score
+ */
+export function evaluateFitness(organism, environment, components) {
+  return components.reduce((total, component) => (
+    total + component.weight * scoreComponent(component, organism, environment)
+  ), 0);
+}
+
+/**
+ * Scores one fitness component
+ * @param {Object} component - The component
+ * @param {Object} organism - The organism to evaluate
+ * @param {Object|null} environment - Environment data, if available
+ * @returns {number} Component score, 0-1 for everything but energy and expressions
+ */
+function scoreComponent(component, organism, environment) {
+  const { phenotype, state } = organism;
+  
+  switch (component.type) {
+    case 'energy':
+      return state.energy / CONSTANTS.ORGANISM.REPRODUCTION_ENERGY_THRESHOLD;
+    case 'age':
+      return component.scale > 0 ? Math.min(1, state.age / component.scale) : 1;
+    case 'trait':
+      return closeness(phenotype[component.trait] || 0, component.target, component.tolerance);
+    case 'appendageCount':
+      return closeness((phenotype.appendages || []).length, component.target, component.tolerance);
+    case 'expression':
+      return getCompiledExpression(component.expression)(getExpressionVariables(organism));
+    case 'environment':
+      return environment ? calculateEnvironmentFit(organism, environment, component) : 0.5;
+    case 'trophic':
+      return calculateTrophicFit(organism);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Scores how close a value is to a target
+ * @param {number} value - The value
+ * @param {number} target - The target
+ * @param {number} tolerance - Distance at which the score reaches 0
+ * @returns {number} 1 on target, falling linearly to 0 at the tolerance
+ */
+function closeness(value, target, tolerance) {
+  if (tolerance <= 0) return value === target ? 1 : 0;
+  return Math.max(0, 1 - Math.abs(value - target) / tolerance);
+}
+
+/**
+ * Collects the values a custom expression can refer to
+ * @param {Object} organism - The organism to evaluate
+ * @returns {Object} Variable values by name
+ */
+function getExpressionVariables(organism) {
+  const { phenotype, state } = organism;
+  const variables = {
+    energy: state.energy,
+    age: state.age,
+    generation: organism.generation || 0,
+    appendageCount: (phenotype.appendages || []).length,
+    sensorCount: (phenotype.sensors || []).length,
+    elongation: phenotype.elongation || 1
+  };
+  CONSTANTS.FITNESS.TRAITS.forEach(trait => {
+    variables[trait] = phenotype[trait] || 0;
+  });
+  
+  return variables;
+}
+
+/**
+ * Compiles an expression, reusing earlier compilations
+ * @param {string} source - The expression
+ * @returns {Function} The compiled expression
+ * @throws {Error} If the expression is invalid
+ */
+function getCompiledExpression(source) {
+  if (!compiledExpressions.has(source)) {
+    compiledExpressions.set(source, compileExpression(source, [...CONSTANTS.FITNESS.TRAITS, ...STATE_VARIABLES]));
+  }
+  return compiledExpressions.get(source);
+}
+
+/**
+ * Checks the parameters of a normalized component
+ * @param {Object} component - The component
+ * @param {number} index - Position in the list, for error messages
+ * @throws {Error} If a parameter is invalid
+ */
+function validateComponent(component, index) {
+  const label = `Fitness component ${index + 1} (${component.type})`;
+  
+  Object.entries(component).forEach(([key, value]) => {
+    if (key === 'type' || key === 'trait' || key === 'expression') return;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`${label} needs a numeric ${key}`);
+    }
+  });
+  
+  if (component.type === 'trait' && !CONSTANTS.FITNESS.TRAITS.includes(component.trait)) {
+    throw new Error(`${label} has unknown trait: ${component.trait}`);
+  }
+  
+  if (component.type === 'expression') {
+    try {
+      getCompiledExpression(component.expression);
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Calculates how well an organism's body suits its trophic level
+ * Carnivores need speed, reach and size to catch prey; herbivores need
+ * speed and sensors to escape in time. The diet gene blends the two.
+ * @param {Object} organism - The organism to evaluate
+ * @returns {number} Trophic fit score (0-1)
+ */
+function calculateTrophicFit(organism) {
+  const { speed, sensorRange, bodySize } = organism.phenotype;
+  const diet = organism.phenotype.diet || 0;
+  
+  const huntingScore = speed * 0.4 + sensorRange * 0.3 + bodySize * 0.3;
+  const evasionScore = speed * 0.5 + sensorRange * 0.5;
+  
+  return diet * huntingScore + (1 - diet) * evasionScore;
+}
+
+/**
+ * Calculates how well an organism fits the biome it is in
+ * Resource density is measured within the organism's biome region rather than
+ * across the whole world, and the biome's drag and metabolic cost penalize
+ * bodies that are expensive to run there.
+ * @param {Object} organism - The organism to evaluate
+ * @param {Object} environment - The environment data
+ * @param {Object} component - The environment component, with richDensity and poorDensity
+ * @returns {number} Environmental fit score (0-1)
+ */
+function calculateEnvironmentFit(organism, environment, component) {
+  const { phenotype, state } = organism;
+  const biome = getBiomeAt(environment, state.position);
+  const resourceDensity = calculateLocalResourceDensity(environment, state.position);
+  
+  let environmentFit;
+  
+  // High resource density favors fast movement and metabolism
+  // Low resource density favors efficiency and sensors
+  if (resourceDensity > component.richDensity) {
+    // Resource-rich biome: speed and higher metabolism is good
+    environmentFit = 0.3 + (phenotype.speed * 0.4) + (phenotype.metabolism * 0.3);
+  } else if (resourceDensity < component.poorDensity) {
+    // Resource-poor biome: efficiency and sensors are good
+    environmentFit = 0.3 + ((1 - phenotype.metabolism) * 0.4) + (phenotype.sensorRange * 0.3);
+  } else {
+    // Balanced biome: balanced traits are good
+    const balanceFactor = 1 - Math.abs(phenotype.speed - (1 - phenotype.metabolism));
+    environmentFit = 0.4 + (balanceFactor * 0.6);
+  }
+  
+  // Thick water punishes large bodies, costly biomes punish fast metabolisms
+  environmentFit -= biome.drag * phenotype.bodySize * 0.3;
+  environmentFit -= Math.max(0, biome.metabolicCost - 1) * phenotype.metabolism * 0.3;
+  
+  return Math.max(0, Math.min(1, environmentFit));
+}
+
+/**
+ * Measures how well stocked the biome region around a position is
+ * Compares the resources in the region with its share of the world's resource
+ * capacity, so small and large regions are judged alike.
+ * @param {Object} environment - The environment data
+ * @param {Object} position - World position {x, y}
+ * @returns {number} Local resource density (0-1)
+ */
+function calculateLocalResourceDensity(environment, position) {
+  if (!environment.resources) return 0.5;
+  
+  const regionIndex = getBiomeRegionIndex(environment, position);
+  if (regionIndex === -1) {
+    return Math.min(1, environment.resources.length / environment.parameters.maxResources);
+  }
+  
+  const { bounds } = environment.parameters.biomes.regions[regionIndex];
+  const capacity = environment.parameters.maxResources * bounds.width * bounds.height;
+  const localCount = environment.resources.filter(resource =>
+    getBiomeRegionIndex(environment, resource.position) === regionIndex
+  ).length;
+  
+  return capacity > 0 ? Math.min(1, localCount / capacity) : 0;
+}
@@ -0,0 +1,124 @@
+/**
+ * @module lineage-tracker
+ * @description Keeps a compact record of every organism's ancestry, including dead ancestors
+ * @domain Evolution
+ * @private Should only be used by evolution-manager.js
+ */
+
+// Internal state: organism ID -> lineage record
+let records = new Map();
+
+/**
+ * Clears all lineage records
+ */
+export function resetLineage() {
+  records = new Map();
+}
+
+/**
+ * Records the birth of an organism
+ * @param {Object} organism - The organism, carrying its lineage fields
+ */
+export function recordBirth(organism) {
+  const { phenotype } = organism;
+  
+  records.set(organism.id, {
+    id: organism.id,
+    parentId: organism.parentId,
+    coParentId: organism.coParentId || null,
+    lineageId: organism.lineageId,
+    generation: organism.generation,
+    birthTime: organism.birthTime,
+    deathTime: null,
+    // Compact trait summary so dead ancestors stay inspectable
+    traits: {
+      bodySize: phenotype.bodySize,
+      bodyShape: phenotype.bodyShape,
+      elongation: phenotype.elongation,
+      color: phenotype.color,
+      metabolism: phenotype.metabolism,
+      sensorRange: phenotype.sensorRange,
+      diet: phenotype.diet,
+      toxinDetection: phenotype.toxinDetection,
+      speed: phenotype.speed,
+      turnRate: phenotype.turnRate,
+      appendageCount: phenotype.appendages ? phenotype.appendages.length : 0,
+      appendages: (phenotype.appendages || []).map(appendage => ({ ...appendage })),
+      sensors: (phenotype.sensors || []).map(sensor => ({ ...sensor }))
+    }
+  });
+}
+
+/**
+ * Marks an organism as dead
+ * @param {string} organismId - ID of the organism
+ * @param {number} time - Simulated time of death
+ */
+export function recordDeath(organismId, time) {
+  const record = records.get(organismId);
+  if (record && record.deathTime === null) {
+    record.deathTime = time;
+  }
+}
+
+/**
+ * Gets the lineage record of a single organism
+ * @param {string} organismId - ID of the organism
+ * @returns {Object|null} A copy of the record, or null if unknown
+ */
+export function getRecord(organismId) {
+  const record = records.get(organismId);
+  return record ? copyRecord(record) : null;
+}
+
+/**
+ * Walks parent links from an organism back to its founder
+ * @param {string} organismId - ID of the organism
+ * @returns {Array} Records from the organism itself up to its founder
+ */
+export function getAncestry(organismId) {
+  const ancestry = [];
+  let record = records.get(organismId);
+  
+  while (record) {
+    ancestry.push(copyRecord(record));
+    record = record.parentId ? records.get(record.parentId) : null;
+  }
+  
+  return ancestry;
+}
+
+/**
+ * Gets every lineage record, living and dead
+ * @returns {Array} Copies of all records in birth order
+ */
+export function getAllRecords() {
+  return Array.from(records.values(), copyRecord);
+}
+
+/**
+ * Replaces all records, e.g. when loading a snapshot
+ * @param {Array} savedRecords - Records previously returned by getAllRecords
+ */
+export function restoreRecords(savedRecords) {
+  records = new Map();
+  (savedRecords || []).forEach(record => {
+    records.set(record.id, copyRecord(record));
+  });
+}
+
+/**
+ * Copies a record so callers cannot modify the store
+ * @param {Object} record - The lineage record
+ * @returns {Object} A copy of the record
+ */
+function copyRecord(record) {
+  return {
+    ...record,
+    traits: {
+      ...record.traits,
+      appendages: (record.traits.appendages || []).map(appendage => ({ ...appendage })),
+      sensors: (record.traits.sensors || []).map(sensor => ({ ...sensor }))
+    }
+  };
+}
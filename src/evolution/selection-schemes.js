@@ -0,0 +1,173 @@
+/**
+ * @module selection-schemes
+ * @description Decides which organisms reproduce and which are culled under each selection strategy
+ * @domain Evolution
+ * @private Should only be used by evolution-manager.js
+ *
+ * Strategies:
+ *   natural              - every organism with enough energy reproduces (no culling)
+ *   fitness-proportional - organisms with enough energy reproduce with a chance
+ *                          proportional to their fitness relative to the fittest
+ *   tournament           - organisms with enough energy reproduce if they beat
+ *                          randomly drawn rivals on fitness
+ *   truncation           - only the fittest share reproduces, and the least fit
+ *                          share is culled periodically
+ *   carrying-capacity    - natural reproduction, but organisms above the carrying
+ *                          capacity are culled, the least fit most likely
+ *   breeder              - nobody reproduces or is culled on their own; the user
+ *                          picks parents and culls by hand (see evolution-manager)
+ *
+ * Environmental pressure (0-1) sets how strongly each strategy favors fitness.
+ * Every strategy except natural and carrying-capacity only picks parents in
+ * periodic selection rounds; the others reproduce whenever energy allows.
+ */
+
+import { CONSTANTS } from '../utils/core';
+import { randomFloat } from '../utils/math-utils';
+
+// Supported selection strategies
+export const SELECTION_STRATEGIES = ['natural', 'fitness-proportional', 'tournament', 'truncation', 'carrying-capacity', 'breeder'];
+
+// Strategies whose parents reproduce as soon as they have the energy rather than in rounds
+const CONTINUOUS_STRATEGIES = ['natural', 'carrying-capacity'];
+
+/**
+ * Checks whether a strategy lets organisms reproduce every step rather than in selection rounds
+ * @param {string} strategy - One of SELECTION_STRATEGIES
+ * @returns {boolean} True for continuous strategies
+ */
+export function isContinuousStrategy(strategy) {
+  return CONTINUOUS_STRATEGIES.includes(strategy);
+}
+
+/**
+ * Picks the organisms that reproduce in a selection round
+ * Only organisms with enough energy to reproduce can be picked.
+ * @param {string} strategy - One of SELECTION_STRATEGIES
+ * @param {Array} scored - The whole population as {organism, fitness}
+ * @param {number} pressure - Environmental pressure (0-1)
+ * @returns {Array} The organisms chosen as parents
+ */
+export function selectParents(strategy, scored, pressure) {
+  const threshold = CONSTANTS.ORGANISM.REPRODUCTION_ENERGY_THRESHOLD;
+  const eligible = scored.filter(({ organism }) => organism.state && organism.state.energy >= threshold);
+  if (eligible.length === 0) return [];
+  
+  const maxFitness = Math.max(...scored.map(({ fitness }) => fitness));
+  
+  switch (strategy) {
+    case 'fitness-proportional': {
+      // Higher pressure sharpens the advantage of the fittest
+      const intensity = 1 + 4 * pressure;
+      return eligible
+        .filter(({ fitness }) => maxFitness <= 0 || randomFloat() < Math.pow(fitness / maxFitness, intensity))
+        .map(({ organism }) => organism);
+    }
+    
+    case 'tournament': {
+      // Higher pressure means more rivals to beat
+      const rivals = CONSTANTS.EVOLUTION.TOURNAMENT_SIZE + Math.round(pressure * 4);
+      return eligible
+        .filter(contestant => winsTournament(contestant, scored, rivals))
+        .map(({ organism }) => organism);
+    }
+    
+    case 'truncation': {
+      // Higher pressure narrows the share allowed to breed, down to the top quarter
+      const cutoff = fitnessAtRank(scored, Math.max(1, Math.ceil(scored.length * (1 - 0.75 * pressure))));
+      return eligible
+        .filter(({ fitness }) => fitness >= cutoff)
+        .map(({ organism }) => organism);
+    }
+    
+    default:
+      return eligible.map(({ organism }) => organism);
+  }
+}
+
+/**
+ * Picks the organisms removed in a selection round
+ * @param {string} strategy - One of SELECTION_STRATEGIES
+ * @param {Array} scored - The whole population as {organism, fitness}
+ * @param {number} pressure - Environmental pressure (0-1)
+ * @param {boolean} cullDue - Whether a periodic truncation cull is due this round
+ * @returns {Array} The organisms to remove
+ */
+export function selectCulls(strategy, scored, pressure, cullDue) {
+  if (strategy === 'truncation' && cullDue) {
+    // Remove the least fit share; up to 30% at full pressure
+    const count = Math.floor(scored.length * 0.3 * pressure);
+    return [...scored]
+      .sort((a, b) => a.fitness - b.fitness)
+      .slice(0, count)
+      .map(({ organism }) => organism);
+  }
+  
+  if (strategy === 'carrying-capacity') {
+    // Pressure sets how much of the excess is removed each round
+    const excess = scored.length - CONSTANTS.EVOLUTION.CARRYING_CAPACITY;
+    if (excess <= 0) return [];
+    return drawWeightedByUnfitness(scored, Math.ceil(excess * pressure));
+  }
+  
+  return [];
+}
+
+/**
+ * Checks whether an organism is at least as fit as a number of randomly drawn rivals
+ * @param {Object} contestant - The contestant as {organism, fitness}
+ * @param {Array} scored - The whole population as {organism, fitness}
+ * @param {number} rivals - Number of rivals, drawn with replacement
+ * @returns {boolean} True if no rival is fitter
+ */
+function winsTournament(contestant, scored, rivals) {
+  const others = scored.filter(entry => entry !== contestant);
+  if (others.length === 0) return true;
+  
+  for (let i = 0; i < rivals; i++) {
+    const rival = others[Math.floor(randomFloat() * others.length)];
+    if (rival.fitness > contestant.fitness) return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Gets the fitness of the organism at a rank, counting from the fittest
+ * @param {Array} scored - The whole population as {organism, fitness}
+ * @param {number} rank - 1 for the fittest
+ * @returns {number} Fitness at that rank
+ */
+function fitnessAtRank(scored, rank) {
+  const sorted = scored.map(({ fitness }) => fitness).sort((a, b) => b - a);
+  return sorted[Math.min(rank, sorted.length) - 1];
+}
+
+/**
+ * Draws organisms without replacement, the least fit most likely
+ * @param {Array} scored - The whole population as {organism, fitness}
+ * @param {number} count - Number of organisms to draw
+ * @returns {Array} The drawn organisms
+ */
+function drawWeightedByUnfitness(scored, count) {
+  const maxFitness = Math.max(...scored.map(({ fitness }) => fitness));
+  
+  // Even the fittest keeps a small chance of being drawn
+  const pool = scored.map(({ organism, fitness }) => ({
+    organism,
+    weight: maxFitness - fitness + 0.1 * Math.max(maxFitness, 0.01)
+  }));
+  const drawn = [];
+  
+  while (drawn.length < count && pool.length > 0) {
+    const totalWeight = pool.reduce((sum, entry) => sum + entry.weight, 0);
+    let choice = randomFloat() * totalWeight;
+    let index = pool.findIndex(entry => (choice -= entry.weight) < 0);
+    if (index === -1) index = pool.length - 1;
+    
+    drawn.push(pool[index].organism);
+    pool.splice(index, 1);
+  }
+  
+  return drawn;
+}
@@ -0,0 +1,174 @@
+/**
+ * @module species-classifier
+ * @description Groups organisms into species by genome distance (threshold-based, NEAT-style)
+ * @domain Evolution
+ * @private Should only be used by evolution-manager.js
+ */
+
+import { CONSTANTS, deepClone } from '../utils/core';
+import { alignAppendages } from './crossover-engine';
+
+// Internal state
+let species = [];
+let nextSpeciesId = 1;
+
+/**
+ * Clears all species
+ */
+export function resetSpecies() {
+  species = [];
+  nextSpeciesId = 1;
+}
+
+/**
+ * Measures how different two genomes are
+ * Scalar genes contribute their mean absolute difference; appendages are aligned
+ * by body position and compared on type, length and angle, with unmatched
+ * appendages counting as fully different.
+ * @param {Object} genomeA - The first genome
+ * @param {Object} genomeB - The second genome
+ * @returns {number} Distance, 0 for identical genomes
+ */
+export function genomeDistance(genomeA, genomeB) {
+  // Scalar genes
+  const scalarKeys = Object.keys(genomeA).filter(key =>
+    key !== 'appendages' && genomeA[key] && typeof genomeA[key].value === 'number' &&
+    genomeB[key] && typeof genomeB[key].value === 'number'
+  );
+  const scalarDistance = scalarKeys.length > 0
+    ? scalarKeys.reduce((sum, key) => sum + Math.abs(genomeA[key].value - genomeB[key].value), 0) / scalarKeys.length
+    : 0;
+  
+  // Appendages
+  const appendagesA = genomeA.appendages || [];
+  const appendagesB = genomeB.appendages || [];
+  const slotCount = Math.max(appendagesA.length, appendagesB.length);
+  let appendageDistance = 0;
+  
+  if (slotCount > 0) {
+    const total = alignAppendages(appendagesA, appendagesB).reduce((sum, { a, b }) => {
+      if (!a || !b) return sum + 1;
+      
+      const typeDifference = a.type === b.type ? 0 : 1;
+      const lengthDifference = Math.abs(a.length.value - b.length.value);
+      // Angle genes wrap around the body
+      const rawAngle = Math.abs(a.angle.value - b.angle.value);
+      const angleDifference = Math.min(rawAngle, 1 - rawAngle) * 2;
+      
+      return sum + (typeDifference + lengthDifference + angleDifference) / 3;
+    }, 0);
+    appendageDistance = total / slotCount;
+  }
+  
+  return scalarDistance + CONSTANTS.EVOLUTION.SPECIES_APPENDAGE_WEIGHT * appendageDistance;
+}
+
+/**
+ * Assigns every organism to a species
+ * Each organism joins the first species whose representative is within the
+ * compatibility threshold, preferring the species it already belongs to.
+ * Organisms that fit nowhere found a new species. Afterwards each species'
+ * representative moves to its member closest to the old representative, and
+ * species left without members are marked extinct.
+ * @param {Array} organisms - Organisms with genomes and current speciesId
+ * @param {number} time - Simulated time of the classification
+ * @returns {Map} Organism ID -> species ID
+ */
+export function classifyOrganisms(organisms, time) {
+  const threshold = CONSTANTS.EVOLUTION.SPECIES_THRESHOLD;
+  const assignments = new Map();
+  const members = new Map();
+  const living = species.filter(s => s.extinctAt === null);
+  
+  organisms.forEach(organism => {
+    let match = null;
+    
+    // Stay in the current species while still compatible
+    const current = living.find(s => s.id === organism.speciesId);
+    if (current && genomeDistance(organism.genome, current.representative) <= threshold) {
+      match = current;
+    } else {
+      match = living.find(s => genomeDistance(organism.genome, s.representative) <= threshold) || null;
+    }
+    
+    if (!match) {
+      match = foundSpecies(organism.genome, time);
+      living.push(match);
+    }
+    
+    assignments.set(organism.id, match.id);
+    if (!members.has(match.id)) members.set(match.id, []);
+    members.get(match.id).push(organism);
+  });
+  
+  living.forEach(s => {
+    const speciesMembers = members.get(s.id) || [];
+    s.memberCount = speciesMembers.length;
+    
+    if (speciesMembers.length === 0) {
+      s.extinctAt = time;
+      return;
+    }
+    
+    // Drift the representative with the population while keeping the ID stable
+    let closest = speciesMembers[0];
+    let closestDistance = Infinity;
+    speciesMembers.forEach(member => {
+      const dist = genomeDistance(member.genome, s.representative);
+      if (dist < closestDistance) {
+        closestDistance = dist;
+        closest = member;
+      }
+    });
+    s.representative = deepClone(closest.genome);
+  });
+  
+  return assignments;
+}
+
+/**
+ * Gets all species, living and extinct
+ * @returns {Array} Copies of the species records
+ */
+export function getAllSpecies() {
+  return deepClone(species);
+}
+
+/**
+ * Replaces all species, e.g. when loading a snapshot
+ * @param {Object} state - Object with species array and nextSpeciesId
+ */
+export function restoreSpecies(state) {
+  species = deepClone((state && state.species) || []);
+  nextSpeciesId = (state && state.nextSpeciesId) || species.length + 1;
+}
+
+/**
+ * Gets the counter used for new species IDs
+ * @returns {number} The next species number
+ */
+export function getNextSpeciesId() {
+  return nextSpeciesId;
+}
+
+/**
+ * Creates a new species around a founding genome
+ * @param {Object} genome - The founding genome, used as the first representative
+ * @param {number} time - Simulated founding time
+ * @returns {Object} The new species record
+ */
+function foundSpecies(genome, time) {
+  const number = nextSpeciesId++;
+  const record = {
+    id: `species-${number}`,
+    // Golden-angle hue spacing keeps consecutive species visually distinct
+    color: `hsl(${Math.round((number * 137.508) % 360)}, 65%, 50%)`,
+    foundedAt: time,
+    extinctAt: null,
+    memberCount: 0,
+    representative: deepClone(genome)
+  };
+  
+  species.push(record);
+  return record;
+}
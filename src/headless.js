@@ -0,0 +1,225 @@
+/**
+ * @module headless
+ * @description High-level coordinator for running the simulation without a DOM or canvas
+ * @coordinator Manages flow between the non-UI domains for scripted and batch runs
+ */
+
+import { CONSTANTS } from './utils/core';
+
+// Import domain managers
+import { initializeOrganismSystem, getOrganismCount, setBehaviorMode } from './organism/organism-manager';
+import {
+  initializeEvolutionSystem,
+  setMutationRate,
+  setEnvironmentalPressure,
+  setReproductionMode,
+  setCrossoverStrategy,
+  setSelectionStrategy,
+  setFitnessComponents
+} from './evolution/evolution-manager';
+import {
+  initializeSimulation,
+  setEnvironmentBoundaries,
+  stepSimulation,
+  getSimulationTime
+} from './simulation/simulation-manager';
+import {
+  initializeDataTracking,
+  getStatistics,
+  exportSimulationData,
+  exportResultsTable
+} from './data/data-manager';
+
+// Stepping API, re-exported so scripts only need this coordinator
+export { stepSimulation, getSimulationTime } from './simulation/simulation-manager';
+
+/**
+ * Initializes all non-UI systems for a headless run
+ * @param {Object} options - Run parameters
+ * @param {number} options.seed - Random seed
+ * @param {number} options.populationSize - Size of the initial population
+ * @param {number} options.mutationRate - Global mutation rate
+ * @param {number} options.environmentalPressure - Environmental pressure (0-1)
+ * @param {string} options.reproductionMode - 'asexual' or 'sexual'
+ * @param {string} options.crossoverStrategy - 'uniform', 'single-point' or 'blend'
+ * @param {string} options.selectionStrategy - 'natural', 'fitness-proportional', 'tournament', 'truncation' or 'carrying-capacity'
+ * @param {Array} options.fitnessComponents - Fitness function components, see evolution-manager setFitnessComponents
+ * @param {string} options.behaviorMode - 'scripted' or 'neural'
+ * @param {number} options.resourceRegenerationRate - Resource regeneration rate per simulated second
+ * @param {number} options.crowdingPenalty - Extra metabolic cost per nearby organism (0 disables crowding)
+ * @param {Object} options.resourceTypes - Overrides merged into the default resource type registry
+ * @param {string} options.resourceDistribution - Where resources spawn: uniform, patches, movingPatches, gradient or noise
+ * @param {Object} options.distributionParameters - Overrides merged into the distribution's default parameters
+ * @param {string} options.biomeLayout - How the world is split into biomes: single, bands or patchwork
+ * @param {Object} options.biomeTypes - Overrides merged into the default biome types
+ * @param {number} options.width - Environment width
+ * @param {number} options.height - Environment height
+ * @returns {boolean} Success status
+ */
+export function initializeHeadless(options = {}) {
+  initializeOrganismSystem();
+  initializeEvolutionSystem();
+  initializeDataTracking();
+  
+  if (options.mutationRate !== undefined) {
+    setMutationRate(options.mutationRate);
+  }
+  
+  if (options.environmentalPressure !== undefined) {
+    setEnvironmentalPressure(options.environmentalPressure);
+  }
+  
+  if (options.reproductionMode !== undefined) {
+    setReproductionMode(options.reproductionMode);
+  }
+  
+  if (options.crossoverStrategy !== undefined) {
+    setCrossoverStrategy(options.crossoverStrategy);
+  }
+  
+  if (options.selectionStrategy !== undefined) {
+    setSelectionStrategy(options.selectionStrategy);
+  }
+  
+  if (options.fitnessComponents !== undefined && !setFitnessComponents(options.fitnessComponents)) {
+    return false;
+  }
+  
+  setBehaviorMode(options.behaviorMode !== undefined
+    ? options.behaviorMode
+    : CONSTANTS.ORGANISM.DEFAULT_BEHAVIOR_MODE);
+  
+  setEnvironmentBoundaries(options.width, options.height);
+  
+  return initializeSimulation({
+    seed: options.seed,
+    populationSize: options.populationSize,
+    resourceRegenerationRate: options.resourceRegenerationRate,
+    crowdingPenalty: options.crowdingPenalty,
+    resourceTypes: options.resourceTypes,
+    resourceDistribution: options.resourceDistribution,
+    distributionParameters: options.distributionParameters,
+    biomeLayout: options.biomeLayout,
+    biomeTypes: options.biomeTypes
+  });
+}
+
+/**
+ * Runs the headless simulation for a span of simulated time
+ * @param {number} seconds - Simulated seconds to run
+ * @returns {number} Total simulated time in seconds
+ */
+export function runFor(seconds) {
+  const steps = Math.round(seconds / CONSTANTS.SIMULATION.FIXED_TIME_STEP);
+  return stepSimulation(steps);
+}
+
+/**
+ * Exports the final state of the headless run
+ * @returns {string} JSON string of simulation data
+ */
+export function exportRun() {
+  return exportSimulationData();
+}
+
+/**
+ * Runs a single experiment and summarizes its outcome
+ * @param {Object} parameters - Run parameters, see initializeHeadless
+ * @param {number} seconds - Simulated seconds to run
+ * @returns {Object} Parameters, final population, extinction time and mean traits, overall and per biome
+ */
+export function runExperiment(parameters, seconds) {
+  if (!initializeHeadless(parameters)) {
+    throw new Error('Failed to initialize experiment');
+  }
+  
+  const totalSteps = Math.round(seconds / CONSTANTS.SIMULATION.FIXED_TIME_STEP);
+  let extinctionTime = null;
+  
+  for (let i = 0; i < totalSteps; i++) {
+    stepSimulation(1);
+    
+    if (getOrganismCount() === 0) {
+      extinctionTime = getSimulationTime();
+      break;
+    }
+  }
+  
+  const statistics = getStatistics();
+  
+  // Extinct runs report the traits of the last recorded living population
+  const lastSample = statistics.traitHistory[statistics.traitHistory.length - 1];
+  const useLastSample = extinctionTime !== null && lastSample;
+  const averageStats = useLastSample ? lastSample.averageStats : statistics.averageStats;
+  const biomes = useLastSample ? lastSample.biomes || {} : statistics.biomes;
+  
+  return {
+    ...parameters,
+    simulatedTime: getSimulationTime(),
+    finalPopulation: statistics.populationSize,
+    extinctionTime,
+    generation: statistics.currentGeneration,
+    meanGeneration: statistics.meanGeneration,
+    totalBirths: statistics.totalBirths,
+    averageStats,
+    biomes
+  };
+}
+
+/**
+ * Runs every combination of a parameter grid with replicate seeds
+ * @param {Object} grid - Map of parameter name to array of values,
+ *   e.g. { mutationRate: [0.02, 0.1], populationSize: [20, 40] }
+ * @param {Object} options - Batch settings
+ * @param {number} options.seconds - Simulated seconds per run
+ * @param {number} options.replicates - Number of seeds per grid cell
+ * @param {number} options.baseSeed - Seed of the first replicate; replicates use consecutive seeds
+ * @param {Function} options.onProgress - Optional callback(completed, total, result)
+ * @returns {Array} One summary row per run
+ */
+export function runBatch(grid, { seconds = 60, replicates = 1, baseSeed = 1, onProgress = null } = {}) {
+  const cells = expandGrid(grid);
+  const total = cells.length * replicates;
+  const results = [];
+  
+  cells.forEach((cell, cellIndex) => {
+    for (let replicate = 0; replicate < replicates; replicate++) {
+      const result = runExperiment({ ...cell, seed: baseSeed + replicate }, seconds);
+      results.push({ cell: cellIndex, replicate, ...result });
+      
+      if (onProgress) {
+        onProgress(results.length, total, result);
+      }
+    }
+  });
+  
+  return results;
+}
+
+/**
+ * Formats batch results as a single table
+ * @param {Array} results - Rows returned by runBatch
+ * @param {string} format - 'csv' or 'json'
+ * @returns {string} The formatted table
+ */
+export function exportBatchResults(results, format = 'json') {
+  return exportResultsTable(results, format);
+}
+
+/**
+ * Expands a parameter grid into the list of all value combinations
+ * @param {Object} grid - Map of parameter name to array of values
+ * @returns {Array} Array of parameter objects
+ */
+function expandGrid(grid) {
+  return Object.entries(grid).reduce((combinations, [name, values]) => {
+    const options = Array.isArray(values) ? values : [values];
+    const expanded = [];
+    combinations.forEach(combination => {
+      options.forEach(value => {
+        expanded.push({ ...combination, [name]: value });
+      });
+    });
+    return expanded;
+  }, [{}]);
+}
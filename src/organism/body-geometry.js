@@ -0,0 +1,94 @@
+/**
+ * @module body-geometry
+ * @description Elliptical body geometry derived from the bodySize and bodyShape genes
+ * @domain Organism
+ * @private Should only be used by organism-manager.js
+ *
+ * A body is an ellipse whose long axis follows the heading. bodySize sets the
+ * radius of a circle of the same area and bodyShape stretches it, from a circle
+ * (0) to CONSTANTS.ORGANISM.MAX_ELONGATION times longer than wide (1).
+ */
+
+import { CONSTANTS } from '../utils/core';
+
+/**
+ * Maps the bodySize gene to the radius of a circle with the body's area
+ * @param {number} bodySize - Normalized body size (0-1)
+ * @returns {number} Radius in pixels
+ */
+export function getBodyRadius(bodySize) {
+  return CONSTANTS.ORGANISM.MIN_SIZE +
+    bodySize * (CONSTANTS.ORGANISM.MAX_SIZE - CONSTANTS.ORGANISM.MIN_SIZE);
+}
+
+/**
+ * Maps the bodyShape gene to the ratio of body length to body width
+ * @param {number} bodyShape - Normalized body shape (0-1)
+ * @returns {number} Elongation (1 is a circle)
+ */
+export function getElongation(bodyShape) {
+  return 1 + bodyShape * (CONSTANTS.ORGANISM.MAX_ELONGATION - 1);
+}
+
+/**
+ * Gets the semi-axes of an organism's body
+ * @param {Object} phenotype - The organism's phenotype
+ * @returns {Object} Semi-axes in pixels {halfLength, halfWidth}
+ */
+export function getBodyAxes(phenotype) {
+  const radius = getBodyRadius(phenotype.bodySize);
+  const stretch = Math.sqrt(phenotype.elongation || 1);
+  
+  return { halfLength: radius * stretch, halfWidth: radius / stretch };
+}
+
+/**
+ * Gets the largest center-to-outline distance any body can have
+ * @returns {number} Distance in pixels, e.g. as a margin for neighbor queries
+ */
+export function getMaxBodyExtent() {
+  return CONSTANTS.ORGANISM.MAX_SIZE * Math.sqrt(CONSTANTS.ORGANISM.MAX_ELONGATION);
+}
+
+/**
+ * Gets the direction an organism faces
+ * @param {Object} state - The organism state
+ * @returns {number} Heading in radians
+ */
+export function getHeading(state) {
+  return Math.atan2(state.velocity.y, state.velocity.x);
+}
+
+/**
+ * Measures the distance from an organism's center to its outline in a world direction
+ * @param {Object} organism - The organism
+ * @param {number} direction - World direction in radians
+ * @returns {number} Distance to the body outline in pixels
+ */
+export function getBodyExtent(organism, direction) {
+  const { halfLength, halfWidth } = getBodyAxes(organism.phenotype);
+  const relative = direction - getHeading(organism.state);
+  
+  return (halfLength * halfWidth) / Math.sqrt(
+    (halfWidth * Math.cos(relative)) ** 2 + (halfLength * Math.sin(relative)) ** 2
+  );
+}
+
+/**
+ * Checks whether a point lies inside an organism's body
+ * @param {Object} organism - The organism
+ * @param {Object} point - World position {x, y}
+ * @returns {boolean} True if the point is inside the body
+ */
+export function bodyContainsPoint(organism, point) {
+  const { halfLength, halfWidth } = getBodyAxes(organism.phenotype);
+  const heading = getHeading(organism.state);
+  const dx = point.x - organism.state.position.x;
+  const dy = point.y - organism.state.position.y;
+  
+  // Rotate into the body frame, long axis along x
+  const along = dx * Math.cos(heading) + dy * Math.sin(heading);
+  const across = -dx * Math.sin(heading) + dy * Math.cos(heading);
+  
+  return (along / halfLength) ** 2 + (across / halfWidth) ** 2 < 1;
+}
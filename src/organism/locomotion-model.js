@@ -0,0 +1,60 @@
+/**
+ * @module locomotion-model
+ * @description Derives swimming performance from body and appendage morphology
+ * @domain Organism
+ * @private Should only be used by organism-manager.js
+ */
+
+import { CONSTANTS } from '../utils/core';
+
+/**
+ * Computes how fast, how nimbly and at what cost an organism can move
+ *
+ * Each appendage attaches at its angle gene around the body, measured from the
+ * heading (0 front, 0.5 rear). Appendages push backwards along the body axis, so
+ * only rear-facing ones produce forward thrust; sideways ones produce turning
+ * torque, with the position gene setting the lever arm. Every appendage adds drag
+ * and upkeep in proportion to its length. Fins are built for thrust, flagella for
+ * maneuvering. Larger bodies are slower and turn more sluggishly; elongated
+ * bodies cut drag by presenting a narrower front but resist turning.
+ *
+ * @param {Object} phenotype - The organism's phenotype
+ * @param {number} mediumDrag - Extra drag from the surroundings, e.g. the local biome
+ * @returns {Object} Locomotion {maxSpeed (px/s), turnRate (rad/s), thrust, torque, drag, costMultiplier}
+ */
+export function computeLocomotion(phenotype, mediumDrag = 0) {
+  const { BASE_SPEED, BASE_TURN_RATE, BODY_DRAG, SHAPE_DRAG, APPENDAGE_TYPES } = CONSTANTS.LOCOMOTION;
+  const elongation = phenotype.elongation || 1;
+  
+  // Frontal width relative to a circle of the same area, and rotational inertia relative to that circle
+  const frontalWidth = 1 / Math.sqrt(elongation);
+  const turningInertia = (elongation + 1 / elongation) / 2;
+  
+  let thrust = 0;
+  let torque = 0;
+  let drag = BODY_DRAG * (phenotype.bodySize - 0.5) - SHAPE_DRAG * (1 - frontalWidth) + mediumDrag;
+  let upkeep = 0;
+  
+  (phenotype.appendages || []).forEach(appendage => {
+    const properties = APPENDAGE_TYPES[appendage.type];
+    if (!properties) return;
+    
+    const attachAngle = appendage.angle * Math.PI * 2;
+    const leverArm = 0.5 + 0.5 * appendage.position;
+    
+    thrust += properties.THRUST * appendage.length * Math.max(0, -Math.cos(attachAngle));
+    torque += properties.TORQUE * appendage.length * Math.abs(Math.sin(attachAngle)) * leverArm;
+    drag += properties.DRAG * appendage.length;
+    upkeep += properties.COST * appendage.length;
+  });
+  
+  return {
+    maxSpeed: BASE_SPEED * (phenotype.speed + thrust) / (1 + drag),
+    turnRate: BASE_TURN_RATE * (phenotype.turnRate + torque) / ((0.5 + phenotype.bodySize) * turningInertia),
+    thrust,
+    torque,
+    drag,
+    // Working against drag and powering appendages both raise the cost of moving
+    costMultiplier: 1 + Math.max(0, drag) + upkeep
+  };
+}
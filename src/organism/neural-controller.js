@@ -0,0 +1,80 @@
+/**
+ * @module neural-controller
+ * @description Small recurrent neural networks that steer organisms in neural behavior mode
+ * @domain Organism
+ * @private Should only be used by organism-manager.js
+ *
+ * A brain is stored in the genome as plain data:
+ *   {
+ *     mutationRate,
+ *     hidden: [{ inputWeights: [INPUT_COUNT], recurrentWeight, bias }],
+ *     outputs: [{ inputWeights: [INPUT_COUNT], hiddenWeights: [hidden.length], bias }]
+ *   }
+ * Hidden neurons see the sensor inputs and their own previous activation, which
+ * gives the network a short memory. Outputs see the inputs directly as well as
+ * the hidden layer, so a brain without hidden neurons is a plain perceptron.
+ */
+
+import { CONSTANTS } from '../utils/core';
+import { gaussian } from '../utils/math-utils';
+
+/**
+ * Creates a brain with random weights
+ * @returns {Object} A new brain
+ */
+export function createRandomBrain() {
+  const { INPUT_COUNT, OUTPUT_COUNT, INITIAL_HIDDEN, MUTATION_RATE } = CONSTANTS.BRAIN;
+  const randomWeight = () => gaussian(0, 0.5);
+  const randomWeights = count => Array.from({ length: count }, randomWeight);
+  
+  return {
+    mutationRate: MUTATION_RATE,
+    hidden: Array.from({ length: INITIAL_HIDDEN }, () => ({
+      inputWeights: randomWeights(INPUT_COUNT),
+      recurrentWeight: randomWeight(),
+      bias: randomWeight()
+    })),
+    outputs: Array.from({ length: OUTPUT_COUNT }, () => ({
+      inputWeights: randomWeights(INPUT_COUNT),
+      hiddenWeights: randomWeights(INITIAL_HIDDEN),
+      bias: randomWeight()
+    }))
+  };
+}
+
+/**
+ * Runs a brain for one step
+ * @param {Object} brain - The brain from the genome
+ * @param {Array<number>} inputs - Sensor readings, INPUT_COUNT values roughly in [-1, 1]
+ * @param {Array<number>} memory - Hidden activations from the previous step (may be empty)
+ * @returns {Object} Outputs {thrust, turn} in [-1, 1] and the new hidden activations as memory
+ */
+export function evaluateBrain(brain, inputs, memory = []) {
+  const hiddenActivations = brain.hidden.map((neuron, index) => Math.tanh(
+    weightedSum(neuron.inputWeights, inputs) +
+    neuron.recurrentWeight * (memory[index] || 0) +
+    neuron.bias
+  ));
+  
+  const [thrust, turn] = brain.outputs.map(neuron => Math.tanh(
+    weightedSum(neuron.inputWeights, inputs) +
+    weightedSum(neuron.hiddenWeights, hiddenActivations) +
+    neuron.bias
+  ));
+  
+  return { thrust, turn, memory: hiddenActivations };
+}
+
+/**
+ * Computes the dot product of weights and values
+ * @param {Array<number>} weights - Connection weights
+ * @param {Array<number>} values - Input values
+ * @returns {number} Weighted sum
+ */
+function weightedSum(weights, values) {
+  let sum = 0;
+  for (let i = 0; i < weights.length; i++) {
+    sum += weights[i] * (values[i] || 0);
+  }
+  return sum;
+}
@@ -5,12 +5,43 @@
  * @responsibility Manages organism lifecycle, morphology and behaviors
  */
 
-import { CONSTANTS, generateId, deepClone, mapRange } from '../utils/core';
-import { distance, angle, random, gaussian } from '../utils/math-utils';
+import { CONSTANTS, deepClone, frozenCopy, mapRange } from '../utils/core';
+import { angle, random, randomFloat, gaussian } from '../utils/math-utils';
+import { queryGridRange, findNearestInGrid, removeFromGrid, moveInGrid } from '../utils/spatial-grid';
+import { getBiomeAt } from '../utils/biome-map';
+import { computeLocomotion } from './locomotion-model';
+import { createRandomBrain, evaluateBrain } from './neural-controller';
+import {
+  getSensorReach,
+  sensesPoint,
+  senseWalls,
+  senseChemicals,
+  computeSensorCost
+} from './sensor-model';
+import {
+  getBodyRadius,
+  getElongation,
+  getBodyAxes,
+  getBodyExtent,
+  getMaxBodyExtent,
+  getHeading,
+  bodyContainsPoint
+} from './body-geometry';
+
+// Supported ways of choosing where organisms move
+export const BEHAVIOR_MODES = ['scripted', 'neural'];
 
 // Internal state - not accessible outside this domain
 let organisms = [];
 let nextOrganismId = 1;
+let predationCount = 0;
+let resourceConsumption = {}; // resource type -> number eaten
+let behaviorMode = CONSTANTS.ORGANISM.DEFAULT_BEHAVIOR_MODE;
+let organismsById = new Map(); // Living organisms by ID, kept in step with organisms
+
+// Read-only copy of the population shared by all readers until the next change
+let populationVersion = 0;
+let populationSnapshot = null;
 
 /**
  * Initializes the organism system
@@ -19,6 +50,11 @@ let nextOrganismId = 1;
 export function initializeOrganismSystem() {
   try {
     organisms = [];
+    organismsById = new Map();
+    nextOrganismId = 1;
+    predationCount = 0;
+    resourceConsumption = {};
+    markPopulationChanged();
     console.log('Organism system initialized');
     return true;
   } catch (error) {
@@ -27,6 +63,31 @@ export function initializeOrganismSystem() {
   }
 }
 
+/**
+ * Sets how organisms decide where to move
+ * The mode is a setting and survives re-initialization. Genomes always carry a
+ * brain, so switching modes mid-run is possible.
+ * @param {string} mode - 'scripted' (seek food, chase prey, flee threats) or 'neural' (evolved network)
+ * @returns {boolean} Success status
+ */
+export function setBehaviorMode(mode) {
+  if (!BEHAVIOR_MODES.includes(mode)) {
+    console.error(`Unknown behavior mode: ${mode}`);
+    return false;
+  }
+  
+  behaviorMode = mode;
+  return true;
+}
+
+/**
+ * Gets the current behavior mode
+ * @returns {string} The behavior mode
+ */
+export function getBehaviorMode() {
+  return behaviorMode;
+}
+
 /**
  * Creates a new organism with default properties
  * @param {Object} properties - Optional properties to override defaults
@@ -41,10 +102,19 @@ export function createOrganism(properties = {}) {
   // Generate phenotype from genome
   const phenotype = generatePhenotype(genome);
   
+  const id = properties.id || `organism-${nextOrganismId++}`;
+  
   const defaultOrganism = {
-    id: generateId(),
+    id,
     genome: genome,
     phenotype: phenotype,
+    // Lineage: founders are generation 0 and start their own lineage
+    parentId: null,
+    coParentId: null,
+    lineageId: id,
+    generation: 0,
+    birthTime: 0,
+    speciesId: null,
     state: {
       position: { x: 0, y: 0 },
       velocity: { x: 0, y: 0 },
@@ -64,6 +134,8 @@ export function createOrganism(properties = {}) {
   };
 
   organisms.push(organism);
+  organismsById.set(organism.id, organism);
+  markPopulationChanged();
   return organism;
 }
 
@@ -85,13 +157,13 @@ export function createInitialPopulation(count, environmentBounds) {
       genome: genome,
       state: {
         position: {
-          x: Math.random() * environmentBounds.width,
-          y: Math.random() * environmentBounds.height
+          x: randomFloat() * environmentBounds.width,
+          y: randomFloat() * environmentBounds.height
         },
         // Initial random velocity for movement
         velocity: {
-          x: (Math.random() - 0.5) * 10,
-          y: (Math.random() - 0.5) * 10
+          x: (randomFloat() - 0.5) * 10,
+          y: (randomFloat() - 0.5) * 10
         }
       }
     });
@@ -104,31 +176,121 @@ export function createInitialPopulation(count, environmentBounds) {
 
 /**
  * Retrieves all organisms
- * @returns {Array} Array of all organisms
+ * The array is shared with other readers and deeply frozen; it is the
+ * organisms list of getPopulationSnapshot.
+ * @returns {Array} Read-only array of all organisms
  */
 export function getAllOrganisms() {
-  // Return a copy to prevent external modification
-  return deepClone(organisms);
+  return getPopulationSnapshot().organisms;
+}
+
+/**
+ * Gets a read-only snapshot of the population
+ * The snapshot is copied at most once per change to the population and then
+ * shared by every caller, so readers within the same tick never copy again.
+ * Compare versions to tell whether anything changed since a previous read.
+ * @returns {Object} Frozen snapshot {version, organisms}
+ */
+export function getPopulationSnapshot() {
+  if (!populationSnapshot) {
+    populationSnapshot = Object.freeze({
+      version: populationVersion,
+      organisms: frozenCopy(organisms)
+    });
+  }
+  return populationSnapshot;
+}
+
+/**
+ * Invalidates the shared population snapshot after any change to the organisms
+ */
+function markPopulationChanged() {
+  populationVersion++;
+  populationSnapshot = null;
+}
+
+/**
+ * Brings the shared snapshot up to date after a change to a single organism
+ * Only that organism is copied again; the other entries are frozen already and
+ * are shared with the previous snapshot.
+ * @param {Object} organism - The organism that changed
+ */
+function markOrganismChanged(organism) {
+  if (!populationSnapshot) {
+    markPopulationChanged();
+    return;
+  }
+  
+  populationVersion++;
+  populationSnapshot = Object.freeze({
+    version: populationVersion,
+    organisms: Object.freeze(populationSnapshot.organisms.map(entry => (
+      entry.id === organism.id ? frozenCopy(organism) : entry
+    )))
+  });
+}
+
+/**
+ * Gets the number of living organisms
+ * @returns {number} Population size
+ */
+export function getOrganismCount() {
+  return organisms.length;
+}
+
+/**
+ * Gets the ID and position of every organism, e.g. for building a spatial index
+ * @returns {Array} Objects of the form {id, position}
+ */
+export function getOrganismPositions() {
+  return organisms.map(organism => ({
+    id: organism.id,
+    position: { ...organism.state.position }
+  }));
 }
 
 /**
  * Updates all organisms based on the current simulation state
  * @param {number} deltaTime - Time elapsed since last update
  * @param {Object} environment - Current environment state
+ * @param {Object} spatialIndex - Spatial grids kept in sync with the world
+ * @param {Object} spatialIndex.organisms - Grid of organism IDs at their positions
+ * @param {Object} spatialIndex.resources - Grid of resource objects at their positions
+ * @returns {Array} Copies of the organisms that died during this update
  */
-export function updateOrganisms(deltaTime, environment) {
+export function updateOrganisms(deltaTime, environment, spatialIndex) {
+  const crowdingPenalty = environment.parameters.crowdingPenalty || 0;
+  
   organisms.forEach(organism => {
+    // Prey killed earlier in this step no longer acts
+    if (organism.state.dead) return;
+    
+    // Remember where this step started so rendering can interpolate
+    organism.state.previousPosition = { ...organism.state.position };
+    
     // Increase age
     organism.state.age += deltaTime;
     
-    // Decrease energy over time (metabolism)
-    decreaseEnergy(organism, deltaTime);
+    // Body and appendages determine how the organism can move, the local biome how hard it is going
+    const biome = getBiomeAt(environment, organism.state.position);
+    const locomotion = computeLocomotion(organism.phenotype, biome.drag);
+    
+    // Decrease energy over time (metabolism), scaled by the biome and raised in crowded areas
+    const crowding = crowdingPenalty > 0 ? countCrowdingNeighbors(organism, spatialIndex.organisms) : 0;
+    decreaseEnergy(organism, deltaTime, locomotion, biome.metabolicCost * (1 + crowding * crowdingPenalty));
     
     // Move organism
-    moveOrganism(organism, deltaTime, environment);
+    moveOrganism(organism, deltaTime, environment, spatialIndex, locomotion);
+    moveInGrid(spatialIndex.organisms, organism.id, organism.state.position);
     
     // Find resources
-    findAndConsumeResources(organism, environment);
+    findAndConsumeResources(organism, environment, spatialIndex.resources);
+    
+    // Carnivores attack prey they touch
+    huntPrey(organism, spatialIndex.organisms);
+    
+    // Push apart from overlapping organisms
+    resolveCollisions(organism, environment, spatialIndex.organisms);
     
     // Check if organism has died
     if (organism.state.energy <= 0) {
@@ -138,27 +300,38 @@ export function updateOrganisms(deltaTime, environment) {
   });
   
   // Remove dead organisms
+  const dead = organisms.filter(o => o.state.dead);
   organisms = organisms.filter(o => !o.state.dead);
+  dead.forEach(organism => organismsById.delete(organism.id));
+  markPopulationChanged();
+  
+  return deepClone(dead);
 }
 
 /**
  * Decreases organism energy based on metabolism and activity
  * @param {Object} organism - The organism to update
  * @param {number} deltaTime - Time elapsed since last update
+ * @param {Object} locomotion - Locomotion computed by computeLocomotion
+ * @param {number} metabolicMultiplier - Factor applied to the base metabolic cost, e.g. for the biome and crowding
  */
-function decreaseEnergy(organism, deltaTime) {
+function decreaseEnergy(organism, deltaTime, locomotion, metabolicMultiplier = 1) {
   // Base energy consumption based on metabolism
-  const baseConsumption = organism.phenotype.metabolism * CONSTANTS.ORGANISM.MOVEMENT_ENERGY_COST * deltaTime;
+  const baseConsumption = organism.phenotype.metabolism * CONSTANTS.ORGANISM.MOVEMENT_ENERGY_COST * deltaTime * metabolicMultiplier;
   
-  // Additional consumption based on movement
+  // Additional consumption based on movement, working against drag and powering appendages
   const speed = Math.sqrt(organism.state.velocity.x ** 2 + organism.state.velocity.y ** 2);
-  const movementConsumption = speed * CONSTANTS.ORGANISM.MOVEMENT_ENERGY_COST * deltaTime;
+  const movementConsumption = speed * CONSTANTS.ORGANISM.MOVEMENT_ENERGY_COST * deltaTime * locomotion.costMultiplier;
   
   // Size-based consumption (larger organisms use more energy)
   const sizeConsumption = organism.phenotype.bodySize * 0.01 * deltaTime;
   
+  // Sensors cost energy in proportion to the area they cover, telling toxins apart costs extra
+  const sensorConsumption = computeSensorCost(organism.phenotype) * deltaTime;
+  const detectionConsumption = (organism.phenotype.toxinDetection || 0) * CONSTANTS.RESOURCE.DETECTION_COST * deltaTime;
+  
   // Update energy
-  organism.state.energy -= (baseConsumption + movementConsumption + sizeConsumption);
+  organism.state.energy -= (baseConsumption + movementConsumption + sizeConsumption + sensorConsumption + detectionConsumption);
   
   // Ensure energy doesn't go below 0
   organism.state.energy = Math.max(0, organism.state.energy);
@@ -169,21 +342,26 @@ function decreaseEnergy(organism, deltaTime) {
  * @param {Object} organism - The organism to move
  * @param {number} deltaTime - Time elapsed since last update
  * @param {Object} environment - Current environment state
+ * @param {Object} spatialIndex - Spatial grids of organisms and resources
+ * @param {Object} locomotion - Locomotion computed by computeLocomotion
  */
-function moveOrganism(organism, deltaTime, environment) {
-  // Calculate movement properties based on phenotype
-  const maxSpeed = organism.phenotype.speed * 50; // Max speed in pixels per second
-  const turnRate = organism.phenotype.turnRate * 2; // Turn rate in radians per second
+function moveOrganism(organism, deltaTime, environment, spatialIndex, locomotion) {
+  // Movement limits come from the body and its appendages
+  const { maxSpeed, turnRate } = locomotion;
+  const organismGrid = spatialIndex.organisms;
   
-  // Check if there are nearby resources to move towards
-  const nearestResource = findNearestResource(organism, environment);
-  
-  if (nearestResource) {
-    // Move towards resource
-    moveTowardsTarget(organism, nearestResource.position, maxSpeed, turnRate, deltaTime);
+  if (behaviorMode === 'neural' && organism.genome.brain) {
+    // The evolved network gets every sensor reading and decides for itself
+    const surroundings = {
+      threat: findNearestOrganism(organism, organismGrid, other => canPreyOn(other, organism)),
+      prey: findNearestOrganism(organism, organismGrid, other => canPreyOn(organism, other)),
+      resource: findNearestResource(organism, spatialIndex.resources, environment.parameters.resourceTypes),
+      chemical: senseChemicals(organism, spatialIndex.resources),
+      wall: senseWalls(organism, environment.boundaries)
+    };
+    steerWithBrain(organism, surroundings, maxSpeed, turnRate, deltaTime);
   } else {
-    // Random movement if no resources nearby
-    randomMovement(organism, maxSpeed, turnRate, deltaTime);
+    steerScripted(organism, environment, spatialIndex, maxSpeed, turnRate, deltaTime);
   }
   
   // Update position based on velocity
@@ -195,29 +373,238 @@ function moveOrganism(organism, deltaTime, environment) {
 }
 
 /**
- * Finds the nearest resource to an organism
- * @param {Object} organism - The organism
+ * Steers an organism with the built-in rules
+ * Escaping predators takes priority over hunting, hunting over foraging.
+ * Without a target in sight organisms follow the scent of food, then turn
+ * away from walls they sense, and otherwise wander.
+ * @param {Object} organism - The organism to steer
  * @param {Object} environment - Current environment state
- * @returns {Object|null} The nearest resource or null if none found
+ * @param {Object} spatialIndex - Spatial grids of organisms and resources
+ * @param {number} maxSpeed - Maximum speed in pixels per second
+ * @param {number} turnRate - Turn rate in radians per second
+ * @param {number} deltaTime - Time elapsed since last update
  */
-function findNearestResource(organism, environment) {
-  if (!environment.resources || environment.resources.length === 0) {
-    return null;
+function steerScripted(organism, environment, spatialIndex, maxSpeed, turnRate, deltaTime) {
+  const organismGrid = spatialIndex.organisms;
+  const nearestThreat = findNearestOrganism(organism, organismGrid, other => canPreyOn(other, organism));
+  const nearestPrey = nearestThreat ? null : findNearestOrganism(organism, organismGrid, other => canPreyOn(organism, other));
+  const nearestResource = nearestThreat || nearestPrey
+    ? null
+    : findNearestResource(organism, spatialIndex.resources, environment.parameters.resourceTypes);
+  
+  if (nearestThreat) {
+    // Flee directly away from the threat
+    const fleeTarget = {
+      x: 2 * organism.state.position.x - nearestThreat.state.position.x,
+      y: 2 * organism.state.position.y - nearestThreat.state.position.y
+    };
+    moveTowardsTarget(organism, fleeTarget, maxSpeed, turnRate, deltaTime);
+  } else if (nearestPrey) {
+    // Chase prey
+    moveTowardsTarget(organism, nearestPrey.state.position, maxSpeed, turnRate, deltaTime);
+  } else if (nearestResource) {
+    // Move towards resource
+    moveTowardsTarget(organism, nearestResource.position, maxSpeed, turnRate, deltaTime);
+    return;
   }
   
-  const sensorRange = organism.phenotype.sensorRange * 200; // Convert to pixels
-  let nearestResource = null;
-  let nearestDistance = Infinity;
+  const chemical = senseChemicals(organism, spatialIndex.resources);
+  const wall = chemical.intensity > 0 ? null : senseWalls(organism, environment.boundaries);
   
-  environment.resources.forEach(resource => {
-    const dist = distance(organism.state.position, resource.position);
-    if (dist < sensorRange && dist < nearestDistance) {
-      nearestDistance = dist;
-      nearestResource = resource;
-    }
+  if (chemical.intensity > 0) {
+    // Follow the scent towards the sensor that smells the most food
+    moveTowardsTarget(organism, pointInDirection(organism, chemical.direction), maxSpeed, turnRate, deltaTime);
+  } else if (wall.proximity > 0) {
+    // Turn away from the nearest wall in view
+    moveTowardsTarget(organism, pointInDirection(organism, wall.direction + Math.PI), maxSpeed, turnRate, deltaTime);
+  } else {
+    // Random movement if nothing is sensed
+    randomMovement(organism, maxSpeed, turnRate, deltaTime);
+  }
+}
+
+/**
+ * Gets a point ahead of an organism in a direction relative to its heading
+ * @param {Object} organism - The organism
+ * @param {number} direction - Direction in radians relative to the heading
+ * @returns {Object} World position {x, y}
+ */
+function pointInDirection(organism, direction) {
+  const worldDirection = getHeading(organism.state) + direction;
+  
+  return {
+    x: organism.state.position.x + Math.cos(worldDirection),
+    y: organism.state.position.y + Math.sin(worldDirection)
+  };
+}
+
+/**
+ * Steers an organism with the neural network encoded in its genome
+ * The network's thrust output sets the speed (from standstill to maxSpeed)
+ * and its turn output the share of the turn rate used this step.
+ * @param {Object} organism - The organism to steer
+ * @param {Object} surroundings - Sensed threat, prey and resource (each may be null) and chemical and wall readings
+ * @param {number} maxSpeed - Maximum speed in pixels per second
+ * @param {number} turnRate - Turn rate in radians per second
+ * @param {number} deltaTime - Time elapsed since last update
+ */
+function steerWithBrain(organism, surroundings, maxSpeed, turnRate, deltaTime) {
+  const inputs = senseSurroundings(organism, surroundings);
+  const { thrust, turn, memory } = evaluateBrain(organism.genome.brain, inputs, organism.state.brainMemory);
+  organism.state.brainMemory = memory;
+  
+  const heading = getHeading(organism.state);
+  const newHeading = heading + turn * turnRate * deltaTime;
+  const speed = maxSpeed * (thrust + 1) / 2;
+  
+  organism.state.velocity.x = Math.cos(newHeading) * speed;
+  organism.state.velocity.y = Math.sin(newHeading) * speed;
+}
+
+/**
+ * Builds the sensor readings fed to an organism's brain
+ * Directions are relative to the heading and scaled to [-1, 1]; proximities
+ * are 1 at contact and fall to 0 at the reach of the sensors that saw the target.
+ * @param {Object} organism - The sensing organism
+ * @param {Object} surroundings - Sensed threat, prey and resource (each may be null) and chemical and wall readings
+ * @returns {Array<number>} CONSTANTS.BRAIN.INPUT_COUNT readings
+ */
+function senseSurroundings(organism, surroundings) {
+  const { position } = organism.state;
+  const heading = getHeading(organism.state);
+  
+  // Direction and proximity of a target, or zeros when nothing is sensed
+  const senseTarget = (target, stimulus) => {
+    if (!target) return [0, 0];
+    
+    const dx = target.x - position.x;
+    const dy = target.y - position.y;
+    let bearing = Math.atan2(dy, dx) - heading;
+    while (bearing > Math.PI) bearing -= 2 * Math.PI;
+    while (bearing < -Math.PI) bearing += 2 * Math.PI;
+    
+    const reach = getSensorReach(organism.phenotype, stimulus);
+    return [bearing / Math.PI, Math.max(0, 1 - Math.sqrt(dx * dx + dy * dy) / reach)];
+  };
+  
+  const { threat, prey, resource, chemical, wall } = surroundings;
+  const chemicalBearing = Math.atan2(Math.sin(chemical.direction), Math.cos(chemical.direction));
+  
+  return [
+    ...senseTarget(resource ? resource.position : null, 'food'),
+    ...senseTarget(threat ? threat.state.position : null, 'organism'),
+    ...senseTarget(prey ? prey.state.position : null, 'organism'),
+    chemical.intensity > 0 ? chemicalBearing / Math.PI : 0,
+    chemical.intensity,
+    Math.min(1.5, organism.state.energy / CONSTANTS.ORGANISM.REPRODUCTION_ENERGY_THRESHOLD),
+    wall.proximity
+  ];
+}
+
+/**
+ * Finds the nearest resource an organism's food sensors can see, ignoring ones it knows are harmful
+ * @param {Object} organism - The organism
+ * @param {Object} resourceGrid - Spatial grid of resources
+ * @param {Object} resourceTypes - The environment's resource type registry
+ * @returns {Object|null} The nearest resource or null if none found
+ */
+function findNearestResource(organism, resourceGrid, resourceTypes) {
+  const reach = getSensorReach(organism.phenotype, 'food');
+  if (reach === 0) return null;
+  
+  return findNearestInGrid(resourceGrid, organism.state.position, reach, resource =>
+    !recognizesHarm(organism, resource, resourceTypes) && sensesPoint(organism, 'food', resource.position)
+  );
+}
+
+/**
+ * Checks whether an organism recognizes a resource as harmful
+ * Harmful resources pass as food unless the organism's toxinDetection gene
+ * exceeds the resource's disguise.
+ * @param {Object} organism - The organism
+ * @param {Object} resource - The resource
+ * @param {Object} resourceTypes - The environment's resource type registry
+ * @returns {boolean} True if the organism avoids the resource
+ */
+function recognizesHarm(organism, resource, resourceTypes) {
+  const type = resourceTypes[resource.type];
+  
+  return type !== undefined && type.effect === 'drain' &&
+    (organism.phenotype.toxinDetection || 0) > (resource.disguise || 0);
+}
+
+/**
+ * Finds the nearest other organism the organism's sensors can see that matches a predicate
+ * @param {Object} organism - The sensing organism
+ * @param {Object} organismGrid - Spatial grid of organism IDs
+ * @param {Function} predicate - Filter applied to candidate organisms
+ * @returns {Object|null} The nearest matching organism or null if none found
+ */
+function findNearestOrganism(organism, organismGrid, predicate) {
+  const reach = getSensorReach(organism.phenotype, 'organism');
+  if (reach === 0) return null;
+  
+  const nearestId = findNearestInGrid(organismGrid, organism.state.position, reach, id => {
+    const other = organismsById.get(id);
+    return other !== undefined && other !== organism && !other.state.dead &&
+      predicate(other) && sensesPoint(organism, 'organism', other.state.position);
   });
   
-  return nearestResource;
+  return nearestId ? organismsById.get(nearestId) : null;
+}
+
+/**
+ * Checks whether one organism is able to prey on another
+ * Hunters must be carnivorous, sit higher in the food chain than their prey
+ * and cannot take prey much larger than themselves.
+ * @param {Object} predator - The potential predator
+ * @param {Object} prey - The potential prey
+ * @returns {boolean} True if the predator can attack the prey
+ */
+function canPreyOn(predator, prey) {
+  const { CARNIVORE_THRESHOLD, MAX_PREY_SIZE_ADVANTAGE } = CONSTANTS.PREDATION;
+  
+  return predator.phenotype.diet >= CARNIVORE_THRESHOLD &&
+    prey.phenotype.diet < predator.phenotype.diet &&
+    prey.phenotype.bodySize <= predator.phenotype.bodySize + MAX_PREY_SIZE_ADVANTAGE;
+}
+
+/**
+ * Kills the nearest prey in contact with a carnivore and transfers its energy
+ * Larger predators extract more energy from smaller prey; the diet gene
+ * scales how much of it a carnivore can digest.
+ * @param {Object} predator - The hunting organism
+ * @param {Object} organismGrid - Spatial grid of organism IDs
+ */
+function huntPrey(predator, organismGrid) {
+  if (predator.phenotype.diet < CONSTANTS.PREDATION.CARNIVORE_THRESHOLD) return;
+  
+  const maxReach = 2 * getMaxBodyExtent();
+  
+  // Bodies touch when centers are closer than the sum of their extents toward each other
+  const preyId = findNearestInGrid(organismGrid, predator.state.position, maxReach, id => {
+    const other = organismsById.get(id);
+    return other !== undefined &&
+      other !== predator &&
+      !other.state.dead &&
+      canPreyOn(predator, other) &&
+      bodiesTouch(predator, other);
+  });
+  
+  if (!preyId) return;
+  
+  const prey = organismsById.get(preyId);
+  
+  const sizeDifference = predator.phenotype.bodySize - prey.phenotype.bodySize;
+  const efficiency = Math.max(0, Math.min(1, CONSTANTS.PREDATION.KILL_EFFICIENCY + sizeDifference));
+  
+  predator.state.energy += prey.state.energy * efficiency * predator.phenotype.diet;
+  
+  prey.state.energy = 0;
+  prey.state.dead = true;
+  prey.state.killedBy = predator.id;
+  removeFromGrid(organismGrid, prey.id);
+  predationCount++;
 }
 
 /**
@@ -267,11 +654,11 @@ function randomMovement(organism, maxSpeed, turnRate, deltaTime) {
   const currentAngle = Math.atan2(organism.state.velocity.y, organism.state.velocity.x);
   
   // Random angle change
-  const randomTurn = (Math.random() - 0.5) * turnRate * deltaTime;
+  const randomTurn = (randomFloat() - 0.5) * turnRate * deltaTime;
   const newAngle = currentAngle + randomTurn;
   
   // Random speed variation (80-100% of max speed)
-  const speedVariation = 0.8 + Math.random() * 0.2;
+  const speedVariation = 0.8 + randomFloat() * 0.2;
   const speed = maxSpeed * speedVariation;
   
   // Update velocity
@@ -286,52 +673,153 @@ function randomMovement(organism, maxSpeed, turnRate, deltaTime) {
  */
 function constrainToEnvironment(organism, environment) {
   const { width, height } = environment.boundaries;
-  const radius = mapPhenotypeToSize(organism.phenotype.bodySize);
+  
+  // How far the body reaches horizontally and vertically at its current heading
+  const extentX = getBodyExtent(organism, 0);
+  const extentY = getBodyExtent(organism, Math.PI / 2);
   
   // Constrain x position
-  if (organism.state.position.x < radius) {
-    organism.state.position.x = radius;
+  if (organism.state.position.x < extentX) {
+    organism.state.position.x = extentX;
     organism.state.velocity.x = Math.abs(organism.state.velocity.x);
-  } else if (organism.state.position.x > width - radius) {
-    organism.state.position.x = width - radius;
+  } else if (organism.state.position.x > width - extentX) {
+    organism.state.position.x = width - extentX;
     organism.state.velocity.x = -Math.abs(organism.state.velocity.x);
   }
   
   // Constrain y position
-  if (organism.state.position.y < radius) {
-    organism.state.position.y = radius;
+  if (organism.state.position.y < extentY) {
+    organism.state.position.y = extentY;
     organism.state.velocity.y = Math.abs(organism.state.velocity.y);
-  } else if (organism.state.position.y > height - radius) {
-    organism.state.position.y = height - radius;
+  } else if (organism.state.position.y > height - extentY) {
+    organism.state.position.y = height - extentY;
     organism.state.velocity.y = -Math.abs(organism.state.velocity.y);
   }
 }
 
+/**
+ * Counts the other organisms in an organism's crowding neighborhood
+ * @param {Object} organism - The organism
+ * @param {Object} organismGrid - Spatial grid of organism IDs
+ * @returns {number} Number of neighbors
+ */
+function countCrowdingNeighbors(organism, organismGrid) {
+  const radius = getBodyRadius(organism.phenotype.bodySize) * CONSTANTS.PHYSICS.CROWDING_RADIUS;
+  
+  return queryGridRange(organismGrid, organism.state.position, radius)
+    .filter(id => id !== organism.id)
+    .length;
+}
+
+/**
+ * Checks whether two organisms' bodies overlap
+ * Each body's extent is measured along the line between the two centers.
+ * @param {Object} organismA - The first organism
+ * @param {Object} organismB - The second organism
+ * @returns {boolean} True if the bodies touch
+ */
+function bodiesTouch(organismA, organismB) {
+  const dx = organismB.state.position.x - organismA.state.position.x;
+  const dy = organismB.state.position.y - organismA.state.position.y;
+  const direction = Math.atan2(dy, dx);
+  
+  return Math.sqrt(dx * dx + dy * dy) <
+    getBodyExtent(organismA, direction) + getBodyExtent(organismB, direction + Math.PI);
+}
+
+/**
+ * Separates an organism from every organism it overlaps and exchanges momentum
+ * Bodies are ellipses whose extent toward each other sets the contact
+ * distance, with mass proportional to their area, so larger organisms shove
+ * smaller ones aside and lose less speed.
+ * @param {Object} organism - The organism
+ * @param {Object} environment - Current environment state
+ * @param {Object} organismGrid - Spatial grid of organism IDs
+ */
+function resolveCollisions(organism, environment, organismGrid) {
+  if (organism.state.dead) return;
+  
+  const radius = getBodyRadius(organism.phenotype.bodySize);
+  const mass = radius * radius;
+  
+  queryGridRange(organismGrid, organism.state.position, 2 * getMaxBodyExtent()).forEach(id => {
+    const other = organismsById.get(id);
+    if (!other || other === organism || other.state.dead) return;
+    
+    const dx = other.state.position.x - organism.state.position.x;
+    const dy = other.state.position.y - organism.state.position.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    
+    // Collision normal from organism to other; coincident centers pick an arbitrary axis
+    const normalX = dist > 0 ? dx / dist : 1;
+    const normalY = dist > 0 ? dy / dist : 0;
+    const direction = Math.atan2(normalY, normalX);
+    const overlap = getBodyExtent(organism, direction) + getBodyExtent(other, direction + Math.PI) - dist;
+    
+    if (overlap <= 0) return;
+    
+    const otherRadius = getBodyRadius(other.phenotype.bodySize);
+    const otherMass = otherRadius * otherRadius;
+    const totalMass = mass + otherMass;
+    
+    // Separate the bodies, the lighter one moving further
+    organism.state.position.x -= normalX * overlap * (otherMass / totalMass);
+    organism.state.position.y -= normalY * overlap * (otherMass / totalMass);
+    other.state.position.x += normalX * overlap * (mass / totalMass);
+    other.state.position.y += normalY * overlap * (mass / totalMass);
+    
+    // Exchange momentum along the normal when the bodies approach each other
+    const approachSpeed =
+      (other.state.velocity.x - organism.state.velocity.x) * normalX +
+      (other.state.velocity.y - organism.state.velocity.y) * normalY;
+    
+    if (approachSpeed < 0) {
+      const impulse = -(1 + CONSTANTS.PHYSICS.RESTITUTION) * approachSpeed / (1 / mass + 1 / otherMass);
+      organism.state.velocity.x -= (impulse / mass) * normalX;
+      organism.state.velocity.y -= (impulse / mass) * normalY;
+      other.state.velocity.x += (impulse / otherMass) * normalX;
+      other.state.velocity.y += (impulse / otherMass) * normalY;
+    }
+    
+    constrainToEnvironment(other, environment);
+    moveInGrid(organismGrid, other.id, other.state.position);
+  });
+  
+  constrainToEnvironment(organism, environment);
+  moveInGrid(organismGrid, organism.id, organism.state.position);
+}
+
 /**
  * Finds and consumes nearby resources
  * @param {Object} organism - The organism
  * @param {Object} environment - Current environment state
+ * @param {Object} resourceGrid - Spatial grid of resources
  */
-function findAndConsumeResources(organism, environment) {
-  if (!environment.resources || environment.resources.length === 0) {
-    return;
-  }
+function findAndConsumeResources(organism, environment, resourceGrid) {
+  const { halfLength } = getBodyAxes(organism.phenotype);
   
-  const consumptionRadius = mapPhenotypeToSize(organism.phenotype.bodySize);
+  const { resourceTypes } = environment.parameters;
   
-  // Find resources within consumption radius
-  for (let i = environment.resources.length - 1; i >= 0; i--) {
-    const resource = environment.resources[i];
-    const dist = distance(organism.state.position, resource.position);
+  // Find resources the body covers; the long axis bounds the search
+  queryGridRange(resourceGrid, organism.state.position, halfLength).forEach(resource => {
+    if (!bodyContainsPoint(organism, resource.position)) return;
     
-    if (dist < consumptionRadius) {
-      // Consume the resource
-      organism.state.energy += resource.value;
-      
-      // Remove the resource from the environment
-      environment.resources.splice(i, 1);
+    // Organisms that recognize a harmful resource leave it alone
+    if (recognizesHarm(organism, resource, resourceTypes)) return;
+    
+    // Consume the resource; carnivores digest plant matter poorly, toxins hurt everyone
+    const type = resourceTypes[resource.type];
+    if (type && type.effect === 'drain') {
+      organism.state.energy = Math.max(0, organism.state.energy - resource.value);
+    } else {
+      organism.state.energy += resource.value * (1 - organism.phenotype.diet);
     }
-  }
+    resourceConsumption[resource.type] = (resourceConsumption[resource.type] || 0) + 1;
+    
+    // Remove the resource from the environment
+    removeFromGrid(resourceGrid, resource.id);
+    environment.resources.splice(environment.resources.indexOf(resource), 1);
+  });
 }
 
 /**
@@ -339,27 +827,53 @@ function findAndConsumeResources(organism, environment) {
  * @returns {Object} A randomly generated genome
  */
 function generateRandomGenome() {
+  // Most founders are herbivores; a minority starts out carnivorous
+  const isCarnivore = randomFloat() < CONSTANTS.PREDATION.CARNIVORE_FOUNDER_RATIO;
+  
   const genome = {
     // Basic properties
     bodySize: { value: random(0.3, 0.7), mutationRate: 0.03 },
     bodyShape: { value: random(0.3, 0.7), mutationRate: 0.02 },
+    color: { value: random(0, 1), mutationRate: 0.02 },
     metabolism: { value: random(0.3, 0.7), mutationRate: 0.03 },
-    sensorRange: { value: random(0.3, 0.7), mutationRate: 0.02 },
+    diet: { value: isCarnivore ? random(0.6, 0.9) : random(0, 0.2), mutationRate: 0.02 }, // 0 herbivore, 1 carnivore
+    toxinDetection: { value: random(0, 0.3), mutationRate: 0.03 }, // chance of telling poison from food
     
     // Movement properties
     speed: { value: random(0.3, 0.7), mutationRate: 0.04 },
     turnRate: { value: random(0.3, 0.7), mutationRate: 0.03 },
     
     // Appendages
-    appendages: []
+    appendages: [],
+    
+    // Sensor organs; every founder starts with forward-facing eyes for food and organisms
+    sensors: ['food', 'organism'].map(stimulus => ({
+      stimulus,
+      angle: { value: randomFloat() < 0.5 ? random(0, 0.05) : random(0.95, 1), mutationRate: 0.04 },
+      fieldOfView: { value: random(0.5, 0.9), mutationRate: 0.03 },
+      range: { value: random(0.3, 0.7), mutationRate: 0.02 }
+    })),
+    
+    // Neural controller used in neural behavior mode
+    brain: createRandomBrain()
   };
   
+  // Some founders also sense walls or the scent of food
+  if (randomFloat() < 0.5) {
+    genome.sensors.push({
+      stimulus: randomFloat() < 0.5 ? 'wall' : 'chemical',
+      angle: { value: random(0, 1), mutationRate: 0.04 },
+      fieldOfView: { value: random(0.1, 0.5), mutationRate: 0.03 },
+      range: { value: random(0.2, 0.6), mutationRate: 0.02 }
+    });
+  }
+  
   // Random number of appendages (0-3)
   const appendageCount = Math.floor(random(0, 3.99));
   
   // Add random appendages
   for (let i = 0; i < appendageCount; i++) {
-    const appendageType = Math.random() > 0.5 ? "fin" : "flagella";
+    const appendageType = randomFloat() > 0.5 ? "fin" : "flagella";
     
     genome.appendages.push({
       type: appendageType,
@@ -381,8 +895,10 @@ function generateDefaultGenome() {
     // Basic properties
     bodySize: { value: 0.5, mutationRate: 0.03 },
     bodyShape: { value: 0.5, mutationRate: 0.02 },
+    color: { value: 0.5, mutationRate: 0.02 },
     metabolism: { value: 0.5, mutationRate: 0.03 },
-    sensorRange: { value: 0.5, mutationRate: 0.02 },
+    diet: { value: 0, mutationRate: 0.02 }, // 0 herbivore, 1 carnivore
+    toxinDetection: { value: 0.1, mutationRate: 0.03 }, // chance of telling poison from food
     
     // Movement properties
     speed: { value: 0.5, mutationRate: 0.04 },
@@ -396,7 +912,26 @@ function generateDefaultGenome() {
         position: { value: 0.5, mutationRate: 0.02 }, // position along body
         angle: { value: 0.5, mutationRate: 0.04 }
       }
-    ]
+    ],
+    
+    // Sensor organs
+    sensors: [
+      {
+        stimulus: "food", // food, organism, wall, chemical
+        angle: { value: 0, mutationRate: 0.04 }, // direction from the heading (0 front, 0.5 rear)
+        fieldOfView: { value: 0.7, mutationRate: 0.03 }, // cone width as a fraction of a full circle
+        range: { value: 0.5, mutationRate: 0.02 }
+      },
+      {
+        stimulus: "organism",
+        angle: { value: 0, mutationRate: 0.04 },
+        fieldOfView: { value: 0.7, mutationRate: 0.03 },
+        range: { value: 0.5, mutationRate: 0.02 }
+      }
+    ],
+    
+    // Neural controller used in neural behavior mode
+    brain: createRandomBrain()
   };
 }
 
@@ -410,8 +945,11 @@ function generatePhenotype(genome) {
     // Map basic properties directly
     bodySize: genome.bodySize.value,
     bodyShape: genome.bodyShape.value,
+    elongation: getElongation(genome.bodyShape.value),
+    color: genome.color.value,
     metabolism: genome.metabolism.value,
-    sensorRange: genome.sensorRange.value,
+    diet: genome.diet.value,
+    toxinDetection: genome.toxinDetection.value,
     
     // Map movement properties
     speed: genome.speed.value,
@@ -431,28 +969,58 @@ function generatePhenotype(genome) {
     }));
   }
   
+  // Map sensors; sensorRange summarizes how far the organism can see at best
+  phenotype.sensors = (genome.sensors || []).map(sensor => ({
+    stimulus: sensor.stimulus,
+    angle: sensor.angle.value,
+    fieldOfView: sensor.fieldOfView.value,
+    range: sensor.range.value
+  }));
+  phenotype.sensorRange = phenotype.sensors.reduce((longest, sensor) => Math.max(longest, sensor.range), 0);
+  
   return phenotype;
 }
 
-/**
- * Maps phenotype body size value to visual size
- * @param {number} value - Normalized phenotype value (0-1)
- * @returns {number} Visual size in pixels
- */
-function mapPhenotypeToSize(value) {
-  return CONSTANTS.ORGANISM.MIN_SIZE + 
-    value * (CONSTANTS.ORGANISM.MAX_SIZE - CONSTANTS.ORGANISM.MIN_SIZE);
-}
-
 /**
  * Removes an organism from the simulation
  * @param {string} organismId - ID of the organism to remove
  * @returns {boolean} Success status
  */
 export function removeOrganism(organismId) {
-  const initialLength = organisms.length;
+  if (!organismsById.has(organismId)) return false;
+  
   organisms = organisms.filter(o => o.id !== organismId);
-  return organisms.length < initialLength;
+  organismsById.delete(organismId);
+  markPopulationChanged();
+  return true;
+}
+
+/**
+ * Sets the energy of an organism in place
+ * @param {string} organismId - ID of the organism to update
+ * @param {number} energy - New energy value
+ * @returns {boolean} Success status
+ */
+export function setOrganismEnergy(organismId, energy) {
+  const organism = organismsById.get(organismId);
+  if (!organism) return false;
+  
+  organism.state.energy = Math.max(0, energy);
+  markOrganismChanged(organism);
+  return true;
+}
+
+/**
+ * Assigns organisms to species
+ * @param {Map} assignments - Organism ID -> species ID
+ */
+export function setOrganismSpecies(assignments) {
+  organisms.forEach(organism => {
+    if (assignments.has(organism.id)) {
+      organism.speciesId = assignments.get(organism.id);
+    }
+  });
+  markPopulationChanged();
 }
 
 /**
@@ -461,6 +1029,50 @@ export function removeOrganism(organismId) {
  * @returns {Object|null} The organism or null if not found
  */
 export function getOrganismById(organismId) {
-  const organism = organisms.find(o => o.id === organismId);
+  const organism = organismsById.get(organismId);
   return organism ? deepClone(organism) : null;
-}
\ No newline at end of file
+}
+
+/**
+ * Gets the number of organisms killed by predators since initialization
+ * @returns {number} Predation count
+ */
+export function getPredationCount() {
+  return predationCount;
+}
+
+/**
+ * Gets how many resources of each type have been eaten since initialization
+ * @returns {Object} Counts keyed by resource type
+ */
+export function getResourceConsumption() {
+  return { ...resourceConsumption };
+}
+
+/**
+ * Captures the organism domain state for a snapshot
+ * @returns {Object} Serializable organism state
+ */
+export function getOrganismState() {
+  return {
+    organisms: deepClone(organisms),
+    nextOrganismId,
+    predationCount,
+    resourceConsumption: { ...resourceConsumption },
+    behaviorMode
+  };
+}
+
+/**
+ * Restores the organism domain state from a snapshot
+ * @param {Object} state - State captured by getOrganismState
+ */
+export function restoreOrganismState(state) {
+  organisms = deepClone(state.organisms || []);
+  organismsById = new Map(organisms.map(organism => [organism.id, organism]));
+  nextOrganismId = state.nextOrganismId || organisms.length + 1;
+  predationCount = state.predationCount || 0;
+  resourceConsumption = { ...(state.resourceConsumption || {}) };
+  behaviorMode = state.behaviorMode || CONSTANTS.ORGANISM.DEFAULT_BEHAVIOR_MODE;
+  markPopulationChanged();
+}
@@ -0,0 +1,164 @@
+/**
+ * @module sensor-model
+ * @description Directional sensor organs: what each one detects and what it costs
+ * @domain Organism
+ * @private Should only be used by organism-manager.js
+ *
+ * A sensor is a cone pointing away from the heading at its angle gene, measured
+ * like appendage angles (0 front, 0.5 rear). fieldOfView is the cone's width as a
+ * fraction of a full circle and range its reach as a fraction of
+ * CONSTANTS.SENSORS.MAX_RANGE. Each sensor detects one stimulus: food, other
+ * organisms, walls, or the chemical gradient given off by food.
+ */
+
+import { CONSTANTS } from '../utils/core';
+import { queryGridRange } from '../utils/spatial-grid';
+import { getHeading } from './body-geometry';
+
+/**
+ * Gets the furthest distance at which an organism can detect a stimulus
+ * @param {Object} phenotype - The organism's phenotype
+ * @param {string} stimulus - One of CONSTANTS.SENSORS.STIMULI
+ * @returns {number} Reach in pixels (0 if no sensor detects the stimulus)
+ */
+export function getSensorReach(phenotype, stimulus) {
+  return (phenotype.sensors || []).reduce((reach, sensor) => (
+    sensor.stimulus === stimulus ? Math.max(reach, sensor.range * CONSTANTS.SENSORS.MAX_RANGE) : reach
+  ), 0);
+}
+
+/**
+ * Checks whether any of an organism's sensors for a stimulus covers a point
+ * @param {Object} organism - The sensing organism
+ * @param {string} stimulus - One of CONSTANTS.SENSORS.STIMULI
+ * @param {Object} point - World position {x, y}
+ * @returns {boolean} True if the point lies inside a matching sensor cone
+ */
+export function sensesPoint(organism, stimulus, point) {
+  const heading = getHeading(organism.state);
+  const dx = point.x - organism.state.position.x;
+  const dy = point.y - organism.state.position.y;
+  
+  return (organism.phenotype.sensors || []).some(sensor =>
+    sensor.stimulus === stimulus && coneContains(sensor, heading, dx, dy)
+  );
+}
+
+/**
+ * Reads an organism's wall sensors
+ * Each sensor looks along the middle and both edges of its cone.
+ * @param {Object} organism - The sensing organism
+ * @param {Object} boundaries - Environment boundaries {width, height}
+ * @returns {Object} Strongest reading {proximity (0 none, 1 touching), direction (radians relative to the heading)}
+ */
+export function senseWalls(organism, boundaries) {
+  const heading = getHeading(organism.state);
+  let strongest = { proximity: 0, direction: 0 };
+  
+  (organism.phenotype.sensors || []).forEach(sensor => {
+    if (sensor.stimulus !== 'wall') return;
+    
+    const range = sensor.range * CONSTANTS.SENSORS.MAX_RANGE;
+    const center = sensor.angle * Math.PI * 2;
+    const halfWidth = Math.min(1, sensor.fieldOfView) * Math.PI;
+    
+    [center, center - halfWidth, center + halfWidth].forEach(direction => {
+      const wallDistance = distanceToWall(organism.state.position, heading + direction, boundaries);
+      const proximity = range > 0 ? Math.max(0, 1 - wallDistance / range) : 0;
+      if (proximity > strongest.proximity) {
+        strongest = { proximity, direction };
+      }
+    });
+  });
+  
+  return strongest;
+}
+
+/**
+ * Reads an organism's chemical sensors
+ * Food gives off a scent that fades linearly with distance; each sensor sums
+ * the scent of the food inside its cone.
+ * @param {Object} organism - The sensing organism
+ * @param {Object} resourceGrid - Spatial grid of resources
+ * @returns {Object} Strongest reading {intensity (0-1), direction (radians relative to the heading)}
+ */
+export function senseChemicals(organism, resourceGrid) {
+  let strongest = { intensity: 0, direction: 0 };
+  const reach = getSensorReach(organism.phenotype, 'chemical');
+  if (reach === 0) return strongest;
+  
+  const heading = getHeading(organism.state);
+  const { position } = organism.state;
+  const resources = queryGridRange(resourceGrid, position, reach);
+  
+  organism.phenotype.sensors.forEach(sensor => {
+    if (sensor.stimulus !== 'chemical') return;
+    
+    const range = sensor.range * CONSTANTS.SENSORS.MAX_RANGE;
+    let scent = 0;
+    resources.forEach(resource => {
+      const dx = resource.position.x - position.x;
+      const dy = resource.position.y - position.y;
+      if (coneContains(sensor, heading, dx, dy)) {
+        scent += resource.value * (1 - Math.sqrt(dx * dx + dy * dy) / range);
+      }
+    });
+    
+    const intensity = Math.min(1, scent / CONSTANTS.SENSORS.CHEMICAL_SATURATION);
+    if (intensity > strongest.intensity) {
+      strongest = { intensity, direction: sensor.angle * Math.PI * 2 };
+    }
+  });
+  
+  return strongest;
+}
+
+/**
+ * Computes the energy an organism spends per second running its sensors
+ * Cost grows with each sensor's coverage: the area of its cone relative to a
+ * full circle at maximum range.
+ * @param {Object} phenotype - The organism's phenotype
+ * @returns {number} Energy per second
+ */
+export function computeSensorCost(phenotype) {
+  const coverage = (phenotype.sensors || []).reduce((total, sensor) => (
+    total + Math.min(1, sensor.fieldOfView) * sensor.range * sensor.range
+  ), 0);
+  
+  return coverage * CONSTANTS.SENSORS.ENERGY_COST;
+}
+
+/**
+ * Checks whether an offset from the organism lies inside a sensor cone
+ * @param {Object} sensor - The sensor phenotype
+ * @param {number} heading - The organism's heading in radians
+ * @param {number} dx - X offset from the organism
+ * @param {number} dy - Y offset from the organism
+ * @returns {boolean} True if inside the cone
+ */
+function coneContains(sensor, heading, dx, dy) {
+  const range = sensor.range * CONSTANTS.SENSORS.MAX_RANGE;
+  if (dx * dx + dy * dy >= range * range) return false;
+  if (sensor.fieldOfView >= 1) return true;
+  
+  let offset = Math.atan2(dy, dx) - (heading + sensor.angle * Math.PI * 2);
+  offset = Math.atan2(Math.sin(offset), Math.cos(offset));
+  
+  return Math.abs(offset) <= sensor.fieldOfView * Math.PI;
+}
+
+/**
+ * Measures how far a ray from a position travels before reaching a wall
+ * @param {Object} position - Ray origin {x, y}
+ * @param {number} direction - Ray direction in radians
+ * @param {Object} boundaries - Environment boundaries {width, height}
+ * @returns {number} Distance in pixels
+ */
+function distanceToWall(position, direction, boundaries) {
+  const dx = Math.cos(direction);
+  const dy = Math.sin(direction);
+  const toWallX = dx > 0 ? (boundaries.width - position.x) / dx : dx < 0 ? -position.x / dx : Infinity;
+  const toWallY = dy > 0 ? (boundaries.height - position.y) / dy : dy < 0 ? -position.y / dy : Infinity;
+  
+  return Math.max(0, Math.min(toWallX, toWallY));
+}
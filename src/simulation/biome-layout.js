@@ -0,0 +1,95 @@
+/**
+ * @module biome-layout
+ * @description Builds the biome map that splits the world into habitats
+ * @domain Simulation
+ * @private Should only be used by simulation-manager.js
+ *
+ * Layouts:
+ *   single    - the whole world is open water
+ *   bands     - vertical strips of shallows, open water and a nutrient-rich zone,
+ *               so the two specialised habitats are kept apart by open water
+ *   patchwork - a 3x2 grid with each biome type in two randomly chosen cells
+ */
+
+import { CONSTANTS, deepClone } from '../utils/core';
+import { randomFloat } from '../utils/math-utils';
+
+/**
+ * Creates a biome map
+ * @param {string} layout - One of CONSTANTS.BIOMES.LAYOUTS
+ * @param {Object} overrides - Partial biome type definitions keyed by type name, merged per type
+ * @returns {Object} The biome map {layout, types, regions}
+ * @throws {Error} If the layout is unknown or a type definition is invalid
+ */
+export function createBiomeMap(layout = CONSTANTS.BIOMES.DEFAULT_LAYOUT, overrides = {}) {
+  if (!CONSTANTS.BIOMES.LAYOUTS.includes(layout)) {
+    throw new Error(`Unknown biome layout: ${layout}`);
+  }
+  
+  const types = deepClone(CONSTANTS.BIOMES.TYPES);
+  Object.entries(overrides).forEach(([name, definition]) => {
+    types[name] = { ...types[name], ...definition };
+  });
+  Object.entries(types).forEach(([name, type]) => validateBiomeType(name, type));
+  
+  return { layout, types, regions: createRegions(layout) };
+}
+
+/**
+ * Gets the largest regeneration multiplier of any biome on the map
+ * @param {Object} biomes - The biome map
+ * @returns {number} Largest regeneration multiplier
+ */
+export function getMaxRegeneration(biomes) {
+  return biomes.regions.reduce((max, region) => (
+    Math.max(max, biomes.types[region.type].regeneration)
+  ), 0);
+}
+
+/**
+ * Lays out the regions of a biome map
+ * @param {string} layout - One of CONSTANTS.BIOMES.LAYOUTS
+ * @returns {Array} Regions {type, bounds} with bounds as fractions of the world
+ */
+function createRegions(layout) {
+  if (layout === 'bands') {
+    return ['shallows', 'openWater', 'nutrientRich'].map((type, index) => ({
+      type,
+      bounds: { x: index / 3, y: 0, width: 1 / 3, height: 1 }
+    }));
+  }
+  
+  if (layout === 'patchwork') {
+    // Shuffle two cells of each type over the grid
+    const cellTypes = ['openWater', 'openWater', 'shallows', 'shallows', 'nutrientRich', 'nutrientRich'];
+    for (let i = cellTypes.length - 1; i > 0; i--) {
+      const j = Math.floor(randomFloat() * (i + 1));
+      [cellTypes[i], cellTypes[j]] = [cellTypes[j], cellTypes[i]];
+    }
+    
+    return cellTypes.map((type, index) => ({
+      type,
+      bounds: { x: (index % 3) / 3, y: Math.floor(index / 3) / 2, width: 1 / 3, height: 1 / 2 }
+    }));
+  }
+  
+  return [{ type: 'openWater', bounds: { x: 0, y: 0, width: 1, height: 1 } }];
+}
+
+/**
+ * Checks that a biome type definition is usable
+ * @param {string} name - Type name
+ * @param {Object} type - Type definition
+ * @throws {Error} If the definition is invalid
+ */
+function validateBiomeType(name, type) {
+  ['regeneration', 'drag', 'metabolicCost'].forEach(key => {
+    if (typeof type[key] !== 'number' || !(type[key] >= 0)) {
+      throw new Error(`Biome "${name}" needs a non-negative ${key}`);
+    }
+  });
+  
+  if (typeof type.color !== 'string') {
+    throw new Error(`Biome "${name}" needs a color`);
+  }
+}
@@ -0,0 +1,310 @@
+/**
+ * @module resource-distributions
+ * @description Spatial distributions that decide where new resources appear
+ * @domain Simulation
+ * @private Should only be used by simulation-manager.js
+ *
+ * A distribution is plain data, { type, parameters, state }, stored in
+ * environment.parameters.resourceDistribution so that moving patches and noise
+ * maps survive snapshots. The available types are:
+ *   uniform       - anywhere with equal probability
+ *   patches       - Gaussian clusters around fixed centers
+ *   movingPatches - Gaussian clusters whose centers drift and bounce off the walls
+ * Patch centers are stored as fractions of the environment boundaries, like
+ * biome regions, so patches stay spread over the world when it is resized.
+ *   gradient      - density rising linearly across the world towards angle
+ *   noise         - Perlin-noise fertility map; contrast sharpens fertile areas
+ */
+
+import { CONSTANTS, clamp } from '../utils/core';
+import { randomFloat, gaussian } from '../utils/math-utils';
+
+const NOISE_SIZE = 256;
+
+// Unit gradients of the noise lattice
+const NOISE_GRADIENTS = Array.from({ length: 8 }, (_, index) => ({
+  x: Math.cos(index * Math.PI / 4),
+  y: Math.sin(index * Math.PI / 4)
+}));
+
+// How each distribution type sets up its state, picks positions and changes over time
+const DISTRIBUTION_TYPES = {
+  uniform: {
+    initialize: () => ({}),
+    sample: (parameters, state, boundaries) => randomPosition(boundaries)
+  },
+  patches: {
+    initialize: (parameters) => ({
+      patches: Array.from({ length: parameters.count }, randomFraction)
+    }),
+    sample: samplePatches
+  },
+  movingPatches: {
+    initialize: (parameters) => ({
+      patches: Array.from({ length: parameters.count }, () => {
+        const direction = randomFloat() * Math.PI * 2;
+        return {
+          ...randomFraction(),
+          vx: Math.cos(direction) * parameters.speed,
+          vy: Math.sin(direction) * parameters.speed
+        };
+      })
+    }),
+    sample: samplePatches,
+    update: movePatches
+  },
+  gradient: {
+    initialize: () => ({}),
+    sample: (parameters, state, boundaries) => sampleByDensity(boundaries, position => {
+      const density = gradientPosition(parameters.angle, position, boundaries);
+      return parameters.minDensity + (1 - parameters.minDensity) * density;
+    })
+  },
+  noise: {
+    initialize: () => ({ permutation: shuffledPermutation() }),
+    sample: (parameters, state, boundaries) => sampleByDensity(boundaries, position =>
+      Math.pow(fertility(parameters, state, position), parameters.contrast)
+    )
+  }
+};
+
+/**
+ * Creates a resource distribution
+ * @param {string} type - One of the keys of CONSTANTS.RESOURCE.DISTRIBUTIONS
+ * @param {Object} overrides - Parameters merged over the type's defaults
+ * @returns {Object} The distribution {type, parameters, state}
+ * @throws {Error} If the type is unknown or a parameter is invalid
+ */
+export function createResourceDistribution(type = CONSTANTS.RESOURCE.DEFAULT_DISTRIBUTION, overrides = {}) {
+  const defaults = CONSTANTS.RESOURCE.DISTRIBUTIONS[type];
+  if (!defaults || !DISTRIBUTION_TYPES[type]) {
+    throw new Error(`Unknown resource distribution: ${type}`);
+  }
+  
+  const parameters = { ...defaults };
+  Object.entries(overrides).forEach(([name, value]) => {
+    if (!(name in defaults)) {
+      throw new Error(`Resource distribution "${type}" has no parameter "${name}"`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Resource distribution parameter "${name}" must be a number`);
+    }
+    parameters[name] = value;
+  });
+  
+  ['count', 'spread', 'speed', 'scale', 'octaves', 'contrast'].forEach(name => {
+    if (name in parameters && parameters[name] < 0) {
+      throw new Error(`Resource distribution parameter "${name}" must not be negative`);
+    }
+  });
+  if ('count' in parameters) {
+    parameters.count = Math.max(1, Math.round(parameters.count));
+  }
+  if ('octaves' in parameters) {
+    parameters.octaves = Math.max(1, Math.round(parameters.octaves));
+  }
+  if ('minDensity' in parameters) {
+    parameters.minDensity = clamp(parameters.minDensity, 0, 1);
+  }
+  
+  return {
+    type,
+    parameters,
+    state: DISTRIBUTION_TYPES[type].initialize(parameters)
+  };
+}
+
+/**
+ * Picks a position for a new resource
+ * @param {Object} distribution - The resource distribution
+ * @param {Object} boundaries - Environment boundaries {width, height}
+ * @returns {Object} Position {x, y} inside the boundaries
+ */
+export function sampleResourcePosition(distribution, boundaries) {
+  const { sample } = DISTRIBUTION_TYPES[distribution.type];
+  return sample(distribution.parameters, distribution.state, boundaries);
+}
+
+/**
+ * Advances a distribution that changes over time, e.g. drifting patches
+ * @param {Object} distribution - The resource distribution, updated in place
+ * @param {Object} boundaries - Environment boundaries {width, height}
+ * @param {number} deltaTime - Time elapsed since last update
+ */
+export function updateResourceDistribution(distribution, boundaries, deltaTime) {
+  const { update } = DISTRIBUTION_TYPES[distribution.type];
+  if (update) {
+    update(distribution.parameters, distribution.state, boundaries, deltaTime);
+  }
+}
+
+/**
+ * Picks a position anywhere in the world with equal probability
+ * @param {Object} boundaries - Environment boundaries {width, height}
+ * @returns {Object} Position {x, y}
+ */
+function randomPosition(boundaries) {
+  const { x, y } = randomFraction();
+  return { x: x * boundaries.width, y: y * boundaries.height };
+}
+
+/**
+ * Picks a point anywhere in the world as fractions of the boundaries
+ * @returns {Object} Fractions {x, y} (0-1)
+ */
+function randomFraction() {
+  return { x: randomFloat(), y: randomFloat() };
+}
+
+/**
+ * Picks a position scattered around a randomly chosen patch center
+ * @param {Object} parameters - Distribution parameters
+ * @param {Object} state - Distribution state holding the patch centers
+ * @param {Object} boundaries - Environment boundaries {width, height}
+ * @returns {Object} Position {x, y}
+ */
+function samplePatches(parameters, state, boundaries) {
+  const patch = state.patches[Math.floor(randomFloat() * state.patches.length)];
+  
+  return {
+    x: clamp(gaussian(patch.x * boundaries.width, parameters.spread), 0, boundaries.width),
+    y: clamp(gaussian(patch.y * boundaries.height, parameters.spread), 0, boundaries.height)
+  };
+}
+
+/**
+ * Moves patch centers along their velocities, bouncing off the walls
+ * Velocities are in world units per second and are scaled to fractions here.
+ * @param {Object} parameters - Distribution parameters
+ * @param {Object} state - Distribution state holding the patch centers
+ * @param {Object} boundaries - Environment boundaries {width, height}
+ * @param {number} deltaTime - Time elapsed since last update
+ */
+function movePatches(parameters, state, boundaries, deltaTime) {
+  state.patches.forEach(patch => {
+    patch.x += patch.vx * deltaTime / boundaries.width;
+    patch.y += patch.vy * deltaTime / boundaries.height;
+    
+    if (patch.x < 0 || patch.x > 1) {
+      patch.vx = -patch.vx;
+      patch.x = clamp(patch.x, 0, 1);
+    }
+    if (patch.y < 0 || patch.y > 1) {
+      patch.vy = -patch.vy;
+      patch.y = clamp(patch.y, 0, 1);
+    }
+  });
+}
+
+/**
+ * Picks a position by rejection sampling against a density function
+ * Gives up after CONSTANTS.RESOURCE.MAX_SAMPLE_ATTEMPTS tries and keeps the last candidate.
+ * @param {Object} boundaries - Environment boundaries {width, height}
+ * @param {Function} density - Maps a position to an acceptance probability (0-1)
+ * @returns {Object} Position {x, y}
+ */
+function sampleByDensity(boundaries, density) {
+  let candidate = randomPosition(boundaries);
+  
+  for (let attempt = 1; attempt < CONSTANTS.RESOURCE.MAX_SAMPLE_ATTEMPTS; attempt++) {
+    if (randomFloat() < density(candidate)) break;
+    candidate = randomPosition(boundaries);
+  }
+  
+  return candidate;
+}
+
+/**
+ * Measures how far across the world a position lies in the gradient direction
+ * @param {number} angle - Direction of increasing density in radians
+ * @param {Object} position - World position {x, y}
+ * @param {Object} boundaries - Environment boundaries {width, height}
+ * @returns {number} 0 at the sparse edge, 1 at the rich edge
+ */
+function gradientPosition(angle, position, boundaries) {
+  const dx = Math.cos(angle);
+  const dy = Math.sin(angle);
+  
+  // Projections of the world's corners bound the projection of any position
+  const corners = [0, boundaries.width * dx, boundaries.height * dy, boundaries.width * dx + boundaries.height * dy];
+  const low = Math.min(...corners);
+  const high = Math.max(...corners);
+  
+  return high > low ? (position.x * dx + position.y * dy - low) / (high - low) : 1;
+}
+
+/**
+ * Evaluates the fractal Perlin-noise fertility map at a position
+ * Each octave doubles the frequency and halves the amplitude of the last.
+ * @param {Object} parameters - Distribution parameters {scale, octaves}
+ * @param {Object} state - Distribution state holding the noise permutation
+ * @param {Object} position - World position {x, y}
+ * @returns {number} Fertility (0-1)
+ */
+function fertility(parameters, state, position) {
+  const scale = Math.max(1, parameters.scale);
+  let total = 0;
+  let amplitude = 1;
+  let maxTotal = 0;
+  
+  for (let octave = 0; octave < parameters.octaves; octave++) {
+    const frequency = Math.pow(2, octave) / scale;
+    total += amplitude * perlin(state.permutation, position.x * frequency, position.y * frequency);
+    maxTotal += amplitude;
+    amplitude /= 2;
+  }
+  
+  // Two-dimensional Perlin noise stays within about ±0.71 of zero
+  return clamp(0.5 + total / maxTotal / Math.SQRT2, 0, 1);
+}
+
+/**
+ * Evaluates two-dimensional Perlin noise
+ * @param {Array<number>} permutation - Shuffled lattice indexes 0..NOISE_SIZE-1
+ * @param {number} x - X coordinate in lattice units
+ * @param {number} y - Y coordinate in lattice units
+ * @returns {number} Noise value, roughly -0.71 to 0.71
+ */
+function perlin(permutation, x, y) {
+  const cellX = Math.floor(x);
+  const cellY = Math.floor(y);
+  const offsetX = x - cellX;
+  const offsetY = y - cellY;
+  
+  const corner = (cornerX, cornerY) => {
+    const hash = permutation[(permutation[(cellX + cornerX) & (NOISE_SIZE - 1)] + cellY + cornerY) & (NOISE_SIZE - 1)];
+    const gradient = NOISE_GRADIENTS[hash % NOISE_GRADIENTS.length];
+    return gradient.x * (offsetX - cornerX) + gradient.y * (offsetY - cornerY);
+  };
+  
+  const fadeX = fade(offsetX);
+  const fadeY = fade(offsetY);
+  const top = corner(0, 0) + (corner(1, 0) - corner(0, 0)) * fadeX;
+  const bottom = corner(0, 1) + (corner(1, 1) - corner(0, 1)) * fadeX;
+  
+  return top + (bottom - top) * fadeY;
+}
+
+/**
+ * Perlin's smootherstep easing curve
+ * @param {number} t - Value in [0, 1]
+ * @returns {number} Eased value
+ */
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+/**
+ * Creates a seeded shuffle of the noise lattice indexes
+ * @returns {Array<number>} Permutation of 0..NOISE_SIZE-1
+ */
+function shuffledPermutation() {
+  const permutation = Array.from({ length: NOISE_SIZE }, (_, index) => index);
+  
+  for (let i = NOISE_SIZE - 1; i > 0; i--) {
+    const j = Math.floor(randomFloat() * (i + 1));
+    [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+  }
+  
+  return permutation;
+}
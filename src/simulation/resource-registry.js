@@ -0,0 +1,77 @@
+/**
+ * @module resource-registry
+ * @description Builds and samples the registry of resource types the environment spawns
+ * @domain Simulation
+ * @private Should only be used by simulation-manager.js
+ *
+ * A registry maps type names to { value, color, spawnWeight, decay, effect }.
+ * It lives in environment.parameters.resourceTypes so that it is saved with
+ * snapshots and visible to the organism and UI domains.
+ */
+
+import { CONSTANTS, deepClone } from '../utils/core';
+import { randomFloat } from '../utils/math-utils';
+
+/**
+ * Creates a resource type registry from the defaults and optional overrides
+ * Overrides are merged per type, so { poison: { spawnWeight: 0 } } disables
+ * poison and { algae: {...} } adds a new type.
+ * @param {Object} overrides - Partial type definitions keyed by type name
+ * @returns {Object} The registry
+ * @throws {Error} If a type definition is incomplete or invalid
+ */
+export function createResourceRegistry(overrides = {}) {
+  const registry = deepClone(CONSTANTS.RESOURCE.TYPES);
+  
+  Object.entries(overrides).forEach(([name, definition]) => {
+    registry[name] = { ...registry[name], ...definition };
+  });
+  
+  Object.entries(registry).forEach(([name, type]) => validateResourceType(name, type));
+  
+  if (!Object.values(registry).some(type => type.spawnWeight > 0)) {
+    throw new Error('At least one resource type needs a positive spawn weight');
+  }
+  
+  return registry;
+}
+
+/**
+ * Picks a resource type at random, weighted by spawn weight
+ * @param {Object} registry - The resource type registry
+ * @returns {string} Name of the chosen type
+ */
+export function pickResourceType(registry) {
+  const entries = Object.entries(registry).filter(([, type]) => type.spawnWeight > 0);
+  const totalWeight = entries.reduce((sum, [, type]) => sum + type.spawnWeight, 0);
+  
+  let choice = randomFloat() * totalWeight;
+  for (const [name, type] of entries) {
+    choice -= type.spawnWeight;
+    if (choice < 0) return name;
+  }
+  
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * Checks that a resource type definition is usable
+ * @param {string} name - Type name
+ * @param {Object} type - Type definition
+ * @throws {Error} If the definition is invalid
+ */
+function validateResourceType(name, type) {
+  ['value', 'spawnWeight', 'decay'].forEach(key => {
+    if (typeof type[key] !== 'number' || !(type[key] >= 0)) {
+      throw new Error(`Resource type "${name}" needs a non-negative ${key}`);
+    }
+  });
+  
+  if (!CONSTANTS.RESOURCE.EFFECTS.includes(type.effect)) {
+    throw new Error(`Resource type "${name}" has unknown effect: ${type.effect}`);
+  }
+  
+  if (typeof type.color !== 'string') {
+    throw new Error(`Resource type "${name}" needs a color`);
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * @module simulation-clock
+ * @description Fixed-timestep accumulator that decouples simulation steps from the frame rate
+ * @domain Simulation
+ * @private Should only be used by simulation-manager.js
+ */
+
+import { CONSTANTS } from '../utils/core';
+
+// Internal clock state
+let accumulator = 0;
+
+/**
+ * Resets the accumulated simulation time
+ */
+export function resetClock() {
+  accumulator = 0;
+}
+
+/**
+ * Advances the clock by one rendered frame
+ * @param {number} frameTime - Real time elapsed since the last frame, in seconds
+ * @param {number} speed - Simulation speed multiplier
+ * @returns {Object} Number of fixed steps to run and the interpolation factor (0-1) for rendering
+ */
+export function advanceClock(frameTime, speed) {
+  const { FIXED_TIME_STEP, MAX_FRAME_TIME, MAX_STEPS_PER_FRAME } = CONSTANTS.SIMULATION;
+  
+  // Ignore negative deltas and clamp long stalls (e.g. background tabs)
+  const clampedFrameTime = Math.max(0, Math.min(MAX_FRAME_TIME, frameTime));
+  accumulator += clampedFrameTime * speed;
+  
+  let steps = Math.floor(accumulator / FIXED_TIME_STEP);
+  
+  // Cap catch-up work; time beyond one more step is dropped, the rest is kept for interpolation
+  if (steps > MAX_STEPS_PER_FRAME) {
+    steps = MAX_STEPS_PER_FRAME;
+    accumulator = Math.min(accumulator - steps * FIXED_TIME_STEP, FIXED_TIME_STEP);
+  } else {
+    accumulator -= steps * FIXED_TIME_STEP;
+  }
+  
+  return {
+    steps,
+    alpha: accumulator / FIXED_TIME_STEP
+  };
+}
@@ -5,17 +5,60 @@
  * @responsibility Manages simulation state, environment, and timing
  */
 
-import { CONSTANTS } from '../utils/core';
-import { updateOrganisms, createInitialPopulation, getAllOrganisms } from '../organism/organism-manager';
-import { applySelection } from '../evolution/evolution-manager';
-import { refreshCanvas } from '../ui/ui-manager';
-import { updateStatistics } from '../data/data-manager';
+import { CONSTANTS, deepClone } from '../utils/core';
+import { randomFloat, setRandomSeed, getRandomState, setRandomState } from '../utils/math-utils';
+import { createSpatialGrid, clearSpatialGrid, insertIntoGrid, removeFromGrid } from '../utils/spatial-grid';
+import { getBiomeAt } from '../utils/biome-map';
+import {
+  initializeOrganismSystem,
+  updateOrganisms,
+  getOrganismPositions,
+  createInitialPopulation,
+  getAllOrganisms,
+  getOrganismState,
+  restoreOrganismState
+} from '../organism/organism-manager';
+import {
+  applySelection,
+  setEvolutionTime,
+  initializeLineage,
+  recordDeaths,
+  updateSpecies,
+  getEvolutionState,
+  restoreEvolutionState
+} from '../evolution/evolution-manager';
+import {
+  updateStatistics,
+  recordStatistics,
+  getDataState,
+  restoreDataState
+} from '../data/data-manager';
+import { resetClock, advanceClock } from './simulation-clock';
+import { createSnapshot, parseSnapshot } from './snapshot-serializer';
+import { createResourceRegistry, pickResourceType } from './resource-registry';
+import {
+  createResourceDistribution,
+  sampleResourcePosition,
+  updateResourceDistribution
+} from './resource-distributions';
+import { createBiomeMap, getMaxRegeneration } from './biome-layout';
 
 // Internal state
 let isRunning = false;
 let simulationSpeed = CONSTANTS.SIMULATION.DEFAULT_SPEED;
 let lastTimestamp = 0;
 let animationFrameId = null;
+let nextResourceId = 1;
+let stepCount = 0;
+let renderCallback = null;
+let lastStatusTimestamp = 0;
+const statusSubscribers = new Set();
+
+// Spatial indexes over the world, shared with the organism domain each step
+const spatialIndex = {
+  organisms: createSpatialGrid(CONSTANTS.SIMULATION.SPATIAL_CELL_SIZE),
+  resources: createSpatialGrid(CONSTANTS.SIMULATION.SPATIAL_CELL_SIZE)
+};
 let environment = {
   resources: [],
   boundaries: {
@@ -24,31 +67,57 @@ let environment = {
   },
   parameters: {
     resourceRegenerationRate: CONSTANTS.RESOURCE.REGENERATION_RATE,
-    maxResources: CONSTANTS.RESOURCE.MAX_RESOURCES
+    maxResources: CONSTANTS.RESOURCE.MAX_RESOURCES,
+    crowdingPenalty: CONSTANTS.PHYSICS.DEFAULT_CROWDING_PENALTY,
+    resourceTypes: createResourceRegistry(),
+    resourceDistribution: createResourceDistribution(CONSTANTS.RESOURCE.DEFAULT_DISTRIBUTION),
+    biomes: createBiomeMap()
   }
 };
 
 /**
  * Initializes the simulation system
+ * @param {Object} options - Optional initialization settings
+ * @param {number} options.seed - Random seed; a fresh seed is drawn when omitted
+ * @param {number} options.populationSize - Size of the initial population
+ * @param {number} options.resourceRegenerationRate - Resource regeneration rate per simulated second
+ * @param {number} options.crowdingPenalty - Extra metabolic cost per nearby organism (0 disables crowding)
+ * @param {Object} options.resourceTypes - Overrides merged into the default resource type registry
+ * @param {string} options.resourceDistribution - Where resources spawn: uniform, patches, movingPatches, gradient or noise
+ * @param {Object} options.distributionParameters - Overrides merged into the distribution's default parameters
+ * @param {string} options.biomeLayout - How the world is split into biomes: single, bands or patchwork
+ * @param {Object} options.biomeTypes - Overrides merged into the default biome types
  * @returns {boolean} Success status
  */
-export function initializeSimulation() {
+export function initializeSimulation(options = {}) {
   try {
     // Reset simulation state
     isRunning = false;
     simulationSpeed = CONSTANTS.SIMULATION.DEFAULT_SPEED;
     lastTimestamp = 0;
+    nextResourceId = 1;
+    stepCount = 0;
+    resetClock();
+    
+    // Seed the shared random source before anything stochastic happens
+    const seed = options.seed !== undefined ? options.seed : Date.now();
+    setRandomSeed(seed);
+    
+    // Start from an empty population so the same seed yields the same run
+    initializeOrganismSystem();
     
     // Set up environment
-    initializeEnvironment();
+    initializeEnvironment(options);
     
-    // Create initial population
-    createInitialPopulation(
-      CONSTANTS.SIMULATION.DEFAULT_POPULATION_SIZE,
+    // Create initial population; its members found the lineage
+    const founders = createInitialPopulation(
+      options.populationSize || CONSTANTS.SIMULATION.DEFAULT_POPULATION_SIZE,
       environment.boundaries
     );
+    initializeLineage(founders);
     
     console.log('Simulation system initialized');
+    notifySubscribers();
     return true;
   } catch (error) {
     console.error('Failed to initialize simulation:', error);
@@ -58,8 +127,26 @@ export function initializeSimulation() {
 
 /**
  * Initializes the simulation environment
+ * @param {Object} options - Initialization settings, see initializeSimulation
  */
-function initializeEnvironment() {
+function initializeEnvironment(options = {}) {
+  // Reset environment parameters to defaults, applying any overrides
+  environment.parameters = {
+    resourceRegenerationRate: options.resourceRegenerationRate !== undefined
+      ? options.resourceRegenerationRate
+      : CONSTANTS.RESOURCE.REGENERATION_RATE,
+    maxResources: CONSTANTS.RESOURCE.MAX_RESOURCES,
+    crowdingPenalty: options.crowdingPenalty !== undefined
+      ? options.crowdingPenalty
+      : CONSTANTS.PHYSICS.DEFAULT_CROWDING_PENALTY,
+    resourceTypes: createResourceRegistry(options.resourceTypes),
+    resourceDistribution: createResourceDistribution(
+      options.resourceDistribution,
+      options.distributionParameters
+    ),
+    biomes: createBiomeMap(options.biomeLayout, options.biomeTypes)
+  };
+  
   // Create resources
   generateResources();
   
@@ -72,20 +159,62 @@ function initializeEnvironment() {
  */
 function generateResources() {
   environment.resources = [];
+  clearSpatialGrid(spatialIndex.resources);
   
   const resourceCount = Math.floor(environment.parameters.maxResources / 2);
   
-  for (let i = 0; i < resourceCount; i++) {
-    environment.resources.push({
-      id: `resource-${i}`,
-      type: 'food',
-      position: {
-        x: Math.random() * environment.boundaries.width,
-        y: Math.random() * environment.boundaries.height
-      },
-      value: CONSTANTS.RESOURCE.DEFAULT_VALUE
-    });
+  // Barren biomes reject spawns, so allow extra attempts
+  const maxAttempts = resourceCount * CONSTANTS.RESOURCE.MAX_SAMPLE_ATTEMPTS;
+  for (let attempt = 0; environment.resources.length < resourceCount && attempt < maxAttempts; attempt++) {
+    spawnResource();
+  }
+}
+
+/**
+ * Tries to add a resource of a randomly chosen type where the resource distribution places it
+ * The spawn is kept with a probability proportional to the local biome's
+ * regeneration multiplier, so fertile biomes fill up faster.
+ * @returns {boolean} True if a resource was added
+ */
+function spawnResource() {
+  const position = sampleResourcePosition(environment.parameters.resourceDistribution, environment.boundaries);
+  const { regeneration } = getBiomeAt(environment, position);
+  if (randomFloat() * getMaxRegeneration(environment.parameters.biomes) >= regeneration) {
+    return false;
   }
+  
+  const type = pickResourceType(environment.parameters.resourceTypes);
+  const resource = {
+    id: `resource-${nextResourceId++}`,
+    type,
+    position,
+    value: environment.parameters.resourceTypes[type].value,
+    disguise: randomFloat() // How hard the resource is to tell apart from food (0-1)
+  };
+  
+  environment.resources.push(resource);
+  insertIntoGrid(spatialIndex.resources, resource.id, resource.position, resource);
+  return true;
+}
+
+/**
+ * Rebuilds the resource index from the environment, e.g. after loading a snapshot
+ */
+function rebuildResourceIndex() {
+  clearSpatialGrid(spatialIndex.resources);
+  environment.resources.forEach(resource => {
+    insertIntoGrid(spatialIndex.resources, resource.id, resource.position, resource);
+  });
+}
+
+/**
+ * Rebuilds the organism index so it reflects births and deaths since the last step
+ */
+function rebuildOrganismIndex() {
+  clearSpatialGrid(spatialIndex.organisms);
+  getOrganismPositions().forEach(({ id, position }) => {
+    insertIntoGrid(spatialIndex.organisms, id, position);
+  });
 }
 
 /**
@@ -97,6 +226,7 @@ export function startSimulation(speed = CONSTANTS.SIMULATION.DEFAULT_SPEED) {
     isRunning = true;
     simulationSpeed = speed;
     lastTimestamp = performance.now();
+    resetClock();
     
     // Start the animation loop
     animationFrameId = requestAnimationFrame(simulationLoop);
@@ -106,6 +236,8 @@ export function startSimulation(speed = CONSTANTS.SIMULATION.DEFAULT_SPEED) {
     simulationSpeed = speed;
     console.log(`Simulation speed updated to ${simulationSpeed}`);
   }
+  
+  notifySubscribers();
 }
 
 /**
@@ -122,15 +254,17 @@ export function stopSimulation() {
     }
     
     console.log('Simulation stopped');
+    notifySubscribers();
   }
 }
 
 /**
  * Resets the simulation to initial state
+ * @param {Object} options - Optional initialization settings, see initializeSimulation
  */
-export function resetSimulation() {
+export function resetSimulation(options = {}) {
   stopSimulation();
-  initializeSimulation();
+  initializeSimulation(options);
   console.log('Simulation reset');
 }
 
@@ -141,36 +275,136 @@ export function resetSimulation() {
 function simulationLoop(timestamp) {
   if (!isRunning) return;
   
-  // Calculate time delta
-  const deltaTime = (timestamp - lastTimestamp) / 1000 * simulationSpeed;
+  // Real time since the last frame
+  const frameTime = (timestamp - lastTimestamp) / 1000;
   lastTimestamp = timestamp;
   
-  // Update simulation state
-  updateSimulation(deltaTime);
+  // Run as many fixed steps as the accumulated (speed-scaled) time allows
+  const { steps, alpha } = advanceClock(frameTime, simulationSpeed);
+  stepSimulation(steps);
   
-  // Render the current state
-  refreshCanvas();
+  // Render the current state, interpolated between the last two steps
+  if (renderCallback) {
+    renderCallback(alpha);
+  }
   
   // Update statistics periodically
   updateStatistics();
   
+  // Tell subscribers, at most once per status interval
+  if (timestamp - lastStatusTimestamp >= CONSTANTS.SIMULATION.STATUS_INTERVAL) {
+    lastStatusTimestamp = timestamp;
+    notifySubscribers();
+  }
+  
   // Continue the loop
   animationFrameId = requestAnimationFrame(simulationLoop);
 }
 
 /**
- * Updates the simulation state for a time step
- * @param {number} deltaTime - Time elapsed since last update, adjusted for simulation speed
+ * Advances the simulation by a number of fixed time steps without rendering
+ * Usable without a browser, e.g. from the headless runner
+ * @param {number} steps - Number of fixed steps to run
+ * @returns {number} Total simulated time in seconds
+ */
+export function stepSimulation(steps = 1) {
+  for (let i = 0; i < steps; i++) {
+    updateSimulation(CONSTANTS.SIMULATION.FIXED_TIME_STEP);
+  }
+  
+  return getSimulationTime();
+}
+
+/**
+ * Gets the total simulated time since initialization
+ * @returns {number} Simulated time in seconds
+ */
+export function getSimulationTime() {
+  return stepCount * CONSTANTS.SIMULATION.FIXED_TIME_STEP;
+}
+
+/**
+ * Registers the function used to draw each frame of the running simulation
+ * @param {Function|null} callback - Called with the interpolation factor (0-1) after each frame's steps
+ */
+export function setRenderCallback(callback) {
+  renderCallback = typeof callback === 'function' ? callback : null;
+}
+
+/**
+ * Subscribes to changes in the simulation state
+ * Listeners are called on start, stop, reset and snapshot load, and periodically
+ * while the simulation runs (see CONSTANTS.SIMULATION.STATUS_INTERVAL).
+ * @param {Function} listener - Called with the status from getSimulationStatus
+ * @returns {Function} Call to unsubscribe
+ */
+export function subscribeToSimulation(listener) {
+  statusSubscribers.add(listener);
+  return () => {
+    statusSubscribers.delete(listener);
+  };
+}
+
+/**
+ * Gets a summary of the simulation's run state
+ * @returns {Object} Status {isRunning, simulationSpeed, simulationTime}
+ */
+export function getSimulationStatus() {
+  return {
+    isRunning,
+    simulationSpeed,
+    simulationTime: getSimulationTime()
+  };
+}
+
+/**
+ * Sends the current status to every subscriber
+ */
+function notifySubscribers() {
+  if (statusSubscribers.size === 0) return;
+  
+  const status = getSimulationStatus();
+  statusSubscribers.forEach(listener => {
+    try {
+      listener(status);
+    } catch (error) {
+      console.error('Simulation subscriber failed:', error);
+    }
+  });
+}
+
+/**
+ * Updates the simulation state for one fixed time step
+ * @param {number} deltaTime - Simulated time for this step (CONSTANTS.SIMULATION.FIXED_TIME_STEP)
  */
 function updateSimulation(deltaTime) {
   // Update resources
   updateResources(deltaTime);
   
-  // Update organisms
-  updateOrganisms(deltaTime, environment);
+  // Births and deaths in this step are stamped with the current simulated time
+  setEvolutionTime(getSimulationTime());
+  
+  // Update organisms; they keep the indexes current as they move and eat
+  rebuildOrganismIndex();
+  const deadOrganisms = updateOrganisms(deltaTime, environment, spatialIndex);
+  recordDeaths(deadOrganisms);
   
   // Apply selection pressure with all organisms and environment
   applySelection(getAllOrganisms(), environment);
+  
+  stepCount++;
+  
+  const stepsPerSecond = Math.round(1 / CONSTANTS.SIMULATION.FIXED_TIME_STEP);
+  
+  // Periodically regroup the population into species
+  if (stepCount % (stepsPerSecond * CONSTANTS.EVOLUTION.SPECIATION_INTERVAL) === 0) {
+    updateSpecies(getAllOrganisms());
+  }
+  
+  // Sample population statistics once per simulated second
+  if (stepCount % stepsPerSecond === 0) {
+    recordStatistics(getSimulationTime(), environment);
+  }
 }
 
 /**
@@ -178,26 +412,36 @@ function updateSimulation(deltaTime) {
  * @param {number} deltaTime - Time elapsed since last update
  */
 function updateResources(deltaTime) {
+  // Drifting distributions move where new resources appear
+  updateResourceDistribution(environment.parameters.resourceDistribution, environment.boundaries, deltaTime);
+  
+  // Perishable resources lose value and disappear once spoiled
+  const { resourceTypes } = environment.parameters;
+  environment.resources = environment.resources.filter(resource => {
+    const type = resourceTypes[resource.type];
+    if (!type || type.decay === 0) return true;
+    
+    resource.value -= type.decay * type.value * deltaTime;
+    if (resource.value > 0) return true;
+    
+    removeFromGrid(spatialIndex.resources, resource.id);
+    return false;
+  });
+  
   // Regenerate resources over time
   if (environment.resources.length < environment.parameters.maxResources) {
-    // Calculate how many resources to add based on regeneration rate
+    // Calculate how many resources to add based on regeneration rate; spawns are attempted
+    // at the most fertile biome's rate and thinned out by spawnResource elsewhere
+    const spawnRate = environment.parameters.resourceRegenerationRate * getMaxRegeneration(environment.parameters.biomes);
     const resourcesNeeded = environment.parameters.maxResources - environment.resources.length;
     const resourcesToAdd = Math.min(
       resourcesNeeded,
-      Math.random() < environment.parameters.resourceRegenerationRate * deltaTime ? 1 : 0
+      randomFloat() < spawnRate * deltaTime ? 1 : 0
     );
     
     // Add new resources
     for (let i = 0; i < resourcesToAdd; i++) {
-      environment.resources.push({
-        id: `resource-${Date.now()}-${i}`,
-        type: 'food',
-        position: {
-          x: Math.random() * environment.boundaries.width,
-          y: Math.random() * environment.boundaries.height
-        },
-        value: CONSTANTS.RESOURCE.DEFAULT_VALUE
-      });
+      spawnResource();
     }
   }
 }
@@ -220,4 +464,64 @@ export function setEnvironmentBoundaries(width, height) {
     width: width || CONSTANTS.CANVAS.DEFAULT_WIDTH,
     height: height || CONSTANTS.CANVAS.DEFAULT_HEIGHT
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Captures the complete simulation state, including every domain and the random generator
+ * @returns {string} Versioned snapshot as a JSON string
+ */
+export function saveSnapshot() {
+  const snapshot = createSnapshot({
+    random: getRandomState(),
+    simulation: {
+      environment: deepClone(environment),
+      nextResourceId,
+      stepCount
+    },
+    organism: getOrganismState(),
+    evolution: getEvolutionState(),
+    data: getDataState()
+  });
+  
+  return JSON.stringify(snapshot);
+}
+
+/**
+ * Restores a snapshot created by saveSnapshot; the simulation is left stopped
+ * Older snapshot versions are migrated before being applied
+ * @param {string|Object} input - Snapshot JSON string or object
+ * @returns {boolean} Success status
+ */
+export function loadSnapshot(input) {
+  try {
+    const snapshot = parseSnapshot(input);
+    
+    stopSimulation();
+    resetClock();
+    
+    const savedEnvironment = snapshot.simulation.environment;
+    if (savedEnvironment) {
+      environment = deepClone(savedEnvironment);
+      rebuildResourceIndex();
+    } else {
+      // Snapshots without an environment get a freshly generated one
+      generateResources();
+    }
+    nextResourceId = snapshot.simulation.nextResourceId;
+    stepCount = snapshot.simulation.stepCount;
+    
+    restoreOrganismState(snapshot.organism);
+    restoreEvolutionState(snapshot.evolution);
+    restoreDataState(snapshot.data);
+    
+    // Restore the random generator last so nothing above consumes from it
+    setRandomState(snapshot.random);
+    
+    console.log(`Snapshot loaded at ${getSimulationTime().toFixed(1)}s simulated time`);
+    notifySubscribers();
+    return true;
+  } catch (error) {
+    console.error('Failed to load snapshot:', error);
+    return false;
+  }
+}
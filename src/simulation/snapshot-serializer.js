@@ -0,0 +1,399 @@
+/**
+ * @module snapshot-serializer
+ * @description Builds, validates and migrates versioned simulation snapshots
+ * @domain Simulation
+ * @private Should only be used by simulation-manager.js
+ */
+
+import { CONSTANTS } from '../utils/core';
+
+// Identifies snapshot documents produced by this application
+const SNAPSHOT_FORMAT = 'evolution-morphology-snapshot';
+
+// Current snapshot layout version; bump and add a migration when the layout changes,
+// and save a snapshot of the old version to tests/fixtures
+export const SNAPSHOT_VERSION = 10;
+
+/**
+ * Migrations keyed by the version they upgrade from.
+ * Each receives a snapshot of that version and returns one of the next version.
+ * Version 0 is the statistics export produced by exportSimulationData.
+ */
+const migrations = {
+  0: (legacy) => ({
+    format: SNAPSHOT_FORMAT,
+    version: 1,
+    createdAt: legacy.timestamp || Date.now(),
+    random: { seed: legacy.seed || 0, state: legacy.seed || 0 },
+    simulation: {
+      environment: null,
+      nextResourceId: 1,
+      stepCount: 0
+    },
+    organism: {
+      organisms: legacy.organisms || [],
+      nextOrganismId: (legacy.organisms || []).length + 1
+    },
+    evolution: {
+      mutationRate: CONSTANTS.EVOLUTION.DEFAULT_MUTATION_RATE,
+      environmentalPressure: 0.5,
+      generationCount: legacy.statistics ? legacy.statistics.currentGeneration : 0
+    },
+    data: {
+      runTime: legacy.statistics ? legacy.statistics.runTime : 0,
+      populationHistory: legacy.statistics ? legacy.statistics.populationHistory : [],
+      traitHistory: legacy.statistics ? legacy.statistics.traitHistory : []
+    }
+  }),
+  
+  // Version 2 adds lineage: organisms carry ancestry fields and the evolution
+  // state keeps a lineage store; the old generation counter counted births
+  1: (snapshot) => {
+    const organisms = snapshot.organism.organisms.map(organism => ({
+      parentId: null,
+      coParentId: null,
+      lineageId: organism.id,
+      generation: 0,
+      birthTime: 0,
+      ...organism
+    }));
+    const { generationCount, ...evolution } = snapshot.evolution;
+    
+    return {
+      ...snapshot,
+      version: 2,
+      organism: { ...snapshot.organism, organisms },
+      evolution: {
+        ...evolution,
+        birthCount: generationCount || 0,
+        evolutionTime: 0,
+        // Living organisms are all that is known of the lineage
+        lineage: organisms.map(organism => ({
+          id: organism.id,
+          parentId: organism.parentId,
+          coParentId: organism.coParentId,
+          lineageId: organism.lineageId,
+          generation: organism.generation,
+          birthTime: organism.birthTime,
+          deathTime: null,
+          traits: {
+            bodySize: organism.phenotype.bodySize,
+            bodyShape: organism.phenotype.bodyShape,
+            metabolism: organism.phenotype.metabolism,
+            sensorRange: organism.phenotype.sensorRange,
+            speed: organism.phenotype.speed,
+            turnRate: organism.phenotype.turnRate,
+            appendageCount: organism.phenotype.appendages ? organism.phenotype.appendages.length : 0,
+            appendages: organism.phenotype.appendages || []
+          }
+        }))
+      }
+    };
+  },
+  
+  // Version 3 adds the diet gene; earlier organisms were all herbivores
+  2: (snapshot) => ({
+    ...snapshot,
+    version: 3,
+    organism: {
+      ...snapshot.organism,
+      predationCount: 0,
+      organisms: snapshot.organism.organisms.map(organism => ({
+        ...organism,
+        genome: { ...organism.genome, diet: { value: 0, mutationRate: 0.02 } },
+        phenotype: { ...organism.phenotype, diet: 0 }
+      }))
+    },
+    evolution: {
+      ...snapshot.evolution,
+      lineage: (snapshot.evolution.lineage || []).map(record => ({
+        ...record,
+        traits: { ...record.traits, diet: 0 }
+      }))
+    }
+  }),
+  
+  // Version 4 gives bodyShape a geometry (elongation) and moves body color to
+  // its own gene, seeded from bodyShape so existing organisms keep their hue
+  3: (snapshot) => {
+    const elongation = bodyShape => 1 + bodyShape * 2; // MAX_ELONGATION 3 at version 4
+    
+    return {
+      ...snapshot,
+      version: 4,
+      organism: {
+        ...snapshot.organism,
+        organisms: snapshot.organism.organisms.map(organism => ({
+          ...organism,
+          genome: {
+            ...organism.genome,
+            color: { value: organism.genome.bodyShape.value, mutationRate: 0.02 }
+          },
+          phenotype: {
+            ...organism.phenotype,
+            elongation: elongation(organism.phenotype.bodyShape),
+            color: organism.phenotype.bodyShape
+          }
+        }))
+      },
+      evolution: {
+        ...snapshot.evolution,
+        lineage: (snapshot.evolution.lineage || []).map(record => ({
+          ...record,
+          traits: {
+            ...record.traits,
+            elongation: elongation(record.traits.bodyShape),
+            color: record.traits.bodyShape
+          }
+        }))
+      }
+    };
+  },
+  
+  // Version 5 adds a neural controller to the genome and the behavior mode to
+  // the organism state; migrated organisms get a silent brain and keep the
+  // scripted behavior they evolved under
+  4: (snapshot) => {
+    // INPUT_COUNT 8 and OUTPUT_COUNT 2 at version 5
+    const silentBrain = () => ({
+      mutationRate: 0.5,
+      hidden: [],
+      outputs: [0, 1].map(() => ({ inputWeights: new Array(8).fill(0), hiddenWeights: [], bias: 0 }))
+    });
+    
+    return {
+      ...snapshot,
+      version: 5,
+      organism: {
+        ...snapshot.organism,
+        behaviorMode: 'scripted',
+        organisms: snapshot.organism.organisms.map(organism => ({
+          ...organism,
+          genome: { ...organism.genome, brain: silentBrain() }
+        }))
+      }
+    };
+  },
+  
+  // Version 6 replaces the sensorRange gene with directional sensor organs.
+  // Migrated organisms get all-round food and organism sensors with their old
+  // reach, and their brains gain zero-weight inputs for the chemical sense
+  5: (snapshot) => {
+    const allRoundSensors = range => ['food', 'organism'].map(stimulus => ({ stimulus, angle: 0, fieldOfView: 1, range }));
+    const toGenes = sensor => ({
+      stimulus: sensor.stimulus,
+      angle: { value: sensor.angle, mutationRate: 0.04 },
+      fieldOfView: { value: sensor.fieldOfView, mutationRate: 0.03 },
+      range: { value: sensor.range, mutationRate: 0.02 }
+    });
+    // Chemical direction and intensity sit between the prey and energy inputs
+    const addChemicalInputs = neuron => ({
+      ...neuron,
+      inputWeights: [...neuron.inputWeights.slice(0, 6), 0, 0, ...neuron.inputWeights.slice(6)]
+    });
+    
+    return {
+      ...snapshot,
+      version: 6,
+      organism: {
+        ...snapshot.organism,
+        organisms: snapshot.organism.organisms.map(organism => {
+          const { sensorRange, ...genome } = organism.genome;
+          const sensors = allRoundSensors(sensorRange.value);
+          
+          return {
+            ...organism,
+            genome: {
+              ...genome,
+              sensors: sensors.map(toGenes),
+              brain: {
+                ...genome.brain,
+                hidden: genome.brain.hidden.map(addChemicalInputs),
+                outputs: genome.brain.outputs.map(addChemicalInputs)
+              }
+            },
+            phenotype: { ...organism.phenotype, sensors }
+          };
+        })
+      },
+      evolution: {
+        ...snapshot.evolution,
+        lineage: (snapshot.evolution.lineage || []).map(record => ({
+          ...record,
+          traits: { ...record.traits, sensors: allRoundSensors(record.traits.sensorRange) }
+        }))
+      }
+    };
+  },
+  
+  // Version 7 adds the resource type registry and the toxinDetection gene.
+  // Older worlds only had food, so they keep a food-only registry
+  6: (snapshot) => {
+    const { environment } = snapshot.simulation;
+    
+    return {
+      ...snapshot,
+      version: 7,
+      simulation: {
+        ...snapshot.simulation,
+        environment: environment && {
+          ...environment,
+          parameters: {
+            ...environment.parameters,
+            resourceTypes: {
+              food: { value: 25, color: '#8BC34A', spawnWeight: 1, decay: 0, effect: 'nourish' }
+            }
+          },
+          resources: environment.resources.map(resource => ({ ...resource, disguise: 0 }))
+        }
+      },
+      organism: {
+        ...snapshot.organism,
+        resourceConsumption: {},
+        organisms: snapshot.organism.organisms.map(organism => ({
+          ...organism,
+          genome: { ...organism.genome, toxinDetection: { value: 0, mutationRate: 0.03 } },
+          phenotype: { ...organism.phenotype, toxinDetection: 0 }
+        }))
+      },
+      evolution: {
+        ...snapshot.evolution,
+        lineage: (snapshot.evolution.lineage || []).map(record => ({
+          ...record,
+          traits: { ...record.traits, toxinDetection: 0 }
+        }))
+      }
+    };
+  },
+  
+  // Version 8 adds pluggable resource spawn distributions; older worlds spawned uniformly
+  7: (snapshot) => {
+    const { environment } = snapshot.simulation;
+    
+    return {
+      ...snapshot,
+      version: 8,
+      simulation: {
+        ...snapshot.simulation,
+        environment: environment && {
+          ...environment,
+          parameters: {
+            ...environment.parameters,
+            resourceDistribution: { type: 'uniform', parameters: {}, state: {} }
+          }
+        }
+      }
+    };
+  },
+  
+  // Version 9 splits the world into biomes; older worlds become a single open-water biome
+  8: (snapshot) => {
+    const { environment } = snapshot.simulation;
+    
+    return {
+      ...snapshot,
+      version: 9,
+      simulation: {
+        ...snapshot.simulation,
+        environment: environment && {
+          ...environment,
+          parameters: {
+            ...environment.parameters,
+            biomes: {
+              layout: 'single',
+              types: {
+                openWater: { color: '#E3F2FD', regeneration: 1, drag: 0, metabolicCost: 1 }
+              },
+              regions: [{ type: 'openWater', bounds: { x: 0, y: 0, width: 1, height: 1 } }]
+            }
+          }
+        }
+      }
+    };
+  },
+  
+  // Version 10 stores resource patch centers as fractions of the world size
+  9: (snapshot) => {
+    const { environment } = snapshot.simulation;
+    const distribution = environment && environment.parameters.resourceDistribution;
+    if (!distribution || !distribution.state.patches) {
+      return { ...snapshot, version: 10 };
+    }
+    
+    const { width, height } = environment.boundaries;
+    
+    return {
+      ...snapshot,
+      version: 10,
+      simulation: {
+        ...snapshot.simulation,
+        environment: {
+          ...environment,
+          parameters: {
+            ...environment.parameters,
+            resourceDistribution: {
+              ...distribution,
+              state: {
+                ...distribution.state,
+                patches: distribution.state.patches.map(patch => ({
+                  ...patch,
+                  x: patch.x / width,
+                  y: patch.y / height
+                }))
+              }
+            }
+          }
+        }
+      }
+    };
+  }
+};
+
+/**
+ * Assembles a snapshot document from the state of each domain
+ * @param {Object} parts - Domain states keyed by domain (random, simulation, organism, evolution, data)
+ * @returns {Object} The snapshot document
+ */
+export function createSnapshot(parts) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    createdAt: Date.now(),
+    ...parts
+  };
+}
+
+/**
+ * Parses a snapshot and migrates it to the current version
+ * @param {string|Object} input - Snapshot JSON string or object
+ * @returns {Object} Snapshot at SNAPSHOT_VERSION
+ * @throws {Error} If the input is not a snapshot or is from a newer version
+ */
+export function parseSnapshot(input) {
+  let snapshot = typeof input === 'string' ? JSON.parse(input) : input;
+  
+  if (!snapshot || typeof snapshot !== 'object') {
+    throw new Error('Snapshot must be an object');
+  }
+  
+  // Plain statistics exports predate the snapshot format
+  if (snapshot.format === undefined && Array.isArray(snapshot.organisms)) {
+    snapshot = { ...snapshot, version: 0 };
+  } else if (snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new Error('Not a simulation snapshot');
+  }
+  
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot version ${snapshot.version} is newer than supported version ${SNAPSHOT_VERSION}`);
+  }
+  
+  while (snapshot.version < SNAPSHOT_VERSION) {
+    const migrate = migrations[snapshot.version];
+    if (!migrate) {
+      throw new Error(`No migration from snapshot version ${snapshot.version}`);
+    }
+    snapshot = migrate(snapshot);
+  }
+  
+  return snapshot;
+}
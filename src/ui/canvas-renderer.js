@@ -6,11 +6,20 @@
  */
 
 import { CONSTANTS, mapRange } from '../utils/core';
+import { lerp } from '../utils/math-utils';
 
 // Internal canvas state
 let canvas = null;
 let context = null;
 
+// RGB components of the sensor cone color for each stimulus
+const SENSOR_COLORS = {
+  food: '40, 160, 40',
+  organism: '200, 60, 60',
+  wall: '90, 90, 90',
+  chemical: '150, 80, 200'
+};
+
 /**
  * Initializes the canvas renderer
  * @param {HTMLCanvasElement} canvasElement - The canvas element to use for rendering
@@ -50,26 +59,60 @@ export function clearCanvas() {
   context.fillRect(0, 0, canvas.width, canvas.height);
 }
 
+/**
+ * Renders the biome regions as background areas
+ * @param {Object} biomes - The biome map {types, regions}, bounds as fractions of the world
+ */
+export function renderBiomes(biomes) {
+  if (!context || !biomes) return;
+  
+  biomes.regions.forEach(({ type, bounds }) => {
+    const biome = biomes.types[type];
+    if (!biome) return;
+    
+    context.fillStyle = biome.color;
+    context.fillRect(
+      bounds.x * canvas.width,
+      bounds.y * canvas.height,
+      bounds.width * canvas.width,
+      bounds.height * canvas.height
+    );
+  });
+}
+
 /**
  * Renders an organism on the canvas
  * @param {Object} organism - The organism to render
+ * @param {number} interpolation - Fraction (0-1) between the previous and current simulation step
+ * @param {string|null} fillColor - Body color override (e.g. species color); defaults to the color gene's hue
  */
-export function renderOrganism(organism) {
+export function renderOrganism(organism, interpolation = 1, fillColor = null) {
   if (!context || !organism) return;
   
-  const { position } = organism.state;
-  const { bodySize, bodyShape } = organism.phenotype;
+  const position = getInterpolatedPosition(organism.state, interpolation);
+  const { bodySize, elongation } = organism.phenotype;
   
-  // Calculate visual properties from phenotype
+  // Calculate visual properties from phenotype; the body is an ellipse stretched along the heading
   const size = mapPhenotypeToSize(bodySize);
-  const color = mapPhenotypeToColor(bodyShape);
+  const stretch = Math.sqrt(elongation || 1);
+  const halfLength = size * stretch;
+  const halfWidth = size / stretch;
+  const angle = Math.atan2(organism.state.velocity.y, organism.state.velocity.x);
+  const color = fillColor || mapPhenotypeToColor(organism.phenotype.color);
   
   // Draw body
   context.fillStyle = color;
   context.beginPath();
-  context.arc(position.x, position.y, size, 0, Math.PI * 2);
+  context.ellipse(position.x, position.y, halfLength, halfWidth, angle, 0, Math.PI * 2);
   context.fill();
   
+  // Outline carnivores so predators stand out
+  if ((organism.phenotype.diet || 0) >= CONSTANTS.PREDATION.CARNIVORE_THRESHOLD) {
+    context.strokeStyle = 'darkred';
+    context.lineWidth = 2;
+    context.stroke();
+  }
+  
   // Draw energy indicator (small bar above organism)
   const energyRatio = organism.state.energy / CONSTANTS.ORGANISM.REPRODUCTION_ENERGY_THRESHOLD;
   const energyBarWidth = size * 2;
@@ -78,44 +121,207 @@ export function renderOrganism(organism) {
   context.fillStyle = energyRatio > 0.7 ? 'green' : energyRatio > 0.3 ? 'yellow' : 'red';
   context.fillRect(
     position.x - size,
-    position.y - size - 8,
+    position.y - halfLength - 8,
     energyBarWidth * Math.min(1, energyRatio),
     energyBarHeight
   );
   
   // Draw direction indicator (simple line)
-  const angle = Math.atan2(organism.state.velocity.y, organism.state.velocity.x);
   context.strokeStyle = 'black';
   context.lineWidth = 1;
   context.beginPath();
   context.moveTo(position.x, position.y);
   context.lineTo(
-    position.x + Math.cos(angle) * (size + 5),
-    position.y + Math.sin(angle) * (size + 5)
+    position.x + Math.cos(angle) * (halfLength + 5),
+    position.y + Math.sin(angle) * (halfLength + 5)
   );
   context.stroke();
   
   // Draw appendages if any
   if (organism.phenotype.appendages && organism.phenotype.appendages.length > 0) {
-    renderAppendages(organism);
+    renderAppendages(organism, position, halfLength, halfWidth);
   }
 }
 
+/**
+ * Renders the field of view of each of an organism's sensors as a translucent cone
+ * @param {Object} organism - The organism whose sensors to draw
+ * @param {number} interpolation - Fraction (0-1) between the previous and current simulation step
+ */
+export function renderSensorCones(organism, interpolation = 1) {
+  if (!context || !organism || !organism.phenotype.sensors) return;
+  
+  const position = getInterpolatedPosition(organism.state, interpolation);
+  const heading = Math.atan2(organism.state.velocity.y, organism.state.velocity.x);
+  
+  organism.phenotype.sensors.forEach(sensor => {
+    const range = sensor.range * CONSTANTS.SENSORS.MAX_RANGE;
+    const direction = heading + sensor.angle * Math.PI * 2;
+    const halfWidth = Math.min(1, sensor.fieldOfView) * Math.PI;
+    const color = SENSOR_COLORS[sensor.stimulus] || '128, 128, 128';
+    
+    context.beginPath();
+    context.moveTo(position.x, position.y);
+    context.arc(position.x, position.y, range, direction - halfWidth, direction + halfWidth);
+    context.closePath();
+    
+    context.fillStyle = `rgba(${color}, 0.12)`;
+    context.fill();
+    context.strokeStyle = `rgba(${color}, 0.6)`;
+    context.lineWidth = 1;
+    context.stroke();
+  });
+}
+
+/**
+ * Draws a ring around an organism, e.g. to mark it as chosen
+ * @param {Object} organism - The organism to mark
+ * @param {number} interpolation - Fraction (0-1) between the previous and current simulation step
+ * @param {string} color - Ring color
+ */
+export function renderOrganismRing(organism, interpolation = 1, color = '#1565C0') {
+  if (!context || !organism) return;
+  
+  const position = getInterpolatedPosition(organism.state, interpolation);
+  
+  context.strokeStyle = color;
+  context.lineWidth = 2;
+  context.beginPath();
+  context.arc(position.x, position.y, getOrganismRadius(organism) + 4, 0, Math.PI * 2);
+  context.stroke();
+}
+
+/**
+ * Draws a faint circle around an organism, e.g. the reach of its longest sensor
+ * @param {Object} organism - The organism
+ * @param {number} interpolation - Fraction (0-1) between the previous and current simulation step
+ * @param {number} radius - Circle radius in pixels
+ */
+export function renderRangeRing(organism, interpolation, radius) {
+  if (!context || !organism || !(radius > 0)) return;
+  
+  const position = getInterpolatedPosition(organism.state, interpolation);
+  
+  context.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+  context.lineWidth = 1;
+  context.setLineDash([2, 4]);
+  context.beginPath();
+  context.arc(position.x, position.y, radius, 0, Math.PI * 2);
+  context.stroke();
+  context.setLineDash([]);
+}
+
+/**
+ * Draws the path an organism has travelled, fading towards its oldest points
+ * @param {Array} points - Past positions, oldest first
+ * @param {string} color - Trail color as an 'r, g, b' triple
+ */
+export function renderTrail(points, color = '255, 179, 0') {
+  if (!context || !points || points.length < 2) return;
+  
+  context.lineWidth = 2;
+  for (let i = 1; i < points.length; i++) {
+    // Skip jumps across the world, e.g. after wrapping or a reset
+    if (Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y) > 50) continue;
+    
+    context.strokeStyle = `rgba(${color}, ${(i / points.length).toFixed(2)})`;
+    context.beginPath();
+    context.moveTo(points[i - 1].x, points[i - 1].y);
+    context.lineTo(points[i].x, points[i].y);
+    context.stroke();
+  }
+}
+
+/**
+ * Draws a lasso being dragged on the canvas
+ * @param {Array} points - Lasso points in canvas pixels
+ */
+export function renderLasso(points) {
+  if (!context || !points || points.length < 2) return;
+  
+  context.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+  context.fillStyle = 'rgba(0, 0, 0, 0.05)';
+  context.lineWidth = 1;
+  context.setLineDash([4, 4]);
+  context.beginPath();
+  context.moveTo(points[0].x, points[0].y);
+  points.slice(1).forEach(point => context.lineTo(point.x, point.y));
+  context.closePath();
+  context.fill();
+  context.stroke();
+  context.setLineDash([]);
+}
+
+/**
+ * Finds the organism drawn at a point of the canvas
+ * @param {Array} organisms - Organisms to search
+ * @param {Object} point - Canvas point {x, y}
+ * @returns {Object|null} The closest organism whose body covers the point, or null
+ */
+export function findOrganismAt(organisms, point) {
+  let closest = null;
+  let closestDistance = Infinity;
+  
+  organisms.forEach(organism => {
+    const { x, y } = organism.state.position;
+    const distanceToPoint = Math.hypot(x - point.x, y - point.y);
+    
+    // A few pixels of slack make small organisms easier to hit
+    if (distanceToPoint <= getOrganismRadius(organism) + 3 && distanceToPoint < closestDistance) {
+      closest = organism;
+      closestDistance = distanceToPoint;
+    }
+  });
+  
+  return closest;
+}
+
+/**
+ * Gets the radius of the circle enclosing an organism's drawn body
+ * @param {Object} organism - The organism
+ * @returns {number} Radius in pixels
+ */
+function getOrganismRadius(organism) {
+  return mapPhenotypeToSize(organism.phenotype.bodySize) * Math.sqrt(organism.phenotype.elongation || 1);
+}
+
+/**
+ * Interpolates an organism's drawn position between its last two simulation steps
+ * @param {Object} state - The organism state
+ * @param {number} interpolation - Interpolation factor (0-1)
+ * @returns {Object} Position to draw at
+ */
+function getInterpolatedPosition(state, interpolation) {
+  const { position, previousPosition } = state;
+  if (!previousPosition) return position;
+  
+  return {
+    x: lerp(previousPosition.x, position.x, interpolation),
+    y: lerp(previousPosition.y, position.y, interpolation)
+  };
+}
+
 /**
  * Renders organism appendages
  * @param {Object} organism - The organism with appendages
+ * @param {Object} position - Position to draw the organism at
+ * @param {number} halfLength - Body semi-axis along the heading
+ * @param {number} halfWidth - Body semi-axis across the heading
  */
-function renderAppendages(organism) {
+function renderAppendages(organism, position, halfLength, halfWidth) {
   if (!context) return;
   
-  const { position } = organism.state;
-  const bodySize = mapPhenotypeToSize(organism.phenotype.bodySize);
+  const heading = Math.atan2(organism.state.velocity.y, organism.state.velocity.x);
   
   organism.phenotype.appendages.forEach(appendage => {
-    // Position the appendage on the organism body
-    const angleRadians = appendage.angle * Math.PI * 2;
-    const attachX = position.x + Math.cos(angleRadians) * bodySize;
-    const attachY = position.y + Math.sin(angleRadians) * bodySize;
+    // Position the appendage on the body outline; the angle gene is measured
+    // from the heading, matching the locomotion model (0 front, 0.5 rear)
+    const localAngle = appendage.angle * Math.PI * 2;
+    const angleRadians = heading + localAngle;
+    const localX = Math.cos(localAngle) * halfLength;
+    const localY = Math.sin(localAngle) * halfWidth;
+    const attachX = position.x + localX * Math.cos(heading) - localY * Math.sin(heading);
+    const attachY = position.y + localX * Math.sin(heading) + localY * Math.cos(heading);
     
     // Draw the appendage based on type
     context.strokeStyle = 'black';
@@ -189,30 +395,20 @@ function renderAppendages(organism) {
 /**
  * Renders a resource on the canvas
  * @param {Object} resource - The resource to render
+ * @param {string|null} color - Fill color from the resource type registry; defaults to green
  */
-export function renderResource(resource) {
+export function renderResource(resource, color = null) {
   if (!context || !resource) return;
   
-  const { position, value, type } = resource;
+  const { position, value } = resource;
   
-  // Different styling based on resource type
-  if (type === 'food') {
-    // Size based on value
-    const size = Math.max(2, Math.min(6, value / 10));
-    
-    context.fillStyle = '#8BC34A'; // Green
-    context.beginPath();
-    context.arc(position.x, position.y, size, 0, Math.PI * 2);
-    context.fill();
-  } else if (type === 'poison') {
-    // For future implementation
-    const size = Math.max(2, Math.min(6, value / 10));
-    
-    context.fillStyle = '#E91E63'; // Pink/red
-    context.beginPath();
-    context.arc(position.x, position.y, size, 0, Math.PI * 2);
-    context.fill();
-  }
+  // Size based on value, so spoiling resources shrink
+  const size = Math.max(2, Math.min(6, value / 10));
+  
+  context.fillStyle = color || '#8BC34A';
+  context.beginPath();
+  context.arc(position.x, position.y, size, 0, Math.PI * 2);
+  context.fill();
 }
 
 /**
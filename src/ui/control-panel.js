@@ -5,7 +5,7 @@
  * @private Should only be used by ui-manager.js
  */
 
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { CONSTANTS } from '../utils/core';
 
 /**
@@ -14,26 +14,52 @@ import { CONSTANTS } from '../utils/core';
  * @param {Function} props.onStart - Start button click handler
  * @param {Function} props.onStop - Stop button click handler
  * @param {Function} props.onReset - Reset button click handler
+ * @param {Function} props.onSaveSnapshot - Save button click handler
+ * @param {Function} props.onLoadSnapshot - Load button click handler
  * @param {Function} props.onSpeedChange - Speed slider change handler
  * @param {Function} props.onPopulationSizeChange - Population size input change handler
  * @param {Function} props.onMutationRateChange - Mutation rate slider change handler
+ * @param {Function} props.onSelectionStrategyChange - Selection strategy select change handler
+ * @param {Function} props.onPressureChange - Environmental pressure slider change handler
+ * @param {Function} props.onColorModeChange - Organism color mode select change handler
+ * @param {Function} props.onBreed - Breed button click handler (breeder mode)
+ * @param {Function} props.onCull - Cull button click handler (breeder mode)
+ * @param {Function} props.onClearBreederSelection - Clear button click handler (breeder mode)
  * @param {boolean} props.isRunning - Whether the simulation is currently running
  * @param {number} props.simulationSpeed - Current simulation speed
- * @param {number} props.populationSize - Current population size
+ * @param {number} props.populationSize - Population size used on reset
  * @param {number} props.mutationRate - Current mutation rate
+ * @param {Array<string>} props.selectionStrategies - Selection strategies to choose from
+ * @param {string} props.selectionStrategy - Current selection strategy
+ * @param {number} props.environmentalPressure - Current environmental pressure (0-1)
+ * @param {string} props.organismColorMode - 'color' or 'species'
+ * @param {number} props.breederSelectionCount - Number of organisms chosen in breeder mode
  * @returns {JSX.Element} The control panel component
  */
 export function ControlPanel({
   onStart,
   onStop,
   onReset,
+  onSaveSnapshot,
+  onLoadSnapshot,
   onSpeedChange,
   onPopulationSizeChange,
   onMutationRateChange,
+  onSelectionStrategyChange,
+  onPressureChange,
+  onColorModeChange,
+  onBreed,
+  onCull,
+  onClearBreederSelection,
   isRunning = false,
   simulationSpeed = CONSTANTS.SIMULATION.DEFAULT_SPEED,
   populationSize = CONSTANTS.SIMULATION.DEFAULT_POPULATION_SIZE,
-  mutationRate = CONSTANTS.EVOLUTION.DEFAULT_MUTATION_RATE
+  mutationRate = CONSTANTS.EVOLUTION.DEFAULT_MUTATION_RATE,
+  selectionStrategies = [],
+  selectionStrategy = CONSTANTS.EVOLUTION.DEFAULT_SELECTION_STRATEGY,
+  environmentalPressure = 0.5,
+  organismColorMode = 'color',
+  breederSelectionCount = 0
 }) {
   return (
     <div className="control-panel">
@@ -64,6 +90,16 @@ export function ControlPanel({
         </button>
       </div>
       
+      <div className="control-section">
+        <button onClick={onSaveSnapshot} className="control-button">
+          Save
+        </button>
+        
+        <button onClick={onLoadSnapshot} className="control-button">
+          Load
+        </button>
+      </div>
+      
       <div className="control-section">
         <label className="control-label">
           Simulation Speed: {simulationSpeed.toFixed(1)}x
@@ -96,6 +132,7 @@ export function ControlPanel({
             className={`number-input ${isRunning ? 'disabled' : ''}`}
           />
         </label>
+        <span className="range-label">Applied on reset</span>
       </div>
       
       <div className="control-section">
@@ -116,6 +153,81 @@ export function ControlPanel({
           </span>
         </label>
       </div>
+      
+      <div className="control-section">
+        <label className="control-label">
+          Selection:
+          <select
+            value={selectionStrategy}
+            onChange={(e) => onSelectionStrategyChange(e.target.value)}
+            className="select-input"
+          >
+            {selectionStrategies.map(strategy => (
+              <option key={strategy} value={strategy}>{strategy}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      
+      {selectionStrategy === 'breeder' && (
+        <div className="control-section">
+          <p className="range-label">
+            Click or drag a lasso on the canvas to choose organisms. {breederSelectionCount} chosen.
+          </p>
+          <button
+            onClick={onBreed}
+            disabled={breederSelectionCount === 0}
+            className={`control-button ${breederSelectionCount === 0 ? 'disabled' : 'primary'}`}
+          >
+            Breed chosen
+          </button>
+          
+          <button
+            onClick={onCull}
+            disabled={breederSelectionCount === 0}
+            className={`control-button ${breederSelectionCount === 0 ? 'disabled' : 'danger'}`}
+          >
+            Cull chosen
+          </button>
+          
+          <button onClick={onClearBreederSelection} className="control-button">
+            Clear
+          </button>
+        </div>
+      )}
+      
+      <div className="control-section">
+        <label className="control-label">
+          Environmental Pressure: {environmentalPressure.toFixed(2)}
+          <input
+            type="range"
+            min={0}
+            max={1}
+            step={0.05}
+            value={environmentalPressure}
+            onChange={(e) => onPressureChange(parseFloat(e.target.value))}
+            className="slider"
+          />
+          <span className="range-label">
+            <span>Lenient</span>
+            <span>Harsh</span>
+          </span>
+        </label>
+      </div>
+      
+      <div className="control-section">
+        <label className="control-label">
+          Color organisms by:
+          <select
+            value={organismColorMode}
+            onChange={(e) => onColorModeChange(e.target.value)}
+            className="select-input"
+          >
+            <option value="color">Color gene</option>
+            <option value="species">Species</option>
+          </select>
+        </label>
+      </div>
     </div>
   );
 }
@@ -135,6 +247,13 @@ export function StatisticsDisplay({ statistics }) {
     fps,
     populationSize,
     currentGeneration,
+    totalBirths,
+    speciesCount,
+    herbivoreCount,
+    carnivoreCount,
+    totalKills,
+    resources,
+    biomes,
     runTime,
     averageStats
   } = statistics;
@@ -159,12 +278,66 @@ export function StatisticsDisplay({ statistics }) {
           <div className="stat-value">{currentGeneration}</div>
         </div>
         
+        <div className="stat-item">
+          <div className="stat-label">Species</div>
+          <div className="stat-value">{speciesCount}</div>
+        </div>
+        
+        <div className="stat-item">
+          <div className="stat-label">Total Births</div>
+          <div className="stat-value">{totalBirths}</div>
+        </div>
+        
+        <div className="stat-item">
+          <div className="stat-label">Herbivores / Carnivores</div>
+          <div className="stat-value">{herbivoreCount} / {carnivoreCount}</div>
+        </div>
+        
+        <div className="stat-item">
+          <div className="stat-label">Kills</div>
+          <div className="stat-value">{totalKills}</div>
+        </div>
+        
         <div className="stat-item">
           <div className="stat-label">Run Time</div>
           <div className="stat-value">{formatTime(runTime)}</div>
         </div>
       </div>
       
+      {resources && (
+        <>
+          <h4>Resources ({resources.distribution})</h4>
+          
+          <div className="stats-grid">
+            {Object.entries(resources.types).map(([type, definition]) => (
+              <div key={type} className="stat-item">
+                <div className="stat-label" style={{ color: definition.color }}>{type}</div>
+                <div className="stat-value">
+                  {resources.available[type] || 0} / {resources.consumed[type] || 0} eaten
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+      
+      {biomes && Object.keys(biomes).length > 0 && (
+        <>
+          <h4>Biomes</h4>
+          
+          <div className="stats-grid">
+            {Object.entries(biomes).map(([biome, stats]) => (
+              <div key={biome} className="stat-item">
+                <div className="stat-label">{biome}</div>
+                <div className="stat-value">
+                  {stats.population} / {stats.speciesCount} species / speed {stats.averageStats.speed.toFixed(2)}
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+      
       {averageStats && (
         <>
           <h4>Average Traits</h4>
@@ -214,6 +387,16 @@ export function StatisticsDisplay({ statistics }) {
               <div className="stat-label">Appendages</div>
               <div className="stat-value">{averageStats.appendageCount.toFixed(1)}</div>
             </div>
+            
+            <div className="stat-item">
+              <div className="stat-label">Sensors</div>
+              <div className="stat-value">{(averageStats.sensorCount || 0).toFixed(1)}</div>
+            </div>
+            
+            <div className="stat-item">
+              <div className="stat-label">Field of View</div>
+              <div className="stat-value">{Math.round((averageStats.fieldOfView || 0) * 360)}&deg;</div>
+            </div>
           </div>
           
           <h4>Appendage Distribution</h4>
@@ -267,12 +450,26 @@ export function OrganismDetailPanel({ organism, onClose }) {
         <h4>Basic Information</h4>
         <div className="info-row">
           <span>ID:</span>
-          <span>{organism.id.substring(0, 8)}...</span>
+          <span>{organism.id}</span>
+        </div>
+        <div className="info-row">
+          <span>Generation:</span>
+          <span>{organism.generation}</span>
+        </div>
+        <div className="info-row">
+          <span>Parent:</span>
+          <span>{organism.parentId || 'founder'}</span>
         </div>
         <div className="info-row">
           <span>Age:</span>
           <span>{organism.state.age.toFixed(1)}s</span>
         </div>
+        {organism.extinct && (
+          <div className="info-row">
+            <span>Died at:</span>
+            <span>{organism.deathTime.toFixed(1)}s</span>
+          </div>
+        )}
         <div className="info-row">
           <span>Energy:</span>
           <span>{organism.state.energy.toFixed(1)}</span>
@@ -287,7 +484,13 @@ export function OrganismDetailPanel({ organism, onClose }) {
         </div>
         <div className="info-row">
           <span>Body Shape:</span>
-          <span>{organism.phenotype.bodyShape.toFixed(2)}</span>
+          <span>{organism.phenotype.bodyShape.toFixed(2)} ({(organism.phenotype.elongation || 1).toFixed(1)}:1)</span>
+        </div>
+        <div className="info-row">
+          <span>Color:</span>
+          <span style={{ color: `hsl(${(organism.phenotype.color || 0) * 360}, 70%, 50%)` }}>
+            &#9679; {(organism.phenotype.color || 0).toFixed(2)}
+          </span>
         </div>
         <div className="info-row">
           <span>Metabolism:</span>
@@ -309,6 +512,23 @@ export function OrganismDetailPanel({ organism, onClose }) {
           <span>Sensor Range:</span>
           <span>{organism.phenotype.sensorRange.toFixed(2)}</span>
         </div>
+        <div className="info-row">
+          <span>Diet:</span>
+          <span>
+            {(organism.phenotype.diet || 0).toFixed(2)}
+            {(organism.phenotype.diet || 0) >= CONSTANTS.PREDATION.CARNIVORE_THRESHOLD ? ' (carnivore)' : ' (herbivore)'}
+          </span>
+        </div>
+        <div className="info-row">
+          <span>Toxin Detection:</span>
+          <span>{(organism.phenotype.toxinDetection || 0).toFixed(2)}</span>
+        </div>
+        {organism.genome && organism.genome.brain && (
+          <div className="info-row">
+            <span>Brain:</span>
+            <span>{organism.genome.brain.hidden.length} hidden neurons</span>
+          </div>
+        )}
       </div>
       
       <div className="detail-section">
@@ -334,10 +554,160 @@ export function OrganismDetailPanel({ organism, onClose }) {
           </div>
         ))}
       </div>
+      
+      <div className="detail-section">
+        <h4>Sensors ({(organism.phenotype.sensors || []).length})</h4>
+        {(organism.phenotype.sensors || []).map((sensor, index) => (
+          <div key={index} className="appendage-info">
+            <div className="info-row">
+              <span>Stimulus:</span>
+              <span>{sensor.stimulus}</span>
+            </div>
+            <div className="info-row">
+              <span>Direction:</span>
+              <span>{Math.round(sensor.angle * 360)}&deg;</span>
+            </div>
+            <div className="info-row">
+              <span>Field of View:</span>
+              <span>{Math.round(Math.min(1, sensor.fieldOfView) * 360)}&deg;</span>
+            </div>
+            <div className="info-row">
+              <span>Range:</span>
+              <span>{Math.round(sensor.range * CONSTANTS.SENSORS.MAX_RANGE)}px</span>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Labels of fitness component types and parameters in the fitness editor
+ * @type {Object}
+ */
+const FITNESS_LABELS = {
+  energy: 'Energy',
+  age: 'Age',
+  trait: 'Trait target',
+  appendageCount: 'Appendage count',
+  expression: 'Expression',
+  environment: 'Environment fit',
+  trophic: 'Trophic fit',
+  weight: 'Weight',
+  scale: 'Saturates at (s)',
+  target: 'Target',
+  tolerance: 'Tolerance',
+  richDensity: 'Rich above',
+  poorDensity: 'Poor below'
+};
+
+/**
+ * Creates the fitness function editor
+ * Edits a draft of the fitness components; nothing changes until Apply is pressed.
+ * @param {Object} props - Component properties
+ * @param {Array} props.components - The current fitness components
+ * @param {Function} props.onApply - Called with the edited components; returns an error message or null
+ * @returns {JSX.Element} The fitness editor component
+ */
+export function FitnessEditor({ components = [], onApply }) {
+  const [draft, setDraft] = useState(components);
+  const [newType, setNewType] = useState('trait');
+  const [error, setError] = useState(null);
+  
+  // Start over from the applied components whenever they change
+  useEffect(() => {
+    setDraft(components);
+    setError(null);
+  }, [components]);
+  
+  const updateComponent = (index, key, value) => {
+    setDraft(draft.map((component, i) => (i === index ? { ...component, [key]: value } : component)));
+  };
+  
+  const removeComponent = index => {
+    setDraft(draft.filter((component, i) => i !== index));
+  };
+  
+  const addComponent = () => {
+    setDraft([...draft, { type: newType, weight: 0.1, ...CONSTANTS.FITNESS.COMPONENT_DEFAULTS[newType] }]);
+  };
+  
+  const renderField = (component, index, key) => {
+    if (key === 'trait') {
+      return (
+        <select value={component.trait} onChange={(e) => updateComponent(index, 'trait', e.target.value)}>
+          {CONSTANTS.FITNESS.TRAITS.map(trait => <option key={trait} value={trait}>{trait}</option>)}
+        </select>
+      );
+    }
+    
+    if (key === 'expression') {
+      return (
+        <input
+          type="text"
+          value={component.expression}
+          onChange={(e) => updateComponent(index, 'expression', e.target.value)}
+          className="expression-input"
+        />
+      );
+    }
+    
+    return (
+      <input
+        type="number"
+        step={0.05}
+        value={component[key]}
+        onChange={(e) => updateComponent(index, key, parseNumberInput(e.target.value))}
+        className="number-input"
+      />
+    );
+  };
+  
+  return (
+    <div className="fitness-editor">
+      <h3>Fitness Function</h3>
+      
+      {draft.map((component, index) => (
+        <div key={index} className="fitness-component">
+          <div className="detail-panel-header">
+            <h4>{FITNESS_LABELS[component.type] || component.type}</h4>
+            <button onClick={() => removeComponent(index)} className="close-button">×</button>
+          </div>
+          {['weight', ...Object.keys(CONSTANTS.FITNESS.COMPONENT_DEFAULTS[component.type] || {})].map(key => (
+            <label key={key} className="info-row">
+              <span>{FITNESS_LABELS[key] || key}:</span>
+              {renderField(component, index, key)}
+            </label>
+          ))}
+        </div>
+      ))}
+      
+      <div className="control-section">
+        <select value={newType} onChange={(e) => setNewType(e.target.value)}>
+          {Object.keys(CONSTANTS.FITNESS.COMPONENT_DEFAULTS).map(type => (
+            <option key={type} value={type}>{FITNESS_LABELS[type]}</option>
+          ))}
+        </select>
+        <button onClick={addComponent} className="control-button secondary">Add</button>
+        <button onClick={() => setError(onApply(draft))} className="control-button primary">Apply</button>
+      </div>
+      
+      {error && <div className="fitness-error">{error}</div>}
     </div>
   );
 }
 
+/**
+ * Reads a number input, keeping text that is not a number so validation can report it
+ * @param {string} text - The input value
+ * @returns {number|string} The number, or the text if it is not one
+ */
+function parseNumberInput(text) {
+  const value = parseFloat(text);
+  return Number.isNaN(value) ? text : value;
+}
+
 /**
  * Formats seconds into a readable time string
  * @param {number} seconds - Time in seconds
@@ -0,0 +1,227 @@
+/**
+ * @module phylogeny-renderer
+ * @description Lays out and draws the ancestry tree of living and extinct organisms
+ * @domain UI
+ * @private Should only be used by ui-manager.js
+ */
+
+// Internal canvas state
+let canvas = null;
+let context = null;
+let currentLayout = [];
+let currentRowHeight = 0;
+
+// Margins around the plot area in pixels
+const MARGIN = { top: 10, right: 10, bottom: 20, left: 10 };
+
+// Traits that branches can be colored by
+export const PHYLOGENY_COLOR_TRAITS = ['color', 'bodyShape', 'bodySize', 'speed', 'sensorRange', 'metabolism', 'turnRate', 'diet', 'toxinDetection'];
+
+/**
+ * Initializes the phylogeny renderer
+ * @param {HTMLCanvasElement} canvasElement - The canvas to draw the tree on
+ * @returns {boolean} Success status
+ */
+export function initializePhylogenyRenderer(canvasElement) {
+  if (!canvasElement) {
+    console.error('Canvas element is required for the phylogeny view');
+    return false;
+  }
+  
+  canvas = canvasElement;
+  context = canvas.getContext('2d');
+  currentLayout = [];
+  return Boolean(context);
+}
+
+/**
+ * Draws the ancestry tree
+ * Each organism is a horizontal branch from birth to death (or now), with a
+ * vertical connector to its parent's branch at its birth time.
+ * @param {Array} records - Lineage records, living and dead
+ * @param {Object} options - Drawing options
+ * @param {number} options.currentTime - Simulated time at the right edge
+ * @param {string} options.colorTrait - Trait used to color branches
+ * @param {boolean} options.collapseExtinct - Whether lineages with no living members collapse into one marker
+ */
+export function renderPhylogeny(records, { currentTime, colorTrait = 'color', collapseExtinct = true }) {
+  if (!context) return;
+  
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  
+  currentLayout = layoutPhylogeny(records, currentTime, collapseExtinct);
+  if (currentLayout.length === 0) return;
+  
+  const plotWidth = canvas.width - MARGIN.left - MARGIN.right;
+  const plotHeight = canvas.height - MARGIN.top - MARGIN.bottom;
+  const timeSpan = Math.max(currentTime, 1);
+  const rowHeight = plotHeight / currentLayout.length;
+  currentRowHeight = rowHeight;
+  
+  const toX = time => MARGIN.left + (time / timeSpan) * plotWidth;
+  const toY = row => MARGIN.top + (row + 0.5) * rowHeight;
+  const lineWidth = Math.max(1, Math.min(3, rowHeight * 0.6));
+  
+  // Position nodes in canvas space for drawing and hit-testing
+  const nodesById = new Map();
+  currentLayout.forEach(node => {
+    node.x1 = toX(node.record.birthTime);
+    node.x2 = toX(node.endTime);
+    node.y = toY(node.row);
+    nodesById.set(node.record.id, node);
+  });
+  
+  currentLayout.forEach(node => {
+    const { record } = node;
+    const color = mapTraitToColor(record.traits[colorTrait], colorTrait);
+    
+    // Connector to the parent branch
+    const parent = record.parentId ? nodesById.get(record.parentId) : null;
+    if (parent) {
+      context.strokeStyle = '#bbbbbb';
+      context.lineWidth = 1;
+      context.beginPath();
+      context.moveTo(node.x1, parent.y);
+      context.lineTo(node.x1, node.y);
+      context.stroke();
+    }
+    
+    if (node.collapsed) {
+      // Extinct clade: a wedge spanning the clade's lifetime
+      context.fillStyle = 'rgba(150, 150, 150, 0.5)';
+      context.beginPath();
+      context.moveTo(node.x1, node.y);
+      context.lineTo(node.x2, node.y - Math.max(2, rowHeight * 0.4));
+      context.lineTo(node.x2, node.y + Math.max(2, rowHeight * 0.4));
+      context.closePath();
+      context.fill();
+      return;
+    }
+    
+    // Living branches are solid, extinct ones faded
+    context.globalAlpha = record.deathTime === null ? 1 : 0.4;
+    context.strokeStyle = color;
+    context.lineWidth = lineWidth;
+    context.beginPath();
+    context.moveTo(node.x1, node.y);
+    context.lineTo(Math.max(node.x2, node.x1 + 1), node.y);
+    context.stroke();
+    context.globalAlpha = 1;
+  });
+  
+  // Time axis label
+  context.fillStyle = '#666666';
+  context.font = '11px sans-serif';
+  context.textAlign = 'left';
+  context.fillText('0s', MARGIN.left, canvas.height - 5);
+  context.textAlign = 'right';
+  context.fillText(`${Math.round(currentTime)}s`, canvas.width - MARGIN.right, canvas.height - 5);
+}
+
+/**
+ * Finds the tree node under a canvas point
+ * @param {number} x - X coordinate in canvas pixels
+ * @param {number} y - Y coordinate in canvas pixels
+ * @returns {Object|null} The lineage record of the node, or null if none is near
+ */
+export function findPhylogenyNodeAt(x, y) {
+  // Accept clicks anywhere within a row, and a few pixels either side of thin rows
+  const tolerance = Math.max(4, currentRowHeight / 2);
+  let closest = null;
+  let closestDistance = Infinity;
+  
+  currentLayout.forEach(node => {
+    if (x < node.x1 - 4 || x > node.x2 + 4) return;
+    
+    const dist = Math.abs(y - node.y);
+    if (dist <= tolerance && dist < closestDistance) {
+      closestDistance = dist;
+      closest = node;
+    }
+  });
+  
+  return closest ? closest.record : null;
+}
+
+/**
+ * Orders lineage records into rows, parents directly above their descendants
+ * @param {Array} records - Lineage records
+ * @param {number} currentTime - Simulated time used as the end of living branches
+ * @param {boolean} collapseExtinct - Whether to collapse clades with no living members
+ * @returns {Array} Layout nodes { record, row, endTime, collapsed, cladeSize }
+ */
+function layoutPhylogeny(records, currentTime, collapseExtinct) {
+  const byId = new Map(records.map(record => [record.id, record]));
+  const children = new Map();
+  const roots = [];
+  
+  records.forEach(record => {
+    if (record.parentId && byId.has(record.parentId)) {
+      if (!children.has(record.parentId)) children.set(record.parentId, []);
+      children.get(record.parentId).push(record);
+    } else {
+      roots.push(record);
+    }
+  });
+  
+  // Post-order pass: clade size, whether anything in it is alive, and when it ended
+  const clade = new Map();
+  const summarize = record => {
+    let size = 1;
+    let living = record.deathTime === null;
+    let endTime = living ? currentTime : record.deathTime;
+    
+    (children.get(record.id) || []).forEach(child => {
+      const summary = summarize(child);
+      size += summary.size;
+      living = living || summary.living;
+      endTime = Math.max(endTime, summary.endTime);
+    });
+    
+    const summary = { size, living, endTime };
+    clade.set(record.id, summary);
+    return summary;
+  };
+  roots.forEach(summarize);
+  
+  // Pre-order pass assigns rows
+  const layout = [];
+  const place = record => {
+    const summary = clade.get(record.id);
+    const collapsed = collapseExtinct && !summary.living;
+    
+    layout.push({
+      record,
+      row: layout.length,
+      endTime: collapsed ? summary.endTime : (record.deathTime === null ? currentTime : record.deathTime),
+      collapsed,
+      cladeSize: summary.size
+    });
+    
+    if (!collapsed) {
+      (children.get(record.id) || []).forEach(place);
+    }
+  };
+  roots.forEach(place);
+  
+  return layout;
+}
+
+/**
+ * Maps a normalized trait value to a branch color
+ * The color gene uses the same hue mapping as organisms on the main canvas.
+ * @param {number} value - Trait value (0-1)
+ * @param {string} trait - Trait name
+ * @returns {string} CSS color string
+ */
+function mapTraitToColor(value, trait) {
+  const clamped = Math.max(0, Math.min(1, value || 0));
+  
+  if (trait === 'color') {
+    return `hsl(${clamped * 360}, 70%, 50%)`;
+  }
+  
+  // Blue (low) to red (high)
+  return `hsl(${(1 - clamped) * 240}, 70%, 50%)`;
+}
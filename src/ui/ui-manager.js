@@ -8,30 +8,68 @@
 import React from 'react';
 import ReactDOM from 'react-dom';
 import { CONSTANTS } from '../utils/core';
-import { getAllOrganisms } from '../organism/organism-manager';
-import { getEnvironment } from '../simulation/simulation-manager';
-import { getStatistics } from '../data/data-manager';
+import { pointInPolygon } from '../utils/math-utils';
+import { getAllOrganisms, getOrganismById } from '../organism/organism-manager';
+import {
+  getLineageRecords,
+  getLineageRecord,
+  getSpecies,
+  getSelectionStrategy
+} from '../evolution/evolution-manager';
+import { getEnvironment, getSimulationTime } from '../simulation/simulation-manager';
 import { 
   initializeRenderer, 
   clearCanvas, 
   renderOrganism, 
+  renderSensorCones,
   renderResource,
+  renderBiomes,
+  renderOrganismRing,
+  renderRangeRing,
+  renderTrail,
+  renderLasso,
+  findOrganismAt,
   setCanvasDimensions as setCanvasRendererDimensions,
   getCanvasDimensions
 } from './canvas-renderer';
+import {
+  initializePhylogenyRenderer,
+  renderPhylogeny,
+  findPhylogenyNodeAt,
+  PHYLOGENY_COLOR_TRAITS
+} from './phylogeny-renderer';
+import { ControlPanel, StatisticsDisplay, OrganismDetailPanel, FitnessEditor } from './control-panel';
+
+// Components rendered by the application coordinator
+export { ControlPanel, StatisticsDisplay, OrganismDetailPanel, FitnessEditor };
 
 // Internal state
 let canvasElement = null;
+let phylogenyCanvas = null;
+let phylogenyOptions = {
+  colorTrait: 'color',
+  collapseExtinct: true
+};
+let lastPhylogenyRefresh = 0;
+let organismColorMode = 'color'; // color, species
+let selectedOrganismId = null;
+let selectedTrail = [];       // Recent positions of the selected organism, oldest first
+let tooltipElement = null;    // Hover tooltip over the simulation canvas
+let pointerStart = null;      // Canvas point where the current click or drag began
+let breederSelection = new Set(); // IDs of the organisms chosen in breeder mode
+let lassoPoints = null;       // Canvas points of the lasso being dragged, if any
 let controlCallbacks = {
-  onStart: null,
-  onStop: null,
-  onReset: null,
-  onSpeedChange: null
+  onOrganismSelect: null,
+  onBreederSelectionChange: null
 };
 
 /**
  * Initializes the UI system
- * @param {Object} callbacks - Event callbacks for controls
+ * The controls are React components rendered by the coordinator; this sets up the
+ * canvas and phylogeny views and their pointer interactions.
+ * @param {Object} callbacks - Event callbacks for canvas interactions
+ * @param {Function} callbacks.onOrganismSelect - Called with the clicked organism, or null
+ * @param {Function} callbacks.onBreederSelectionChange - Called with the IDs chosen in breeder mode
  * @returns {boolean} Success status
  */
 export function initializeUI(callbacks = {}) {
@@ -45,8 +83,8 @@ export function initializeUI(callbacks = {}) {
     // Initialize the canvas
     initializeCanvas();
     
-    // Initialize control panel
-    initializeControlPanel();
+    // Initialize the phylogenetic tree view
+    initializePhylogenyView();
     
     console.log('UI system initialized');
     return true;
@@ -78,6 +116,19 @@ function initializeCanvas() {
   
   canvasElement = canvas;
   
+  // Hovering and clicking inspects organisms; in breeder mode clicks and lassos choose them
+  canvas.onmousedown = handleCanvasMouseDown;
+  canvas.onmousemove = handleCanvasMouseMove;
+  canvas.onmouseup = handleCanvasMouseUp;
+  canvas.onmouseleave = handleCanvasMouseLeave;
+  
+  if (!tooltipElement) {
+    tooltipElement = document.createElement('div');
+    tooltipElement.className = 'organism-tooltip';
+    tooltipElement.style.display = 'none';
+    (canvas.parentElement || document.body).appendChild(tooltipElement);
+  }
+  
   // Initialize the canvas renderer
   initializeRenderer(canvas);
   
@@ -85,85 +136,320 @@ function initializeCanvas() {
 }
 
 /**
- * Initializes the control panel
+ * Forgets the organisms chosen in breeder mode
  */
-function initializeControlPanel() {
-  // Create control panel if it doesn't exist
-  let controlPanel = document.getElementById('control-panel');
-  if (!controlPanel) {
-    controlPanel = document.createElement('div');
-    controlPanel.id = 'control-panel';
-    controlPanel.style.padding = '10px';
-    controlPanel.style.marginTop = '10px';
-    controlPanel.style.border = '1px solid #ccc';
-    
-    // Create basic controls
-    const startButton = document.createElement('button');
-    startButton.textContent = 'Start';
-    startButton.onclick = () => {
-      if (controlCallbacks.onStart) controlCallbacks.onStart();
-    };
-    
-    const stopButton = document.createElement('button');
-    stopButton.textContent = 'Stop';
-    stopButton.onclick = () => {
-      if (controlCallbacks.onStop) controlCallbacks.onStop();
-    };
-    
-    const resetButton = document.createElement('button');
-    resetButton.textContent = 'Reset';
-    resetButton.onclick = () => {
-      if (controlCallbacks.onReset) controlCallbacks.onReset();
-    };
-    
-    const speedLabel = document.createElement('label');
-    speedLabel.textContent = 'Speed: ';
-    
-    const speedSlider = document.createElement('input');
-    speedSlider.type = 'range';
-    speedSlider.min = CONSTANTS.SIMULATION.MIN_SPEED;
-    speedSlider.max = CONSTANTS.SIMULATION.MAX_SPEED;
-    speedSlider.step = 0.1;
-    speedSlider.value = CONSTANTS.SIMULATION.DEFAULT_SPEED;
-    speedSlider.oninput = (e) => {
-      if (controlCallbacks.onSpeedChange) {
-        controlCallbacks.onSpeedChange(parseFloat(e.target.value));
-      }
-    };
-    
-    // Append controls to panel
-    controlPanel.appendChild(startButton);
-    controlPanel.appendChild(document.createTextNode(' '));
-    controlPanel.appendChild(stopButton);
-    controlPanel.appendChild(document.createTextNode(' '));
-    controlPanel.appendChild(resetButton);
-    controlPanel.appendChild(document.createElement('br'));
-    controlPanel.appendChild(document.createElement('br'));
-    controlPanel.appendChild(speedLabel);
-    controlPanel.appendChild(speedSlider);
-    
-    // Create stats display
-    const statsDisplay = document.createElement('div');
-    statsDisplay.id = 'stats-display';
-    statsDisplay.style.marginTop = '10px';
-    controlPanel.appendChild(statsDisplay);
-    
-    // Add to container
-    const container = document.getElementById('simulation-container');
-    if (container) {
-      container.appendChild(controlPanel);
-    } else {
-      document.body.appendChild(controlPanel);
+export function clearBreederSelection() {
+  breederSelection = new Set();
+  notifyBreederSelection();
+  refreshCanvas();
+}
+
+/**
+ * Tells the coordinator which organisms are chosen in breeder mode
+ */
+function notifyBreederSelection() {
+  if (controlCallbacks.onBreederSelectionChange) {
+    controlCallbacks.onBreederSelectionChange([...breederSelection]);
+  }
+}
+
+/**
+ * Hides the tooltip and abandons any click or lasso in progress when the pointer leaves the canvas
+ */
+function handleCanvasMouseLeave() {
+  hideTooltip();
+  pointerStart = null;
+  
+  if (lassoPoints) {
+    lassoPoints = null;
+    refreshCanvas();
+  }
+}
+
+/**
+ * Shows a short summary of an organism next to the pointer
+ * @param {Object} organism - The organism under the pointer
+ * @param {MouseEvent} event - The mouse event
+ */
+function showTooltip(organism, event) {
+  if (!tooltipElement) return;
+  
+  const { phenotype, state } = organism;
+  const container = tooltipElement.parentElement.getBoundingClientRect();
+  
+  const name = document.createElement('strong');
+  name.textContent = organism.id;
+  
+  // Values may come from a loaded snapshot, so they are only ever set as text
+  tooltipElement.replaceChildren(name, document.createTextNode(` gen ${organism.generation}`));
+  [
+    `Species ${organism.speciesId ?? '-'}`,
+    `Energy ${state.energy.toFixed(1)}, age ${state.age.toFixed(0)}s`,
+    `Size ${phenotype.bodySize.toFixed(2)}, speed ${phenotype.speed.toFixed(2)}`,
+    `${(phenotype.diet || 0) >= CONSTANTS.PREDATION.CARNIVORE_THRESHOLD ? 'Carnivore' : 'Herbivore'}, ${(phenotype.appendages || []).length} appendages`
+  ].forEach(line => {
+    tooltipElement.appendChild(document.createElement('br'));
+    tooltipElement.appendChild(document.createTextNode(line));
+  });
+  tooltipElement.style.left = `${event.clientX - container.left + 12}px`;
+  tooltipElement.style.top = `${event.clientY - container.top + 12}px`;
+  tooltipElement.style.display = 'block';
+}
+
+/**
+ * Hides the hover tooltip
+ */
+function hideTooltip() {
+  if (tooltipElement) {
+    tooltipElement.style.display = 'none';
+  }
+}
+
+/**
+ * Converts a mouse event to canvas pixels, allowing for the displayed size of the canvas
+ * @param {HTMLCanvasElement} canvas - The canvas the event happened on
+ * @param {MouseEvent} event - The mouse event
+ * @returns {Object} Canvas point {x, y}
+ */
+function getCanvasPoint(canvas, event) {
+  const bounds = canvas.getBoundingClientRect();
+  return {
+    x: (event.clientX - bounds.left) * (canvas.width / bounds.width),
+    y: (event.clientY - bounds.top) * (canvas.height / bounds.height)
+  };
+}
+
+/**
+ * Starts a click, or a lasso in breeder mode, on the simulation canvas
+ * @param {MouseEvent} event - The mouse event
+ */
+function handleCanvasMouseDown(event) {
+  pointerStart = getCanvasPoint(canvasElement, event);
+  if (getSelectionStrategy() === 'breeder') {
+    lassoPoints = [pointerStart];
+  }
+}
+
+/**
+ * Extends the lasso while the mouse is dragged, otherwise shows the hover tooltip
+ * @param {MouseEvent} event - The mouse event
+ */
+function handleCanvasMouseMove(event) {
+  if (lassoPoints) {
+    hideTooltip();
+    lassoPoints.push(getCanvasPoint(canvasElement, event));
+    refreshCanvas();
+    return;
+  }
+  
+  const organism = findOrganismAt(getAllOrganisms(), getCanvasPoint(canvasElement, event));
+  canvasElement.style.cursor = getSelectionStrategy() === 'breeder' ? 'crosshair' : organism ? 'pointer' : 'default';
+  if (organism) {
+    showTooltip(organism, event);
+  } else {
+    hideTooltip();
+  }
+}
+
+/**
+ * Finishes a click or lasso
+ * In breeder mode a click toggles the organism under the pointer and a lasso
+ * adds every organism inside it to the chosen set. Otherwise a click opens the
+ * organism under the pointer in the detail panel, or closes it on empty water.
+ * @param {MouseEvent} event - The mouse event
+ */
+function handleCanvasMouseUp(event) {
+  if (!pointerStart) return;
+  
+  const end = getCanvasPoint(canvasElement, event);
+  const path = lassoPoints || [pointerStart];
+  const dragged = path.some(point => Math.hypot(point.x - end.x, point.y - end.y) > 5);
+  const organisms = getAllOrganisms();
+  pointerStart = null;
+  
+  if (!lassoPoints) {
+    if (!dragged && controlCallbacks.onOrganismSelect) {
+      const organism = findOrganismAt(organisms, end);
+      controlCallbacks.onOrganismSelect(organism ? getOrganismById(organism.id) : null);
     }
+    return;
   }
   
-  console.log('Control panel initialized');
+  if (dragged) {
+    organisms
+      .filter(organism => pointInPolygon(organism.state.position, lassoPoints))
+      .forEach(organism => breederSelection.add(organism.id));
+  } else {
+    const organism = findOrganismAt(organisms, end);
+    if (organism && breederSelection.has(organism.id)) {
+      breederSelection.delete(organism.id);
+    } else if (organism) {
+      breederSelection.add(organism.id);
+    }
+  }
+  
+  lassoPoints = null;
+  notifyBreederSelection();
+  refreshCanvas();
+}
+
+/**
+ * Sets what determines organism body color on the canvas
+ * @param {string} mode - 'color' (color gene hue) or 'species' (species color)
+ */
+export function setOrganismColorMode(mode) {
+  if (mode !== 'color' && mode !== 'species') {
+    console.error(`Unknown organism color mode: ${mode}`);
+    return;
+  }
+  organismColorMode = mode;
+  refreshCanvas();
+}
+
+/**
+ * Sets the organism highlighted on the canvas with its sensors, sensor range and trail
+ * @param {string|null} organismId - ID of the selected organism, or null to clear the selection
+ */
+export function setSelectedOrganism(organismId) {
+  if (organismId !== selectedOrganismId) {
+    selectedTrail = [];
+  }
+  selectedOrganismId = organismId;
+  refreshCanvas();
+}
+
+/**
+ * Gets the current state of the selected organism for the detail panel
+ * Organisms keep their ID for life, so the selection follows the same organism
+ * through reproduction; once it dies its lineage record is shown instead.
+ * @returns {Object|null} The selected organism, or null if none is selected
+ */
+export function getSelectedOrganism() {
+  if (!selectedOrganismId) return null;
+  
+  const organism = getOrganismById(selectedOrganismId);
+  if (organism) return organism;
+  
+  const record = getLineageRecord(selectedOrganismId);
+  return record ? lineageRecordToOrganism(record) : null;
+}
+
+/**
+ * Initializes the phylogenetic tree panel with its trait and collapse controls
+ */
+function initializePhylogenyView() {
+  const container = document.getElementById('phylogeny-container');
+  if (!container || document.getElementById('phylogeny-canvas')) return;
+  
+  const heading = document.createElement('h3');
+  heading.textContent = 'Phylogeny';
+  
+  const traitLabel = document.createElement('label');
+  traitLabel.textContent = 'Color by: ';
+  
+  const traitSelect = document.createElement('select');
+  PHYLOGENY_COLOR_TRAITS.forEach(trait => {
+    const option = document.createElement('option');
+    option.value = trait;
+    option.textContent = trait;
+    traitSelect.appendChild(option);
+  });
+  traitSelect.value = phylogenyOptions.colorTrait;
+  traitSelect.onchange = (e) => {
+    phylogenyOptions.colorTrait = e.target.value;
+    refreshPhylogeny(true);
+  };
+  traitLabel.appendChild(traitSelect);
+  
+  const collapseLabel = document.createElement('label');
+  const collapseCheckbox = document.createElement('input');
+  collapseCheckbox.type = 'checkbox';
+  collapseCheckbox.checked = phylogenyOptions.collapseExtinct;
+  collapseCheckbox.onchange = (e) => {
+    phylogenyOptions.collapseExtinct = e.target.checked;
+    refreshPhylogeny(true);
+  };
+  collapseLabel.appendChild(collapseCheckbox);
+  collapseLabel.appendChild(document.createTextNode(' Collapse extinct lineages'));
+  
+  phylogenyCanvas = document.createElement('canvas');
+  phylogenyCanvas.id = 'phylogeny-canvas';
+  phylogenyCanvas.width = container.clientWidth || 300;
+  phylogenyCanvas.height = CONSTANTS.CANVAS.DEFAULT_HEIGHT / 2;
+  phylogenyCanvas.onclick = handlePhylogenyClick;
+  
+  container.appendChild(heading);
+  container.appendChild(traitLabel);
+  container.appendChild(document.createTextNode(' '));
+  container.appendChild(collapseLabel);
+  container.appendChild(phylogenyCanvas);
+  
+  initializePhylogenyRenderer(phylogenyCanvas);
+}
+
+/**
+ * Redraws the phylogenetic tree; throttled to once per second unless forced
+ * @param {boolean} force - Redraw even if the last redraw was recent
+ */
+function refreshPhylogeny(force = false) {
+  if (!phylogenyCanvas) return;
+  
+  const now = Date.now();
+  if (!force && now - lastPhylogenyRefresh < 1000) return;
+  lastPhylogenyRefresh = now;
+  
+  renderPhylogeny(getLineageRecords(), {
+    currentTime: getSimulationTime(),
+    ...phylogenyOptions
+  });
+}
+
+/**
+ * Opens the clicked tree node in the organism detail panel
+ * @param {MouseEvent} event - The click event
+ */
+function handlePhylogenyClick(event) {
+  if (!controlCallbacks.onOrganismSelect) return;
+  
+  const { x, y } = getCanvasPoint(phylogenyCanvas, event);
+  const record = findPhylogenyNodeAt(x, y);
+  if (!record) return;
+  
+  const organism = getOrganismById(record.id) || lineageRecordToOrganism(getLineageRecord(record.id));
+  controlCallbacks.onOrganismSelect(organism);
+}
+
+/**
+ * Builds a detail-panel view of a dead organism from its lineage record
+ * @param {Object} record - The lineage record
+ * @returns {Object} Organism-shaped object marked as extinct
+ */
+function lineageRecordToOrganism(record) {
+  return {
+    id: record.id,
+    parentId: record.parentId,
+    lineageId: record.lineageId,
+    generation: record.generation,
+    birthTime: record.birthTime,
+    deathTime: record.deathTime,
+    extinct: true,
+    phenotype: {
+      ...record.traits,
+      appendages: record.traits.appendages || [],
+      sensors: record.traits.sensors || []
+    },
+    state: {
+      age: record.deathTime - record.birthTime,
+      energy: 0
+    }
+  };
 }
 
 /**
  * Refreshes the canvas with the current simulation state
+ * @param {number} interpolation - Fraction (0-1) of the way from the previous step to the current one
  */
-export function refreshCanvas() {
+export function refreshCanvas(interpolation = 1) {
   if (!canvasElement) {
     console.error('Cannot refresh canvas: canvas element not initialized');
     return;
@@ -176,45 +462,58 @@ export function refreshCanvas() {
   const organisms = getAllOrganisms();
   const environment = getEnvironment();
   
-  // Draw resources
+  // Draw the biomes beneath everything else
+  renderBiomes(environment.parameters.biomes);
+  
+  // Draw resources in their type's color
+  const { resourceTypes } = environment.parameters;
   environment.resources.forEach(resource => {
-    renderResource(resource);
+    const type = resourceTypes[resource.type];
+    renderResource(resource, type ? type.color : null);
   });
   
-  // Draw organisms
+  // Draw organisms, optionally in their species' color
+  const speciesColors = organismColorMode === 'species'
+    ? new Map(getSpecies().map(species => [species.id, species.color]))
+    : null;
+  
   organisms.forEach(organism => {
-    renderOrganism(organism);
+    const fillColor = speciesColors ? speciesColors.get(organism.speciesId) : null;
+    renderOrganism(organism, interpolation, fillColor);
   });
   
-  // Update statistics display
-  updateStatsDisplay();
-}
-
-/**
- * Updates the statistics display
- */
-function updateStatsDisplay() {
-  const statsDisplay = document.getElementById('stats-display');
-  if (!statsDisplay) return;
-  
-  const statistics = getStatistics();
-  if (!statistics) return;
-  
-  // Create readable statistics HTML
-  let statsHtml = '<h3>Simulation Statistics</h3>';
-  statsHtml += `<p>Population: ${statistics.populationSize}</p>`;
-  statsHtml += `<p>Generation: ${statistics.currentGeneration}</p>`;
+  // Highlight the selected organism with its trail, what it can sense and how far
+  const selected = selectedOrganismId && organisms.find(organism => organism.id === selectedOrganismId);
+  if (selected) {
+    const last = selectedTrail[selectedTrail.length - 1];
+    const { x, y } = selected.state.position;
+    if (!last || last.x !== x || last.y !== y) {
+      selectedTrail.push({ x, y });
+      if (selectedTrail.length > CONSTANTS.CANVAS.TRAIL_LENGTH) selectedTrail.shift();
+    }
+    
+    const sensorReach = Math.max(0, ...(selected.phenotype.sensors || []).map(sensor => sensor.range)) *
+      CONSTANTS.SENSORS.MAX_RANGE;
+    
+    renderTrail(selectedTrail);
+    renderSensorCones(selected, interpolation);
+    renderRangeRing(selected, interpolation, sensorReach);
+    renderOrganismRing(selected, interpolation, CONSTANTS.CANVAS.HIGHLIGHT_COLOR);
+  }
   
-  if (statistics.averageStats) {
-    statsHtml += '<h4>Average Traits:</h4>';
-    statsHtml += `<p>Body Size: ${statistics.averageStats.bodySize.toFixed(2)}</p>`;
-    statsHtml += `<p>Body Shape: ${statistics.averageStats.bodyShape.toFixed(2)}</p>`;
-    statsHtml += `<p>Metabolism: ${statistics.averageStats.metabolism.toFixed(2)}</p>`;
-    statsHtml += `<p>Speed: ${statistics.averageStats.speed?.toFixed(2) || 'N/A'}</p>`;
+  // Mark the organisms chosen in breeder mode, forgetting any that have died
+  if (breederSelection.size > 0) {
+    const living = organisms.filter(organism => breederSelection.has(organism.id));
+    if (living.length !== breederSelection.size) {
+      breederSelection = new Set(living.map(organism => organism.id));
+      notifyBreederSelection();
+    }
+    living.forEach(organism => renderOrganismRing(organism, interpolation));
   }
+  renderLasso(lassoPoints);
   
-  // Update the display
-  statsDisplay.innerHTML = statsHtml;
+  // Update the phylogenetic tree
+  refreshPhylogeny();
 }
 
 /**
@@ -0,0 +1,48 @@
+/**
+ * @module biome-map
+ * @description Looks up which biome covers a point of the world
+ * @global Should be accessible to all modules
+ *
+ * Biomes live in environment.parameters.biomes as { layout, types, regions }.
+ * Each region is { type, bounds: {x, y, width, height} } with bounds given as
+ * fractions of the environment boundaries, so a layout keeps its shape when
+ * the world is resized.
+ */
+
+// Used where no biome map exists: behaves like the world before biomes
+const NEUTRAL_BIOME = { name: 'openWater', regeneration: 1, drag: 0, metabolicCost: 1 };
+
+/**
+ * Finds the region covering a position
+ * @param {Object} environment - Environment state
+ * @param {Object} position - World position {x, y}
+ * @returns {number} Index into environment.parameters.biomes.regions, or -1 if none covers it
+ */
+export function getBiomeRegionIndex(environment, position) {
+  const biomes = environment.parameters && environment.parameters.biomes;
+  if (!biomes) return -1;
+  
+  const x = position.x / environment.boundaries.width;
+  const y = position.y / environment.boundaries.height;
+  
+  return biomes.regions.findIndex(({ bounds }) =>
+    x >= bounds.x && x <= bounds.x + bounds.width &&
+    y >= bounds.y && y <= bounds.y + bounds.height
+  );
+}
+
+/**
+ * Gets the biome at a position
+ * @param {Object} environment - Environment state
+ * @param {Object} position - World position {x, y}
+ * @returns {Object} Biome type {name, color, regeneration, drag, metabolicCost}
+ */
+export function getBiomeAt(environment, position) {
+  const index = getBiomeRegionIndex(environment, position);
+  if (index === -1) return NEUTRAL_BIOME;
+  
+  const { types, regions } = environment.parameters.biomes;
+  const name = regions[index].type;
+  
+  return types[name] ? { name, ...types[name] } : NEUTRAL_BIOME;
+}
@@ -10,7 +10,9 @@ export const CONSTANTS = {
   CANVAS: {
     DEFAULT_WIDTH: 800,
     DEFAULT_HEIGHT: 600,
-    BACKGROUND_COLOR: '#f0f0f0'
+    BACKGROUND_COLOR: '#f0f0f0',
+    TRAIL_LENGTH: 150,          // Positions kept in the selected organism's trail
+    HIGHLIGHT_COLOR: '#FFB300'  // Ring around the inspected organism
   },
   
   // Simulation configuration
@@ -18,30 +20,164 @@ export const CONSTANTS = {
     DEFAULT_SPEED: 1.0,
     MIN_SPEED: 0.1,
     MAX_SPEED: 5.0,
-    DEFAULT_POPULATION_SIZE: 20
+    DEFAULT_POPULATION_SIZE: 20,
+    FIXED_TIME_STEP: 1 / 60,     // Physics step in simulated seconds
+    MAX_FRAME_TIME: 0.25,        // Longest real frame delta accepted before clamping
+    MAX_STEPS_PER_FRAME: 30,     // Cap on catch-up steps per rendered frame
+    SPATIAL_CELL_SIZE: 100,      // Spatial grid cell edge in pixels (about a typical sensor range)
+    STATUS_INTERVAL: 250         // Real milliseconds between status updates to subscribers while running
   },
   
   // Organism configuration
   ORGANISM: {
     MIN_SIZE: 5,
     MAX_SIZE: 30,
+    MAX_ELONGATION: 3,           // Length-to-width ratio of a bodyShape 1 organism
     DEFAULT_ENERGY: 100,
     REPRODUCTION_ENERGY_THRESHOLD: 150,
     ENERGY_TRANSFER_RATIO: 0.8,  // How much energy is passed to offspring
-    MOVEMENT_ENERGY_COST: 0.1
+    MOVEMENT_ENERGY_COST: 0.1,
+    DEFAULT_BEHAVIOR_MODE: 'scripted'  // scripted, neural
+  },
+  
+  // Sensor organ configuration
+  SENSORS: {
+    STIMULI: ['food', 'organism', 'wall', 'chemical'],
+    MAX_RANGE: 200,            // Reach in pixels of a sensor with range 1
+    MAX_SENSORS: 4,            // Cap on sensors added by mutation
+    ENERGY_COST: 0.5,          // Energy per second of a full-circle sensor at maximum range
+    CHEMICAL_SATURATION: 100   // Summed food scent at which a chemical sensor reads 1
+  },
+  
+  // Neural behavior controller configuration
+  BRAIN: {
+    INPUT_COUNT: 10,     // Sensor readings fed to the network
+    OUTPUT_COUNT: 2,     // Thrust and turn
+    INITIAL_HIDDEN: 2,   // Hidden neurons in founder brains
+    MAX_HIDDEN: 8,       // Cap on hidden neurons added by mutation
+    MAX_WEIGHT: 4,       // Weights are clamped to [-MAX_WEIGHT, MAX_WEIGHT]
+    MUTATION_RATE: 0.5   // Per-weight mutation chance, scaled by the global mutation rate
+  },
+  
+  // Locomotion configuration
+  LOCOMOTION: {
+    BASE_SPEED: 50,        // Pixels per second per unit of propulsion
+    BASE_TURN_RATE: 2,     // Radians per second per unit of steering
+    BODY_DRAG: 0.5,        // Extra drag per unit of bodySize above 0.5 (less below)
+    SHAPE_DRAG: 0.5,       // Drag saved by streamlining, scaled by how much narrower than a circle the body is
+    // Per unit of appendage length
+    APPENDAGE_TYPES: {
+      fin: { THRUST: 0.6, TORQUE: 0.2, DRAG: 0.15, COST: 0.1 },
+      flagella: { THRUST: 0.3, TORQUE: 0.6, DRAG: 0.05, COST: 0.2 }
+    }
+  },
+  
+  // Physical interaction configuration
+  PHYSICS: {
+    RESTITUTION: 0.5,               // Bounciness of organism collisions (0 inelastic, 1 elastic)
+    CROWDING_RADIUS: 3,             // Crowding neighborhood as a multiple of the body radius
+    DEFAULT_CROWDING_PENALTY: 0     // Extra metabolic cost per crowding neighbor (0 disables crowding)
+  },
+  
+  // Predator-prey configuration
+  PREDATION: {
+    CARNIVORE_THRESHOLD: 0.5,      // Diet gene value from which an organism hunts other organisms
+    CARNIVORE_FOUNDER_RATIO: 0.2,  // Share of the initial population that starts carnivorous
+    MAX_PREY_SIZE_ADVANTAGE: 0.1,  // How much larger (bodySize gene) prey may be than its predator
+    KILL_EFFICIENCY: 0.6           // Share of prey energy gained when predator and prey are the same size
   },
   
   // Evolution configuration
   EVOLUTION: {
     DEFAULT_MUTATION_RATE: 0.05,
-    MAX_MUTATION_RATE: 0.2
+    MAX_MUTATION_RATE: 0.2,
+    DEFAULT_REPRODUCTION_MODE: 'asexual',   // asexual, sexual
+    DEFAULT_CROSSOVER_STRATEGY: 'uniform',  // uniform, single-point, blend
+    MATING_RANGE: 60,                       // Max distance in pixels between sexual partners
+    SPECIES_THRESHOLD: 0.3,                 // Max genome distance to a species representative
+    SPECIES_APPENDAGE_WEIGHT: 0.5,          // Weight of appendage differences in genome distance
+    SPECIATION_INTERVAL: 5,                 // Simulated seconds between species assignments
+    DEFAULT_SELECTION_STRATEGY: 'natural',  // natural, fitness-proportional, tournament, truncation, carrying-capacity, breeder
+    SELECTION_INTERVAL: 1,                  // Simulated seconds between selection rounds
+    TOURNAMENT_SIZE: 2,                     // Rivals per tournament at zero pressure
+    CULL_INTERVAL: 10,                      // Simulated seconds between truncation culls
+    CARRYING_CAPACITY: 60,                  // Population above which carrying-capacity selection culls
+    BREEDER_LITTER_SIZE: 3                  // Offspring per parent chosen in breeder mode
+  },
+  
+  // Fitness function configuration
+  FITNESS: {
+    // Phenotype traits that trait targets and custom expressions can refer to
+    TRAITS: ['bodySize', 'bodyShape', 'color', 'metabolism', 'diet', 'toxinDetection', 'speed', 'turnRate', 'sensorRange'],
+    
+    // Parameters of each component type, used when a component is added
+    COMPONENT_DEFAULTS: {
+      energy: {},
+      age: { scale: 100 },                              // Age in seconds at which the term saturates
+      trait: { trait: 'bodySize', target: 0.5, tolerance: 0.5 },
+      appendageCount: { target: 2, tolerance: 3 },
+      expression: { expression: 'speed * (1 - metabolism)' },
+      environment: { richDensity: 0.7, poorDensity: 0.3 },
+      trophic: {}
+    },
+    
+    // The default fitness function
+    DEFAULT_COMPONENTS: [
+      { type: 'energy', weight: 0.35 },
+      { type: 'trait', trait: 'metabolism', target: 0, tolerance: 1, weight: 0.15 },
+      { type: 'trait', trait: 'sensorRange', target: 1, tolerance: 1, weight: 0.05 },
+      { type: 'expression', expression: 'speed * (1 - metabolism)', weight: 0.15 },
+      { type: 'age', scale: 100, weight: 0.1 },
+      { type: 'environment', richDensity: 0.7, poorDensity: 0.3, weight: 0.1 },
+      { type: 'trophic', weight: 0.1 }
+    ]
+  },
+  
+  // Persistence configuration
+  STORAGE: {
+    SNAPSHOT_KEY: 'evolution-morphology-snapshot'
   },
   
   // Resource configuration
   RESOURCE: {
-    DEFAULT_VALUE: 25,
     REGENERATION_RATE: 0.01,
-    MAX_RESOURCES: 50
+    MAX_RESOURCES: 50,
+    EFFECTS: ['nourish', 'drain'],  // nourish adds the value to energy, drain removes it
+    DETECTION_COST: 0.1,            // Energy per second at toxinDetection 1
+    
+    // Default resource type registry; spawnWeight is relative, decay is the
+    // share of the starting value lost per second (0 never spoils)
+    TYPES: {
+      food: { value: 25, color: '#8BC34A', spawnWeight: 0.85, decay: 0, effect: 'nourish' },
+      richFood: { value: 60, color: '#FFC107', spawnWeight: 0.05, decay: 0.02, effect: 'nourish' },
+      poison: { value: 15, color: '#E91E63', spawnWeight: 0.1, decay: 0.01, effect: 'drain' }
+    },
+    
+    // Where new resources appear; each distribution's default parameters.
+    // spread and scale are in pixels, speed in pixels per second, angle in radians
+    DEFAULT_DISTRIBUTION: 'uniform',
+    DISTRIBUTIONS: {
+      uniform: {},
+      patches: { count: 4, spread: 50 },
+      movingPatches: { count: 3, spread: 50, speed: 15 },
+      gradient: { angle: 0, minDensity: 0.1 },
+      noise: { scale: 200, octaves: 3, contrast: 3 }
+    },
+    MAX_SAMPLE_ATTEMPTS: 30         // Rejection sampling tries before accepting any position
+  },
+  
+  // Habitat configuration
+  BIOMES: {
+    DEFAULT_LAYOUT: 'bands',        // single, bands, patchwork
+    LAYOUTS: ['single', 'bands', 'patchwork'],
+    
+    // regeneration multiplies the resource regeneration rate, drag adds to body
+    // drag and metabolicCost multiplies the metabolic energy cost
+    TYPES: {
+      openWater: { color: '#E3F2FD', regeneration: 1, drag: 0, metabolicCost: 1 },
+      shallows: { color: '#E0F2F1', regeneration: 1.5, drag: 0.6, metabolicCost: 0.8 },
+      nutrientRich: { color: '#F1F8E9', regeneration: 3, drag: 0.2, metabolicCost: 1.4 }
+    }
   }
 };
 
@@ -73,6 +209,28 @@ export function deepClone(obj) {
   return JSON.parse(JSON.stringify(obj));
 }
 
+/**
+ * Creates a deeply frozen copy of plain data (objects, arrays and primitives)
+ * Copying and freezing in a single pass is cheaper than deepClone followed by a freeze.
+ * @param {*} value - The value to copy
+ * @returns {*} A frozen copy of the value
+ */
+export function frozenCopy(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  
+  if (Array.isArray(value)) {
+    return Object.freeze(value.map(frozenCopy));
+  }
+  
+  const copy = {};
+  for (const key in value) {
+    copy[key] = frozenCopy(value[key]);
+  }
+  return Object.freeze(copy);
+}
+
 /**
  * Maps a value from one range to another
  * @param {number} value - The value to map
@@ -4,6 +4,61 @@
  * @global Should be accessible to all modules
  */
 
+// Seeded random number generator state (mulberry32)
+let randomSeed = 0;
+let randomState = 0;
+
+setRandomSeed(Date.now());
+
+/**
+ * Seeds the shared random number generator
+ * @param {number} seed - Integer seed; the same seed reproduces the same sequence
+ * @returns {number} The seed actually applied (coerced to an unsigned 32-bit integer)
+ */
+export function setRandomSeed(seed) {
+  randomSeed = (Number(seed) >>> 0);
+  randomState = randomSeed;
+  return randomSeed;
+}
+
+/**
+ * Gets the seed the random number generator was last initialized with
+ * @returns {number} The current seed
+ */
+export function getRandomSeed() {
+  return randomSeed;
+}
+
+/**
+ * Captures the random generator position so a run can be resumed exactly
+ * @returns {Object} The seed and current internal state
+ */
+export function getRandomState() {
+  return { seed: randomSeed, state: randomState };
+}
+
+/**
+ * Restores a random generator position captured by getRandomState
+ * @param {Object} savedState - Object with seed and state
+ */
+export function setRandomState(savedState) {
+  randomSeed = (Number(savedState.seed) >>> 0);
+  randomState = (Number(savedState.state) >>> 0);
+}
+
+/**
+ * Generates a random number in [0, 1) from the seeded generator
+ * All stochastic code should draw from this instead of Math.random()
+ * @returns {number} A random number between 0 (inclusive) and 1 (exclusive)
+ */
+export function randomFloat() {
+  randomState = (randomState + 0x6D2B79F5) >>> 0;
+  let t = randomState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
 /**
  * Calculates the distance between two points
  * @param {Object} point1 - The first point with x and y coordinates
@@ -51,7 +106,7 @@ export function degreesToRadians(degrees) {
  * @returns {number} A random number between min and max
  */
 export function random(min, max) {
-  return Math.random() * (max - min) + min;
+  return randomFloat() * (max - min) + min;
 }
 
 /**
@@ -63,7 +118,7 @@ export function random(min, max) {
 export function randomInt(min, max) {
   min = Math.ceil(min);
   max = Math.floor(max);
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(randomFloat() * (max - min + 1)) + min;
 }
 
 /**
@@ -85,8 +140,8 @@ export function normalize(value, min, max) {
  */
 export function gaussian(mean, stdDev) {
   // Box-Muller transform
-  const u1 = 1 - Math.random();
-  const u2 = 1 - Math.random();
+  const u1 = 1 - randomFloat();
+  const u2 = 1 - randomFloat();
   const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
   return z0 * stdDev + mean;
 }
@@ -183,4 +238,26 @@ export function vectorFromAngle(angle, magnitude) {
  */
 export function vectorAngle(vector) {
   return Math.atan2(vector.y, vector.x);
-}
\ No newline at end of file
+}
+
+/**
+ * Checks whether a point lies inside a polygon
+ * @param {Object} point - The point with x and y coordinates
+ * @param {Array} polygon - Polygon vertices with x and y coordinates, in order
+ * @returns {boolean} True if the point is inside
+ */
+export function pointInPolygon(point, polygon) {
+  let inside = false;
+  
+  // Count crossings of a ray cast from the point to the right
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  
+  return inside;
+}
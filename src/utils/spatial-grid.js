@@ -0,0 +1,231 @@
+/**
+ * @module spatial-grid
+ * @description Uniform-grid spatial index for range and nearest-neighbor queries
+ * @global Should be accessible to all modules
+ */
+
+// Multiplier separating cell columns in numeric cell keys
+const CELL_KEY_STRIDE = 65536;
+
+/**
+ * Creates an empty spatial grid
+ * Entries are bucketed into square cells so queries only visit cells that
+ * overlap the search circle instead of every entry.
+ * @param {number} cellSize - Cell edge length; about the typical query radius works well
+ * @returns {Object} The grid
+ */
+export function createSpatialGrid(cellSize) {
+  return {
+    cellSize,
+    cells: new Map(),   // cell key -> { cellX, cellY, entries: Map of entry ID -> entry }
+    entries: new Map()  // entry ID -> { id, x, y, key, value }
+  };
+}
+
+/**
+ * Removes every entry from a grid
+ * @param {Object} grid - The grid
+ */
+export function clearSpatialGrid(grid) {
+  grid.cells.clear();
+  grid.entries.clear();
+}
+
+/**
+ * Adds an entry to a grid, replacing any entry with the same ID
+ * @param {Object} grid - The grid
+ * @param {string} id - Unique entry ID
+ * @param {Object} position - Entry position {x, y}
+ * @param {*} value - Value returned by queries; defaults to the ID
+ */
+export function insertIntoGrid(grid, id, position, value = id) {
+  if (grid.entries.has(id)) {
+    removeFromGrid(grid, id);
+  }
+  
+  const entry = { id, x: position.x, y: position.y, key: getCellKey(grid, position.x, position.y), value };
+  grid.entries.set(id, entry);
+  getOrCreateCell(grid, entry.key).entries.set(id, entry);
+}
+
+/**
+ * Removes an entry from a grid
+ * @param {Object} grid - The grid
+ * @param {string} id - Entry ID
+ * @returns {boolean} True if the entry existed
+ */
+export function removeFromGrid(grid, id) {
+  const entry = grid.entries.get(id);
+  if (!entry) return false;
+  
+  removeFromCell(grid, entry);
+  grid.entries.delete(id);
+  return true;
+}
+
+/**
+ * Moves an entry to a new position, changing cells only when it crosses a cell border
+ * @param {Object} grid - The grid
+ * @param {string} id - Entry ID
+ * @param {Object} position - New position {x, y}
+ * @returns {boolean} True if the entry exists
+ */
+export function moveInGrid(grid, id, position) {
+  const entry = grid.entries.get(id);
+  if (!entry) return false;
+  
+  const key = getCellKey(grid, position.x, position.y);
+  if (key !== entry.key) {
+    removeFromCell(grid, entry);
+    entry.key = key;
+    getOrCreateCell(grid, key).entries.set(id, entry);
+  }
+  
+  entry.x = position.x;
+  entry.y = position.y;
+  return true;
+}
+
+/**
+ * Finds every entry within a radius of a position
+ * @param {Object} grid - The grid
+ * @param {Object} position - Query center {x, y}
+ * @param {number} radius - Query radius
+ * @returns {Array} Values of the entries in range
+ */
+export function queryGridRange(grid, position, radius) {
+  const results = [];
+  const radiusSquared = radius * radius;
+  
+  forEachCellInRange(grid, position, radius, entries => {
+    entries.forEach(entry => {
+      const dx = entry.x - position.x;
+      const dy = entry.y - position.y;
+      if (dx * dx + dy * dy < radiusSquared) {
+        results.push(entry.value);
+      }
+    });
+  });
+  
+  return results;
+}
+
+/**
+ * Finds the nearest entry within a radius of a position
+ * @param {Object} grid - The grid
+ * @param {Object} position - Query center {x, y}
+ * @param {number} radius - Maximum search radius
+ * @param {Function} predicate - Optional filter applied to entry values
+ * @returns {*} Value of the nearest matching entry, or null if none is in range
+ */
+export function findNearestInGrid(grid, position, radius, predicate = null) {
+  let nearest = null;
+  let nearestDistanceSquared = radius * radius;
+  
+  forEachCellInRange(grid, position, radius, entries => {
+    entries.forEach(entry => {
+      const dx = entry.x - position.x;
+      const dy = entry.y - position.y;
+      const distanceSquared = dx * dx + dy * dy;
+      if (distanceSquared < nearestDistanceSquared && (!predicate || predicate(entry.value))) {
+        nearestDistanceSquared = distanceSquared;
+        nearest = entry.value;
+      }
+    });
+  });
+  
+  return nearest;
+}
+
+/**
+ * Gets the number of entries in a grid
+ * @param {Object} grid - The grid
+ * @returns {number} Entry count
+ */
+export function getGridSize(grid) {
+  return grid.entries.size;
+}
+
+/**
+ * Calls a function for every non-empty cell overlapping a search circle's bounding box
+ * @param {Object} grid - The grid
+ * @param {Object} position - Circle center {x, y}
+ * @param {number} radius - Circle radius
+ * @param {Function} callback - Receives each cell's map of entries
+ */
+function forEachCellInRange(grid, position, radius, callback) {
+  const minX = Math.floor((position.x - radius) / grid.cellSize);
+  const maxX = Math.floor((position.x + radius) / grid.cellSize);
+  const minY = Math.floor((position.y - radius) / grid.cellSize);
+  const maxY = Math.floor((position.y + radius) / grid.cellSize);
+  
+  // Very large radii cover more cells than exist; walk the occupied cells instead
+  if ((maxX - minX + 1) * (maxY - minY + 1) > grid.cells.size) {
+    grid.cells.forEach(cell => {
+      if (cell.cellX >= minX && cell.cellX <= maxX && cell.cellY >= minY && cell.cellY <= maxY) {
+        callback(cell.entries);
+      }
+    });
+    return;
+  }
+  
+  for (let cellX = minX; cellX <= maxX; cellX++) {
+    for (let cellY = minY; cellY <= maxY; cellY++) {
+      const cell = grid.cells.get(toCellKey(cellX, cellY));
+      if (cell) {
+        callback(cell.entries);
+      }
+    }
+  }
+}
+
+/**
+ * Gets the key of the cell containing a point
+ * @param {Object} grid - The grid
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {number} Cell key
+ */
+function getCellKey(grid, x, y) {
+  return toCellKey(Math.floor(x / grid.cellSize), Math.floor(y / grid.cellSize));
+}
+
+/**
+ * Packs cell coordinates into a numeric key
+ * Numeric keys keep map lookups cheap; rows hold up to 2^16 cells.
+ * @param {number} cellX - Cell column
+ * @param {number} cellY - Cell row
+ * @returns {number} Cell key
+ */
+function toCellKey(cellX, cellY) {
+  return cellX * CELL_KEY_STRIDE + cellY;
+}
+
+/**
+ * Gets a cell, creating it if needed
+ * @param {Object} grid - The grid
+ * @param {number} key - Cell key
+ * @returns {Object} The cell {cellX, cellY, entries}
+ */
+function getOrCreateCell(grid, key) {
+  let cell = grid.cells.get(key);
+  if (!cell) {
+    const cellY = ((key % CELL_KEY_STRIDE) + CELL_KEY_STRIDE + CELL_KEY_STRIDE / 2) % CELL_KEY_STRIDE - CELL_KEY_STRIDE / 2;
+    cell = { cellX: (key - cellY) / CELL_KEY_STRIDE, cellY, entries: new Map() };
+    grid.cells.set(key, cell);
+  }
+  return cell;
+}
+
+/**
+ * Removes an entry from its cell, dropping the cell once empty
+ * @param {Object} grid - The grid
+ * @param {Object} entry - The entry
+ */
+function removeFromCell(grid, entry) {
+  const cell = grid.cells.get(entry.key);
+  cell.entries.delete(entry.id);
+  if (cell.entries.size === 0) {
+    grid.cells.delete(entry.key);
+  }
+}
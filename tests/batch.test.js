@@ -0,0 +1,42 @@
+/**
+ * Checks parameter sweeps: grid expansion, replicate seeds and table export
+ */
+
+import { describe, it, expect } from 'vitest';
+import { runBatch, exportBatchResults } from '../src/headless';
+
+const GRID = { populationSize: [10, 20], mutationRate: [0.02, 0.1] };
+
+describe('batch runs', () => {
+  it('runs every grid cell once per replicate with consecutive seeds', () => {
+    const progress = [];
+    const results = runBatch(GRID, {
+      seconds: 3,
+      replicates: 2,
+      baseSeed: 5,
+      onProgress: (completed, total) => progress.push([completed, total])
+    });
+    
+    expect(results).toHaveLength(8);
+    expect(progress[progress.length - 1]).toEqual([8, 8]);
+    expect(results.map(row => row.seed)).toEqual([5, 6, 5, 6, 5, 6, 5, 6]);
+    expect(results.map(row => [row.populationSize, row.mutationRate])).toEqual([
+      [10, 0.02], [10, 0.02], [10, 0.1], [10, 0.1],
+      [20, 0.02], [20, 0.02], [20, 0.1], [20, 0.1]
+    ]);
+  });
+  
+  it('reproduces the same results from the same base seed', () => {
+    const options = { seconds: 3, replicates: 2, baseSeed: 9 };
+    expect(runBatch(GRID, options)).toEqual(runBatch(GRID, options));
+  });
+  
+  it('exports one CSV row per run with flattened columns', () => {
+    const results = runBatch({ populationSize: [10] }, { seconds: 2, replicates: 2 });
+    const [header, ...rows] = exportBatchResults(results, 'csv').split('\n');
+    
+    expect(rows).toHaveLength(2);
+    expect(header.split(',')).toEqual(expect.arrayContaining(['seed', 'finalPopulation', 'averageStats.speed']));
+    expect(() => exportBatchResults(results, 'xml')).toThrow('Unsupported results format');
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Checks biome layouts and biome lookups
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CONSTANTS } from '../src/utils/core';
+import { setRandomSeed } from '../src/utils/math-utils';
+import { createBiomeMap, getMaxRegeneration } from '../src/simulation/biome-layout';
+import { getBiomeAt, getBiomeRegionIndex } from '../src/utils/biome-map';
+
+/**
+ * Builds a minimal environment around a biome map
+ * @param {Object} biomes - The biome map
+ * @param {number} width - Environment width
+ * @param {number} height - Environment height
+ * @returns {Object} The environment
+ */
+function createEnvironment(biomes, width = 900, height = 600) {
+  return { boundaries: { width, height }, parameters: { biomes } };
+}
+
+describe('biome map', () => {
+  beforeEach(() => {
+    setRandomSeed(10);
+  });
+  
+  it('splits the bands layout into three vertical strips', () => {
+    const environment = createEnvironment(createBiomeMap('bands'));
+    
+    expect(getBiomeAt(environment, { x: 100, y: 300 }).name).toBe('shallows');
+    expect(getBiomeAt(environment, { x: 450, y: 10 }).name).toBe('openWater');
+    expect(getBiomeAt(environment, { x: 800, y: 590 }).name).toBe('nutrientRich');
+  });
+  
+  it('keeps the layout when the world is resized', () => {
+    const biomes = createBiomeMap('bands');
+    
+    expect(getBiomeAt(createEnvironment(biomes, 1800, 600), { x: 1600, y: 300 }).name).toBe('nutrientRich');
+    expect(getBiomeAt(createEnvironment(biomes, 300, 600), { x: 250, y: 300 }).name).toBe('nutrientRich');
+  });
+  
+  it('places each biome type in two cells of the patchwork', () => {
+    const { regions } = createBiomeMap('patchwork');
+    const counts = {};
+    regions.forEach(({ type }) => { counts[type] = (counts[type] || 0) + 1; });
+    
+    expect(regions).toHaveLength(6);
+    expect(counts).toEqual({ openWater: 2, shallows: 2, nutrientRich: 2 });
+  });
+  
+  it('falls back to neutral open water outside any map', () => {
+    const environment = createEnvironment(undefined);
+    
+    expect(getBiomeRegionIndex(environment, { x: 10, y: 10 })).toBe(-1);
+    expect(getBiomeAt(environment, { x: 10, y: 10 })).toEqual({
+      name: 'openWater', regeneration: 1, drag: 0, metabolicCost: 1
+    });
+  });
+  
+  it('merges and validates biome type overrides', () => {
+    const biomes = createBiomeMap('single', { openWater: { regeneration: 4 } });
+    
+    expect(biomes.types.openWater).toEqual({ ...CONSTANTS.BIOMES.TYPES.openWater, regeneration: 4 });
+    expect(getMaxRegeneration(biomes)).toBe(4);
+    expect(() => createBiomeMap('rings')).toThrow('Unknown biome layout');
+    expect(() => createBiomeMap('single', { shallows: { drag: -1 } })).toThrow('non-negative drag');
+  });
+});
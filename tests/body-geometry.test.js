@@ -0,0 +1,68 @@
+/**
+ * Checks elliptical body geometry
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CONSTANTS } from '../src/utils/core';
+import {
+  getBodyRadius,
+  getElongation,
+  getBodyAxes,
+  getMaxBodyExtent,
+  getBodyExtent,
+  bodyContainsPoint
+} from '../src/organism/body-geometry';
+
+/**
+ * Creates an organism at the origin heading along the x axis
+ * @param {number} bodySize - Normalized body size (0-1)
+ * @param {number} bodyShape - Normalized body shape (0-1)
+ * @returns {Object} The organism
+ */
+function createBody(bodySize, bodyShape) {
+  return {
+    phenotype: { bodySize, elongation: getElongation(bodyShape) },
+    state: { position: { x: 0, y: 0 }, velocity: { x: 1, y: 0 } }
+  };
+}
+
+describe('body geometry', () => {
+  it('maps the genes onto the configured size and elongation ranges', () => {
+    expect(getBodyRadius(0)).toBe(CONSTANTS.ORGANISM.MIN_SIZE);
+    expect(getBodyRadius(1)).toBe(CONSTANTS.ORGANISM.MAX_SIZE);
+    expect(getElongation(0)).toBe(1);
+    expect(getElongation(1)).toBe(CONSTANTS.ORGANISM.MAX_ELONGATION);
+  });
+  
+  it('keeps the body area of a circle with the body radius', () => {
+    [0, 0.4, 1].forEach(bodyShape => {
+      const { phenotype } = createBody(0.5, bodyShape);
+      const { halfLength, halfWidth } = getBodyAxes(phenotype);
+      
+      expect(halfLength * halfWidth).toBeCloseTo(getBodyRadius(0.5) ** 2);
+      expect(halfLength / halfWidth).toBeCloseTo(phenotype.elongation);
+    });
+  });
+  
+  it('reaches furthest along the heading and never beyond the maximum extent', () => {
+    const organism = createBody(1, 1);
+    const { halfLength, halfWidth } = getBodyAxes(organism.phenotype);
+    
+    expect(getBodyExtent(organism, 0)).toBeCloseTo(halfLength);
+    expect(getBodyExtent(organism, Math.PI / 2)).toBeCloseTo(halfWidth);
+    expect(getBodyExtent(organism, 0)).toBeCloseTo(getMaxBodyExtent());
+  });
+  
+  it('contains points inside the outline only', () => {
+    const organism = createBody(1, 1);
+    const { halfLength, halfWidth } = getBodyAxes(organism.phenotype);
+    
+    expect(bodyContainsPoint(organism, { x: halfLength * 0.9, y: 0 })).toBe(true);
+    expect(bodyContainsPoint(organism, { x: 0, y: halfWidth * 1.1 })).toBe(false);
+    
+    // Turning the body sideways swaps the axes
+    organism.state.velocity = { x: 0, y: 1 };
+    expect(bodyContainsPoint(organism, { x: 0, y: halfLength * 0.9 })).toBe(true);
+    expect(bodyContainsPoint(organism, { x: halfLength * 0.9, y: 0 })).toBe(false);
+  });
+});
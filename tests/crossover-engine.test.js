@@ -0,0 +1,189 @@
+/**
+ * Checks genome recombination and the pairing of sexual partners
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CONSTANTS } from '../src/utils/core';
+import { setRandomSeed } from '../src/utils/math-utils';
+import { crossoverGenomes, CROSSOVER_STRATEGIES } from '../src/evolution/crossover-engine';
+import { createRandomBrain } from '../src/organism/neural-controller';
+import {
+  initializeOrganismSystem,
+  createInitialPopulation,
+  createOrganism,
+  getAllOrganisms
+} from '../src/organism/organism-manager';
+import {
+  initializeEvolutionSystem,
+  setReproductionMode,
+  setSelectionStrategy,
+  applySelection
+} from '../src/evolution/evolution-manager';
+
+/**
+ * Creates two parents with different random genomes
+ * @returns {Array<Object>} The parents' genomes
+ */
+function createParentGenomes() {
+  initializeOrganismSystem();
+  return createInitialPopulation(2, { width: 800, height: 600 }).map(organism => organism.genome);
+}
+
+/**
+ * Lists the scalar genes that differ between two genomes
+ * @param {Object} genomeA - The first genome
+ * @param {Object} genomeB - The second genome
+ * @returns {Array<string>} Gene names, in genome order
+ */
+function differingGenes(genomeA, genomeB) {
+  return Object.keys(genomeA).filter(key => (
+    genomeA[key] && typeof genomeA[key].value === 'number' && genomeA[key].value !== genomeB[key].value
+  ));
+}
+
+describe('crossoverGenomes', () => {
+  beforeEach(() => {
+    setRandomSeed(21);
+  });
+  
+  it('takes every gene from one of the parents under uniform crossover', () => {
+    const [genomeA, genomeB] = createParentGenomes();
+    const offspring = crossoverGenomes(genomeA, genomeB, 'uniform');
+    const genes = differingGenes(genomeA, genomeB);
+    
+    expect(genes.length).toBeGreaterThan(0);
+    genes.forEach(key => {
+      expect([genomeA[key].value, genomeB[key].value]).toContain(offspring[key].value);
+    });
+  });
+  
+  it('switches from the first parent to the second at most once under single-point crossover', () => {
+    const [genomeA, genomeB] = createParentGenomes();
+    
+    for (let trial = 0; trial < 20; trial++) {
+      const offspring = crossoverGenomes(genomeA, genomeB, 'single-point');
+      const sources = differingGenes(genomeA, genomeB)
+        .map(key => (offspring[key].value === genomeA[key].value ? 'A' : 'B'))
+        .join('');
+      expect(sources).toMatch(/^A*B*$/);
+    }
+  });
+  
+  it('places every gene between the parents under blend crossover', () => {
+    const [genomeA, genomeB] = createParentGenomes();
+    const offspring = crossoverGenomes(genomeA, genomeB, 'blend');
+    
+    differingGenes(genomeA, genomeB).forEach(key => {
+      const low = Math.min(genomeA[key].value, genomeB[key].value);
+      const high = Math.max(genomeA[key].value, genomeB[key].value);
+      expect(offspring[key].value).toBeGreaterThanOrEqual(low);
+      expect(offspring[key].value).toBeLessThanOrEqual(high);
+    });
+  });
+  
+  it('keeps body parts within their caps and sensor angles within one turn', () => {
+    const [genomeA, genomeB] = createParentGenomes();
+    
+    CROSSOVER_STRATEGIES.forEach(strategy => {
+      for (let trial = 0; trial < 20; trial++) {
+        const offspring = crossoverGenomes(genomeA, genomeB, strategy);
+        expect(offspring.appendages.length).toBeLessThanOrEqual(3);
+        expect(offspring.sensors.length).toBeLessThanOrEqual(CONSTANTS.SENSORS.MAX_SENSORS);
+        offspring.sensors.forEach(sensor => {
+          expect(sensor.angle.value).toBeGreaterThanOrEqual(0);
+          expect(sensor.angle.value).toBeLessThan(1);
+        });
+      }
+    });
+  });
+});
+
+/**
+ * Lists every weight of a brain in a fixed order
+ * @param {Object} brain - The brain
+ * @returns {Array<number>} The weights
+ */
+function brainWeights(brain) {
+  return brain.hidden.concat(brain.outputs).flatMap(neuron => [
+    ...neuron.inputWeights,
+    ...(neuron.hiddenWeights || [neuron.recurrentWeight]),
+    neuron.bias
+  ]);
+}
+
+describe('brain crossover', () => {
+  beforeEach(() => {
+    setRandomSeed(13);
+  });
+  
+  it('mixes weights from both parents when the networks line up', () => {
+    const brainA = createRandomBrain();
+    const brainB = createRandomBrain();
+    const weightsA = brainWeights(brainA);
+    const weightsB = brainWeights(brainB);
+    const offspring = brainWeights(crossoverGenomes({ brain: brainA }, { brain: brainB }, 'uniform').brain);
+    
+    offspring.forEach((weight, index) => expect([weightsA[index], weightsB[index]]).toContain(weight));
+    expect(offspring.some((weight, index) => weight === weightsA[index])).toBe(true);
+    expect(offspring.some((weight, index) => weight === weightsB[index])).toBe(true);
+  });
+  
+  it('cuts between neurons under single-point crossover', () => {
+    const brainA = createRandomBrain();
+    const brainB = createRandomBrain();
+    
+    const neuronsA = brainA.hidden.concat(brainA.outputs);
+    
+    for (let trial = 0; trial < 20; trial++) {
+      const offspring = crossoverGenomes({ brain: brainA }, { brain: brainB }, 'single-point').brain;
+      const sources = offspring.hidden.concat(offspring.outputs)
+        .map((neuron, index) => (neuron.bias === neuronsA[index].bias ? 'A' : 'B'))
+        .join('');
+      expect(sources).toMatch(/^A*B*$/);
+    }
+  });
+  
+  it('inherits one whole brain when the hidden layers differ', () => {
+    const brainA = createRandomBrain();
+    const brainB = createRandomBrain();
+    brainB.hidden.pop();
+    brainB.outputs.forEach(neuron => neuron.hiddenWeights.pop());
+    
+    for (let trial = 0; trial < 10; trial++) {
+      const offspring = crossoverGenomes({ brain: brainA }, { brain: brainB }, 'blend').brain;
+      expect([brainA, brainB]).toContainEqual(offspring);
+    }
+  });
+});
+
+describe('sexual reproduction', () => {
+  beforeEach(() => {
+    setRandomSeed(3);
+    initializeOrganismSystem();
+    initializeEvolutionSystem();
+    setReproductionMode('sexual');
+    setSelectionStrategy('natural');
+  });
+  
+  it('pairs each parent with its nearest partner within mating range', () => {
+    const energy = CONSTANTS.ORGANISM.REPRODUCTION_ENERGY_THRESHOLD + 50;
+    const place = (x, y) => createOrganism({ state: { position: { x, y }, energy } }).id;
+    const first = place(100, 100);
+    const far = place(100, 100 + CONSTANTS.EVOLUTION.MATING_RANGE - 10);
+    const near = place(110, 100);
+    const loner = place(700, 500);
+    
+    applySelection(getAllOrganisms(), null);
+    
+    const offspring = getAllOrganisms().filter(organism => organism.parentId);
+    expect(offspring).toHaveLength(1);
+    expect([offspring[0].parentId, offspring[0].coParentId]).toEqual([first, near]);
+    
+    const parents = getAllOrganisms().filter(organism => [first, near].includes(organism.id));
+    parents.forEach(parent => {
+      expect(parent.state.energy).toBeCloseTo(energy * (1 - CONSTANTS.ORGANISM.ENERGY_TRANSFER_RATIO / 2));
+    });
+    expect(getAllOrganisms().find(organism => organism.id === far).state.energy).toBe(energy);
+    expect(getAllOrganisms().find(organism => organism.id === loner).state.energy).toBe(energy);
+  });
+});
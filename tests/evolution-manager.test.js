@@ -0,0 +1,66 @@
+/**
+ * Checks breeder mode, where parents and culls are chosen by hand
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CONSTANTS } from '../src/utils/core';
+import { setRandomSeed } from '../src/utils/math-utils';
+import {
+  initializeOrganismSystem,
+  createInitialPopulation,
+  getAllOrganisms,
+  getOrganismById,
+  setOrganismEnergy
+} from '../src/organism/organism-manager';
+import {
+  initializeEvolutionSystem,
+  initializeLineage,
+  setSelectionStrategy,
+  applySelection,
+  cullOrganisms,
+  breedOrganisms,
+  getLineageRecord
+} from '../src/evolution/evolution-manager';
+
+describe('breeder mode', () => {
+  beforeEach(() => {
+    setRandomSeed(23);
+    initializeOrganismSystem();
+    initializeEvolutionSystem();
+    initializeLineage(createInitialPopulation(6, { width: 800, height: 600 }));
+    setSelectionStrategy('breeder');
+  });
+  
+  it('leaves reproduction and culling to the breeder', () => {
+    getAllOrganisms().forEach(organism => setOrganismEnergy(organism.id, 1000));
+    applySelection(getAllOrganisms(), null);
+    
+    expect(getAllOrganisms()).toHaveLength(6);
+  });
+  
+  it('culls the chosen organisms and records their deaths', () => {
+    const [first, second] = getAllOrganisms().map(organism => organism.id);
+    
+    expect(cullOrganisms([first, second, 'organism-missing'])).toBe(2);
+    expect(getAllOrganisms()).toHaveLength(4);
+    expect(getOrganismById(first)).toBeNull();
+    expect(getLineageRecord(first).deathTime).not.toBeNull();
+    expect(cullOrganisms([first])).toBe(0);
+  });
+  
+  it('breeds a litter from each chosen parent, whatever its energy', () => {
+    const [hungry, fed] = getAllOrganisms().map(organism => organism.id);
+    setOrganismEnergy(hungry, 1);
+    
+    const offspringIds = breedOrganisms([hungry, fed, 'organism-missing']);
+    const litterSize = CONSTANTS.EVOLUTION.BREEDER_LITTER_SIZE;
+    
+    expect(offspringIds).toHaveLength(2 * litterSize);
+    expect(getAllOrganisms()).toHaveLength(6 + 2 * litterSize);
+    
+    const parents = offspringIds.map(id => getOrganismById(id).parentId);
+    expect(parents.filter(id => id === hungry)).toHaveLength(litterSize);
+    expect(parents.filter(id => id === fed)).toHaveLength(litterSize);
+    offspringIds.forEach(id => expect(getLineageRecord(id)).not.toBeNull());
+  });
+});
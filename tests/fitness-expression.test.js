@@ -0,0 +1,66 @@
+/**
+ * Checks the parser for custom fitness expressions
+ */
+
+import { describe, it, expect } from 'vitest';
+import { compileExpression } from '../src/evolution/fitness-expression';
+
+/**
+ * Compiles and evaluates an expression
+ * @param {string} source - The expression
+ * @param {Object} variables - Variable values, which are also the allowed names
+ * @returns {number} The result
+ */
+function evaluate(source, variables = {}) {
+  return compileExpression(source, Object.keys(variables))(variables);
+}
+
+describe('fitness expressions', () => {
+  it.each([
+    ['1 + 2 * 3', 7],
+    ['(1 + 2) * 3', 9],
+    ['10 - 4 - 3', 3],
+    ['12 / 3 / 2', 2],
+    ['2 ^ 3 ^ 2', 512],
+    ['-2 ^ 2', -4],
+    ['(-2) ^ 2', 4],
+    ['2 ^ -1', 0.5],
+    ['2 * -3 ^ 2', -18],
+    ['--3', 3],
+    ['1 - -2', 3],
+    ['.5 + 1.', 1.5]
+  ])('evaluates %s to %d', (source, expected) => {
+    expect(evaluate(source)).toBeCloseTo(expected);
+  });
+  
+  it('reads variables and calls functions', () => {
+    const variables = { speed: 0.8, metabolism: 0.25, bodySize: 0.5 };
+    
+    expect(evaluate('speed * (1 - metabolism)', variables)).toBeCloseTo(0.6);
+    expect(evaluate('1 - abs(bodySize - 0.8)', variables)).toBeCloseTo(0.7);
+    expect(evaluate('clamp(speed * 2, 0, 1) + min(speed, metabolism) + max(1, 2) + sqrt(-4)', variables)).toBeCloseTo(3.25);
+  });
+  
+  it('returns 0 instead of non-finite results', () => {
+    expect(evaluate('1 / 0')).toBe(0);
+    expect(evaluate('10 ^ 1000')).toBe(0);
+    expect(evaluate('x', { x: 'not a number' })).toBe(0);
+  });
+  
+  it.each([
+    ['', 'Expression is empty'],
+    ['   ', 'Expression is empty'],
+    ['1 +', 'Expression ends unexpectedly'],
+    ['(1 + 2', 'Expected ")"'],
+    ['1 2', 'Unexpected "2"'],
+    ['speed', 'Unknown name "speed"'],
+    ['abs(1, 2)', 'abs() takes 1 argument'],
+    ['clamp(1)', 'clamp() takes 3 arguments'],
+    ['1 % 2', 'Unexpected character "%"'],
+    ['alert(1)', 'Unknown name "alert"'],
+    ['constructor(1)', 'Unknown name "constructor"'],
+    ['toString()', 'Unknown name "toString"']
+  ])('rejects %j', (source, message) => {
+    expect(() => compileExpression(source, [])).toThrow(message);
+  });
+});
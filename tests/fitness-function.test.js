@@ -0,0 +1,82 @@
+/**
+ * Checks fitness component validation and scoring
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CONSTANTS } from '../src/utils/core';
+import { normalizeFitnessComponents, evaluateFitness } from '../src/evolution/fitness-function';
+
+/**
+ * Creates an organism with a given phenotype and state
+ * @param {Object} phenotype - Phenotype overrides
+ * @param {Object} state - State overrides
+ * @returns {Object} The organism
+ */
+function createTestOrganism(phenotype = {}, state = {}) {
+  return {
+    generation: 3,
+    phenotype: {
+      bodySize: 0.5, bodyShape: 0, color: 0.5, metabolism: 0.5, diet: 0, toxinDetection: 0,
+      speed: 0.5, turnRate: 0.5, sensorRange: 0.5, appendages: [], sensors: [], elongation: 1,
+      ...phenotype
+    },
+    state: { energy: 100, age: 10, position: { x: 0, y: 0 }, ...state }
+  };
+}
+
+describe('fitness components', () => {
+  it('fills in missing parameters from the defaults', () => {
+    const [trait, age] = normalizeFitnessComponents([
+      { type: 'trait', weight: 1, trait: 'speed' },
+      { type: 'age', weight: 0.5 }
+    ]);
+    
+    expect(trait).toEqual({ type: 'trait', weight: 1, trait: 'speed', target: 0.5, tolerance: 0.5 });
+    expect(age).toEqual({ type: 'age', weight: 0.5, scale: 100 });
+  });
+  
+  it('accepts the default fitness function', () => {
+    expect(normalizeFitnessComponents(CONSTANTS.FITNESS.DEFAULT_COMPONENTS)).toEqual(CONSTANTS.FITNESS.DEFAULT_COMPONENTS);
+  });
+  
+  it.each([
+    ['not an array', 'must be an array'],
+    [[{ type: 'beauty', weight: 1 }], 'unknown type: beauty'],
+    [[{ type: 'constructor', weight: 1 }], 'unknown type: constructor'],
+    [[null], 'unknown type: null'],
+    [[{ type: 'energy' }], 'needs a numeric weight'],
+    [[{ type: 'trait', weight: 1, trait: 'wings' }], 'unknown trait: wings'],
+    [[{ type: 'age', weight: 1, scale: 'old' }], 'needs a numeric scale'],
+    [[{ type: 'expression', weight: 1, expression: 'speed +' }], 'Fitness component 1 (expression): Expression ends unexpectedly']
+  ])('rejects %j', (components, message) => {
+    expect(() => normalizeFitnessComponents(components)).toThrow(message);
+  });
+  
+  it('sums the weighted component scores', () => {
+    const organism = createTestOrganism({ speed: 0.8, metabolism: 0.2, appendages: [{}, {}] }, { age: 50 });
+    const components = normalizeFitnessComponents([
+      { type: 'energy', weight: 1 },
+      { type: 'age', weight: 2, scale: 100 },
+      { type: 'trait', weight: 1, trait: 'speed', target: 1, tolerance: 0.5 },
+      { type: 'appendageCount', weight: 1, target: 2, tolerance: 3 },
+      { type: 'expression', weight: 0.5, expression: 'speed * (1 - metabolism) + generation' }
+    ]);
+    
+    const energyScore = 100 / CONSTANTS.ORGANISM.REPRODUCTION_ENERGY_THRESHOLD;
+    expect(evaluateFitness(organism, null, components)).toBeCloseTo(energyScore + 2 * 0.5 + 0.6 + 1 + 0.5 * (0.64 + 3));
+  });
+  
+  it('scores the environment as neutral without environment data', () => {
+    const components = normalizeFitnessComponents([{ type: 'environment', weight: 1 }]);
+    expect(evaluateFitness(createTestOrganism(), null, components)).toBe(0.5);
+  });
+  
+  it('rewards hunting bodies for carnivores and evasive bodies for herbivores', () => {
+    const components = normalizeFitnessComponents([{ type: 'trophic', weight: 1 }]);
+    const body = { speed: 0.2, sensorRange: 0.2, bodySize: 1 };
+    
+    const carnivore = evaluateFitness(createTestOrganism({ ...body, diet: 1 }), null, components);
+    const herbivore = evaluateFitness(createTestOrganism({ ...body, diet: 0 }), null, components);
+    expect(carnivore).toBeGreaterThan(herbivore);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Checks that a seed reproduces a headless run exactly
+ */
+
+import { describe, it, expect } from 'vitest';
+import { initializeHeadless, runFor, exportRun } from '../src/headless';
+
+/**
+ * Runs a short headless simulation and returns its export without wall-clock values
+ * @param {Object} options - Options for initializeHeadless
+ * @returns {Object} The exported run
+ */
+function runExport(options) {
+  expect(initializeHeadless(options)).toBe(true);
+  runFor(10);
+  
+  const { timestamp, ...data } = JSON.parse(exportRun());
+  expect(typeof timestamp).toBe('number');
+  delete data.statistics.runTime;
+  return data;
+}
+
+describe('headless runs', () => {
+  it('reproduces the same export from the same seed', () => {
+    const options = { seed: 7, populationSize: 30 };
+    expect(runExport(options)).toEqual(runExport(options));
+  });
+  
+  it('reproduces sexual, neural runs with patchy resources and biomes', () => {
+    const options = {
+      seed: 11,
+      populationSize: 30,
+      reproductionMode: 'sexual',
+      crossoverStrategy: 'blend',
+      selectionStrategy: 'tournament',
+      behaviorMode: 'neural',
+      resourceDistribution: 'movingPatches',
+      biomeLayout: 'patchwork'
+    };
+    expect(runExport(options)).toEqual(runExport(options));
+  });
+  
+  it('gives different runs for different seeds', () => {
+    const first = runExport({ seed: 1, populationSize: 30 });
+    const second = runExport({ seed: 2, populationSize: 30 });
+    expect(first.organisms).not.toEqual(second.organisms);
+  });
+});
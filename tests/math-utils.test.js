@@ -0,0 +1,99 @@
+/**
+ * Checks the shared math helpers
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  setRandomSeed,
+  getRandomSeed,
+  getRandomState,
+  setRandomState,
+  randomFloat,
+  randomInt,
+  gaussian,
+  pointInPolygon
+} from '../src/utils/math-utils';
+
+/**
+ * Draws several numbers from the shared generator
+ * @param {number} count - Number of draws
+ * @returns {Array<number>} The numbers
+ */
+function draw(count) {
+  return Array.from({ length: count }, randomFloat);
+}
+
+describe('seeded random generator', () => {
+  it('produces the same mulberry32 sequence for a seed', () => {
+    setRandomSeed(42);
+    expect(draw(3)).toEqual([0.6011037519201636, 0.44829055899754167, 0.8524657934904099]);
+    
+    setRandomSeed(42);
+    const first = draw(100);
+    setRandomSeed(42);
+    expect(draw(100)).toEqual(first);
+    
+    setRandomSeed(43);
+    expect(draw(100)).not.toEqual(first);
+  });
+  
+  it('coerces seeds to unsigned 32-bit integers', () => {
+    expect(setRandomSeed(-1)).toBe(4294967295);
+    expect(setRandomSeed('7')).toBe(7);
+    expect(getRandomSeed()).toBe(7);
+  });
+  
+  it('resumes exactly from a saved state', () => {
+    setRandomSeed(5);
+    draw(10);
+    const saved = getRandomState();
+    const expected = draw(10);
+    
+    setRandomSeed(99);
+    setRandomState(saved);
+    expect(draw(10)).toEqual(expected);
+    expect(getRandomSeed()).toBe(5);
+  });
+  
+  it('keeps draws within their ranges', () => {
+    setRandomSeed(1);
+    for (let i = 0; i < 1000; i++) {
+      const value = randomFloat();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+      
+      const integer = randomInt(3, 6);
+      expect(Number.isInteger(integer)).toBe(true);
+      expect(integer).toBeGreaterThanOrEqual(3);
+      expect(integer).toBeLessThanOrEqual(6);
+      
+      expect(Number.isFinite(gaussian(0, 1))).toBe(true);
+    }
+  });
+});
+
+
+describe('pointInPolygon', () => {
+  // An L shape, so the test covers a concave corner
+  const polygon = [
+    { x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 40 },
+    { x: 40, y: 40 }, { x: 40, y: 100 }, { x: 0, y: 100 }
+  ];
+  
+  it('finds points inside the polygon', () => {
+    expect(pointInPolygon({ x: 20, y: 20 }, polygon)).toBe(true);
+    expect(pointInPolygon({ x: 90, y: 20 }, polygon)).toBe(true);
+    expect(pointInPolygon({ x: 20, y: 90 }, polygon)).toBe(true);
+  });
+  
+  it('rejects points outside the polygon or in its concave corner', () => {
+    expect(pointInPolygon({ x: 70, y: 70 }, polygon)).toBe(false);
+    expect(pointInPolygon({ x: -5, y: 20 }, polygon)).toBe(false);
+    expect(pointInPolygon({ x: 20, y: 120 }, polygon)).toBe(false);
+  });
+  
+  it('contains nothing without at least three vertices', () => {
+    expect(pointInPolygon({ x: 0, y: 0 }, [])).toBe(false);
+    expect(pointInPolygon({ x: 5, y: 5 }, [{ x: 0, y: 0 }, { x: 10, y: 10 }])).toBe(false);
+  });
+});
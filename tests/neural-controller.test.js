@@ -0,0 +1,62 @@
+/**
+ * Checks the recurrent neural controllers
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CONSTANTS } from '../src/utils/core';
+import { setRandomSeed } from '../src/utils/math-utils';
+import { createRandomBrain, evaluateBrain } from '../src/organism/neural-controller';
+
+describe('neural controller', () => {
+  beforeEach(() => {
+    setRandomSeed(8);
+  });
+  
+  it('creates brains with the configured layer sizes', () => {
+    const { INPUT_COUNT, OUTPUT_COUNT, INITIAL_HIDDEN } = CONSTANTS.BRAIN;
+    const brain = createRandomBrain();
+    
+    expect(brain.hidden).toHaveLength(INITIAL_HIDDEN);
+    expect(brain.outputs).toHaveLength(OUTPUT_COUNT);
+    brain.hidden.forEach(neuron => expect(neuron.inputWeights).toHaveLength(INPUT_COUNT));
+    brain.outputs.forEach(neuron => expect(neuron.hiddenWeights).toHaveLength(INITIAL_HIDDEN));
+  });
+  
+  it('keeps outputs within [-1, 1] and returns one memory value per hidden neuron', () => {
+    const brain = createRandomBrain();
+    const inputs = Array.from({ length: CONSTANTS.BRAIN.INPUT_COUNT }, (_, index) => (index % 2 ? 50 : -50));
+    const { thrust, turn, memory } = evaluateBrain(brain, inputs);
+    
+    expect(Math.abs(thrust)).toBeLessThanOrEqual(1);
+    expect(Math.abs(turn)).toBeLessThanOrEqual(1);
+    expect(memory).toHaveLength(brain.hidden.length);
+  });
+  
+  it('feeds the previous hidden activations back in', () => {
+    const brain = createRandomBrain();
+    brain.hidden.forEach(neuron => { neuron.recurrentWeight = 2; });
+    const inputs = new Array(CONSTANTS.BRAIN.INPUT_COUNT).fill(0.5);
+    
+    const first = evaluateBrain(brain, inputs);
+    const second = evaluateBrain(brain, inputs, first.memory);
+    
+    expect(second.memory).not.toEqual(first.memory);
+    expect(evaluateBrain(brain, inputs)).toEqual(first);
+  });
+  
+  it('acts as a plain perceptron without hidden neurons', () => {
+    const brain = {
+      mutationRate: 0,
+      hidden: [],
+      outputs: [
+        { inputWeights: [1, 0], hiddenWeights: [], bias: 0 },
+        { inputWeights: [0, 1], hiddenWeights: [], bias: 0.5 }
+      ]
+    };
+    const { thrust, turn, memory } = evaluateBrain(brain, [0.3, -0.5]);
+    
+    expect(thrust).toBeCloseTo(Math.tanh(0.3));
+    expect(turn).toBeCloseTo(0);
+    expect(memory).toEqual([]);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Checks the shared read-only population snapshot and lookups by ID
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setRandomSeed } from '../src/utils/math-utils';
+import {
+  initializeOrganismSystem,
+  createInitialPopulation,
+  createOrganism,
+  getAllOrganisms,
+  getPopulationSnapshot,
+  getOrganismById,
+  setOrganismEnergy,
+  removeOrganism,
+  getOrganismState,
+  restoreOrganismState
+} from '../src/organism/organism-manager';
+
+describe('population snapshot', () => {
+  beforeEach(() => {
+    setRandomSeed(4);
+    initializeOrganismSystem();
+    createInitialPopulation(5, { width: 800, height: 600 });
+  });
+  
+  it('is shared between reads and deeply frozen', () => {
+    const snapshot = getPopulationSnapshot();
+    
+    expect(getPopulationSnapshot()).toBe(snapshot);
+    expect(getAllOrganisms()).toBe(snapshot.organisms);
+    expect(Object.isFrozen(snapshot.organisms)).toBe(true);
+    expect(Object.isFrozen(snapshot.organisms[0].state.position)).toBe(true);
+    expect(Object.isFrozen(snapshot.organisms[0].genome.appendages)).toBe(true);
+  });
+  
+  it('gets a new version when organisms are added or removed', () => {
+    const before = getPopulationSnapshot();
+    const added = createOrganism();
+    const afterAdd = getPopulationSnapshot();
+    
+    expect(afterAdd.version).toBeGreaterThan(before.version);
+    expect(afterAdd.organisms).toHaveLength(6);
+    
+    expect(removeOrganism(added.id)).toBe(true);
+    expect(removeOrganism(added.id)).toBe(false);
+    expect(getPopulationSnapshot().version).toBeGreaterThan(afterAdd.version);
+    expect(getOrganismById(added.id)).toBeNull();
+  });
+  
+  it('copies only the changed organism when its energy is set', () => {
+    const before = getPopulationSnapshot();
+    const { id } = before.organisms[2];
+    
+    expect(setOrganismEnergy(id, 77)).toBe(true);
+    expect(setOrganismEnergy('organism-missing', 77)).toBe(false);
+    
+    const after = getPopulationSnapshot();
+    expect(after.version).toBeGreaterThan(before.version);
+    expect(after.organisms[2].state.energy).toBe(77);
+    expect(before.organisms[2].state.energy).not.toBe(77);
+    expect(after.organisms[0]).toBe(before.organisms[0]);
+    expect(Object.isFrozen(after.organisms[2].state)).toBe(true);
+    expect(getOrganismById(id).state.energy).toBe(77);
+  });
+  
+  it('never lets energy drop below zero', () => {
+    const { id } = getAllOrganisms()[0];
+    setOrganismEnergy(id, -10);
+    expect(getOrganismById(id).state.energy).toBe(0);
+  });
+  
+  it('returns copies from lookups by ID', () => {
+    const { id } = getAllOrganisms()[1];
+    const organism = getOrganismById(id);
+    organism.state.energy = 999;
+    
+    expect(getOrganismById(id).state.energy).not.toBe(999);
+  });
+  
+  it('finds restored organisms by ID', () => {
+    const state = getOrganismState();
+    initializeOrganismSystem();
+    expect(getOrganismById(state.organisms[3].id)).toBeNull();
+    
+    restoreOrganismState(state);
+    expect(getOrganismById(state.organisms[3].id)).toEqual(state.organisms[3]);
+    expect(getAllOrganisms()).toEqual(state.organisms);
+  });
+});
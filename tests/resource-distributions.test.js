@@ -0,0 +1,101 @@
+/**
+ * Checks where each resource distribution places new resources
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CONSTANTS } from '../src/utils/core';
+import { setRandomSeed } from '../src/utils/math-utils';
+import {
+  createResourceDistribution,
+  sampleResourcePosition,
+  updateResourceDistribution
+} from '../src/simulation/resource-distributions';
+
+const WORLD = { width: 800, height: 600 };
+
+/**
+ * Samples many resource positions
+ * @param {Object} distribution - The resource distribution
+ * @param {Object} boundaries - Environment boundaries {width, height}
+ * @param {number} count - Number of positions
+ * @returns {Array<Object>} Positions {x, y}
+ */
+function samplePositions(distribution, boundaries, count = 2000) {
+  return Array.from({ length: count }, () => sampleResourcePosition(distribution, boundaries));
+}
+
+describe('resource distributions', () => {
+  beforeEach(() => {
+    setRandomSeed(12);
+  });
+  
+  it('keeps every type within the world', () => {
+    Object.keys(CONSTANTS.RESOURCE.DISTRIBUTIONS).forEach(type => {
+      const distribution = createResourceDistribution(type);
+      samplePositions(distribution, WORLD, 500).forEach(position => {
+        expect(position.x).toBeGreaterThanOrEqual(0);
+        expect(position.x).toBeLessThanOrEqual(WORLD.width);
+        expect(position.y).toBeGreaterThanOrEqual(0);
+        expect(position.y).toBeLessThanOrEqual(WORLD.height);
+      });
+    });
+  });
+  
+  it('validates types and parameters', () => {
+    expect(() => createResourceDistribution('spiral')).toThrow('Unknown resource distribution');
+    expect(() => createResourceDistribution('patches', { radius: 3 })).toThrow('has no parameter "radius"');
+    expect(() => createResourceDistribution('patches', { spread: -1 })).toThrow('must not be negative');
+    expect(createResourceDistribution('patches', { count: 2.6 }).parameters.count).toBe(3);
+  });
+  
+  it('clusters patch resources around the patch centers', () => {
+    const distribution = createResourceDistribution('patches', { count: 2, spread: 20 });
+    const centers = distribution.state.patches.map(patch => ({
+      x: patch.x * WORLD.width,
+      y: patch.y * WORLD.height
+    }));
+    
+    const near = samplePositions(distribution, WORLD).filter(position => centers.some(center => (
+      Math.hypot(position.x - center.x, position.y - center.y) < 60
+    )));
+    expect(near.length).toBeGreaterThan(1900);
+  });
+  
+  it('spreads patches over the new world size after a resize', () => {
+    const distribution = createResourceDistribution('patches', { count: 4, spread: 10 });
+    const large = { width: 1600, height: 1200 };
+    const centers = distribution.state.patches.map(patch => ({
+      x: patch.x * large.width,
+      y: patch.y * large.height
+    }));
+    
+    samplePositions(distribution, large, 500).forEach(position => {
+      const nearest = Math.min(...centers.map(center => Math.hypot(position.x - center.x, position.y - center.y)));
+      expect(nearest).toBeLessThan(60);
+    });
+  });
+  
+  it('moves patches and bounces them off the walls', () => {
+    const distribution = createResourceDistribution('movingPatches', { count: 3, speed: 200 });
+    const start = distribution.state.patches.map(patch => ({ ...patch }));
+    
+    for (let step = 0; step < 200; step++) {
+      updateResourceDistribution(distribution, WORLD, 0.1);
+      distribution.state.patches.forEach(patch => {
+        expect(patch.x).toBeGreaterThanOrEqual(0);
+        expect(patch.x).toBeLessThanOrEqual(1);
+        expect(patch.y).toBeGreaterThanOrEqual(0);
+        expect(patch.y).toBeLessThanOrEqual(1);
+      });
+    }
+    expect(distribution.state.patches).not.toEqual(start);
+  });
+  
+  it('favors the rich side of a gradient', () => {
+    const distribution = createResourceDistribution('gradient', { angle: 0, minDensity: 0 });
+    const positions = samplePositions(distribution, WORLD);
+    const rich = positions.filter(position => position.x > WORLD.width / 2).length;
+    
+    expect(rich / positions.length).toBeGreaterThan(0.65);
+  });
+});
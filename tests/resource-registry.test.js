@@ -0,0 +1,60 @@
+/**
+ * Checks the resource type registry and weighted type picking
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CONSTANTS } from '../src/utils/core';
+import { setRandomSeed } from '../src/utils/math-utils';
+import { createResourceRegistry, pickResourceType } from '../src/simulation/resource-registry';
+import { initializeHeadless, runFor } from '../src/headless';
+import { getEnvironment } from '../src/simulation/simulation-manager';
+import { getResourceConsumption } from '../src/organism/organism-manager';
+
+describe('resource registry', () => {
+  beforeEach(() => {
+    setRandomSeed(2);
+  });
+  
+  it('starts from the default types and merges overrides per type', () => {
+    const registry = createResourceRegistry({
+      poison: { spawnWeight: 0 },
+      algae: { value: 10, color: '#00FF00', spawnWeight: 0.2, decay: 0, effect: 'nourish' }
+    });
+    
+    expect(Object.keys(registry)).toEqual([...Object.keys(CONSTANTS.RESOURCE.TYPES), 'algae']);
+    expect(registry.poison).toEqual({ ...CONSTANTS.RESOURCE.TYPES.poison, spawnWeight: 0 });
+    expect(CONSTANTS.RESOURCE.TYPES.poison.spawnWeight).toBeGreaterThan(0);
+  });
+  
+  it('rejects incomplete or unusable types', () => {
+    expect(() => createResourceRegistry({ algae: { value: 10 } })).toThrow('non-negative spawnWeight');
+    expect(() => createResourceRegistry({ food: { value: -1 } })).toThrow('non-negative value');
+    expect(() => createResourceRegistry({ food: { effect: 'explode' } })).toThrow('unknown effect');
+    expect(() => createResourceRegistry({
+      food: { spawnWeight: 0 },
+      richFood: { spawnWeight: 0 },
+      poison: { spawnWeight: 0 }
+    })).toThrow('positive spawn weight');
+  });
+  
+  it('picks types in proportion to their spawn weights', () => {
+    const registry = createResourceRegistry({ richFood: { spawnWeight: 0 } });
+    const counts = {};
+    for (let i = 0; i < 4000; i++) {
+      const type = pickResourceType(registry);
+      counts[type] = (counts[type] || 0) + 1;
+    }
+    
+    const { food, poison } = CONSTANTS.RESOURCE.TYPES;
+    expect(counts.richFood).toBeUndefined();
+    expect(counts.poison / 4000).toBeCloseTo(poison.spawnWeight / (food.spawnWeight + poison.spawnWeight), 1);
+  });
+  
+  it('spawns only enabled types in a running world', () => {
+    expect(initializeHeadless({ seed: 6, populationSize: 20, resourceTypes: { poison: { spawnWeight: 0 } } })).toBe(true);
+    runFor(10);
+    
+    expect(getEnvironment().resources.some(resource => resource.type === 'poison')).toBe(false);
+    expect(getResourceConsumption().poison).toBeUndefined();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Checks which organisms each selection strategy picks as parents and culls
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CONSTANTS } from '../src/utils/core';
+import { setRandomSeed } from '../src/utils/math-utils';
+import { selectParents, selectCulls, isContinuousStrategy } from '../src/evolution/selection-schemes';
+
+const THRESHOLD = CONSTANTS.ORGANISM.REPRODUCTION_ENERGY_THRESHOLD;
+
+/**
+ * Scores a population whose fitness rises with the index
+ * @param {number} count - Population size
+ * @param {Function} energyOf - Maps an index to the organism's energy
+ * @returns {Array} The population as {organism, fitness}
+ */
+function createScored(count, energyOf = () => THRESHOLD) {
+  return Array.from({ length: count }, (_, index) => ({
+    organism: { id: `organism-${index}`, state: { energy: energyOf(index) } },
+    fitness: index / count
+  }));
+}
+
+/**
+ * Gets the indexes of chosen organisms
+ * @param {Array} organisms - Chosen organisms
+ * @returns {Array<number>} Sorted indexes
+ */
+function indexesOf(organisms) {
+  return organisms.map(organism => Number(organism.id.split('-')[1])).sort((a, b) => a - b);
+}
+
+describe('selection schemes', () => {
+  beforeEach(() => {
+    setRandomSeed(14);
+  });
+  
+  it('reproduces continuously only under natural and carrying-capacity selection', () => {
+    expect(isContinuousStrategy('natural')).toBe(true);
+    expect(isContinuousStrategy('carrying-capacity')).toBe(true);
+    expect(isContinuousStrategy('tournament')).toBe(false);
+    expect(isContinuousStrategy('breeder')).toBe(false);
+  });
+  
+  it('never picks parents without enough energy', () => {
+    const scored = createScored(20, index => (index % 2 ? THRESHOLD : THRESHOLD - 1));
+    
+    ['natural', 'fitness-proportional', 'tournament', 'truncation'].forEach(strategy => {
+      indexesOf(selectParents(strategy, scored, 0.5)).forEach(index => expect(index % 2).toBe(1));
+    });
+    expect(selectParents('natural', createScored(5, () => 0), 1)).toEqual([]);
+  });
+  
+  it('lets only the fittest share breed under truncation', () => {
+    expect(indexesOf(selectParents('truncation', createScored(20), 1))).toEqual([15, 16, 17, 18, 19]);
+    expect(selectParents('truncation', createScored(20), 0)).toHaveLength(20);
+  });
+  
+  it('favors fitter organisms under fitness-proportional and tournament selection', () => {
+    ['fitness-proportional', 'tournament'].forEach(strategy => {
+      let fitHalf = 0;
+      let unfitHalf = 0;
+      for (let round = 0; round < 50; round++) {
+        indexesOf(selectParents(strategy, createScored(20), 0.5)).forEach(index => {
+          if (index >= 10) fitHalf++;
+          else unfitHalf++;
+        });
+      }
+      expect(fitHalf).toBeGreaterThan(unfitHalf * 2);
+    });
+  });
+  
+  it('culls the least fit share when a truncation cull is due', () => {
+    const scored = createScored(20);
+    
+    expect(selectCulls('truncation', scored, 0.5, false)).toEqual([]);
+    expect(indexesOf(selectCulls('truncation', scored, 0.5, true))).toEqual([0, 1, 2]);
+  });
+  
+  it('culls the excess above the carrying capacity, unfit organisms most often', () => {
+    const capacity = CONSTANTS.EVOLUTION.CARRYING_CAPACITY;
+    
+    expect(selectCulls('carrying-capacity', createScored(capacity), 1, false)).toEqual([]);
+    
+    const culled = indexesOf(selectCulls('carrying-capacity', createScored(capacity + 20), 1, false));
+    expect(culled).toHaveLength(20);
+    expect(new Set(culled).size).toBe(20);
+    expect(culled.filter(index => index < (capacity + 20) / 2).length).toBeGreaterThan(10);
+  });
+  
+  it('picks no culls under natural or breeder selection', () => {
+    expect(selectCulls('natural', createScored(200), 1, true)).toEqual([]);
+    expect(selectCulls('breeder', createScored(200), 1, true)).toEqual([]);
+  });
+});
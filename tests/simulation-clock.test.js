@@ -0,0 +1,44 @@
+/**
+ * Checks the fixed-timestep clock
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CONSTANTS } from '../src/utils/core';
+import { resetClock, advanceClock } from '../src/simulation/simulation-clock';
+
+const { FIXED_TIME_STEP, MAX_FRAME_TIME, MAX_STEPS_PER_FRAME } = CONSTANTS.SIMULATION;
+
+describe('simulation clock', () => {
+  beforeEach(() => {
+    resetClock();
+  });
+  
+  it('runs whole steps and carries the remainder into the interpolation factor', () => {
+    expect(advanceClock(FIXED_TIME_STEP * 2.5, 1)).toEqual({ steps: 2, alpha: expect.closeTo(0.5) });
+    expect(advanceClock(FIXED_TIME_STEP * 0.75, 1)).toEqual({ steps: 1, alpha: expect.closeTo(0.25) });
+  });
+  
+  it('scales elapsed time by the simulation speed', () => {
+    expect(advanceClock(FIXED_TIME_STEP, 3).steps).toBe(3);
+  });
+  
+  it('ignores negative frame times', () => {
+    expect(advanceClock(-1, 1)).toEqual({ steps: 0, alpha: 0 });
+  });
+  
+  it('caps catch-up work after a slow frame but keeps interpolating', () => {
+    // Frame time is clamped before the speed multiplier, so reach the cap through speed
+    const frameTime = FIXED_TIME_STEP * (MAX_STEPS_PER_FRAME + 0.4) / 4;
+    
+    const slow = advanceClock(frameTime, 4);
+    expect(slow.steps).toBe(MAX_STEPS_PER_FRAME);
+    expect(slow.alpha).toBeCloseTo(0.4);
+    
+    // Far more time than the cap covers: at most one step is carried over
+    const stalled = advanceClock(MAX_FRAME_TIME, 20);
+    expect(stalled.steps).toBe(MAX_STEPS_PER_FRAME);
+    expect(stalled.alpha).toBeGreaterThan(0);
+    expect(stalled.alpha).toBeLessThanOrEqual(1);
+    expect(advanceClock(0, 1).steps).toBeLessThanOrEqual(1);
+  });
+});
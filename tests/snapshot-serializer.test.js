@@ -0,0 +1,104 @@
+/**
+ * Checks that snapshots of every version migrate, load and keep runs reproducible
+ * The fixtures in fixtures/ were saved by the application at each snapshot
+ * version; snapshot-v0.json is a plain statistics export.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { SNAPSHOT_VERSION, parseSnapshot } from '../src/simulation/snapshot-serializer';
+import { saveSnapshot, loadSnapshot, getEnvironment } from '../src/simulation/simulation-manager';
+import { initializeHeadless, runFor, exportRun } from '../src/headless';
+import { getAllOrganisms } from '../src/organism/organism-manager';
+
+/**
+ * Reads a snapshot fixture
+ * @param {string} name - Fixture name without extension
+ * @returns {string} The fixture's JSON
+ */
+function readFixture(name) {
+  return readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8');
+}
+
+/**
+ * Exports the current run without wall-clock values
+ * @returns {Object} The exported run
+ */
+function exportComparable() {
+  const { timestamp, ...data } = JSON.parse(exportRun());
+  expect(typeof timestamp).toBe('number');
+  delete data.statistics.runTime;
+  return data;
+}
+
+const FIXTURE_VERSIONS = Array.from({ length: SNAPSHOT_VERSION }, (_, version) => version);
+
+describe('snapshot migrations', () => {
+  it.each(FIXTURE_VERSIONS)('migrates and loads a version %i snapshot', (version) => {
+    const fixture = readFixture(`snapshot-v${version}`);
+    const original = JSON.parse(fixture);
+    const originalOrganisms = version === 0 ? original.organisms : original.organism.organisms;
+    const migrated = parseSnapshot(fixture);
+    
+    expect(migrated.version).toBe(SNAPSHOT_VERSION);
+    expect(migrated.organism.organisms.map(organism => organism.id))
+      .toEqual(originalOrganisms.map(organism => organism.id));
+    
+    expect(loadSnapshot(fixture)).toBe(true);
+    getAllOrganisms().forEach(organism => {
+      expect(organism.genome.brain).toBeDefined();
+      expect(organism.genome.sensors.length).toBeGreaterThan(0);
+      expect(typeof organism.phenotype.elongation).toBe('number');
+    });
+    
+    // The migrated world must keep running and save at the current version
+    runFor(2);
+    expect(JSON.parse(saveSnapshot()).version).toBe(SNAPSHOT_VERSION);
+  });
+  
+  it('converts version 9 patch centers into fractions of the world', () => {
+    const original = JSON.parse(readFixture('snapshot-v9-patches'));
+    const { boundaries } = original.simulation.environment;
+    const migrated = parseSnapshot(original);
+    
+    const patches = migrated.simulation.environment.parameters.resourceDistribution.state.patches;
+    original.simulation.environment.parameters.resourceDistribution.state.patches.forEach((patch, index) => {
+      expect(patches[index].x).toBeCloseTo(patch.x / boundaries.width);
+      expect(patches[index].y).toBeCloseTo(patch.y / boundaries.height);
+      expect(patches[index].vx).toBe(patch.vx);
+    });
+    
+    expect(loadSnapshot(original)).toBe(true);
+    runFor(5);
+    getEnvironment().resources.forEach(resource => {
+      expect(resource.position.x).toBeLessThanOrEqual(boundaries.width);
+      expect(resource.position.y).toBeLessThanOrEqual(boundaries.height);
+    });
+  });
+  
+  it('rejects documents that are not snapshots or are too new', () => {
+    expect(() => parseSnapshot('null')).toThrow('Snapshot must be an object');
+    expect(() => parseSnapshot({ format: 'something-else', version: 1 })).toThrow('Not a simulation snapshot');
+    
+    const newer = { ...JSON.parse(readFixture('snapshot-v1')), version: SNAPSHOT_VERSION + 1 };
+    expect(() => parseSnapshot(newer)).toThrow('newer than supported');
+    expect(loadSnapshot(newer)).toBe(false);
+  });
+});
+
+describe('snapshot round trip', () => {
+  it('continues a loaded run exactly like the original', () => {
+    expect(initializeHeadless({ seed: 19, populationSize: 25, reproductionMode: 'sexual', behaviorMode: 'neural' })).toBe(true);
+    runFor(5);
+    const snapshot = saveSnapshot();
+    
+    runFor(5);
+    const continued = exportComparable();
+    
+    expect(initializeHeadless({ seed: 1, populationSize: 5 })).toBe(true);
+    expect(loadSnapshot(snapshot)).toBe(true);
+    runFor(5);
+    
+    expect(exportComparable()).toEqual(continued);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Checks spatial grid queries against a brute-force search
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setRandomSeed, randomFloat } from '../src/utils/math-utils';
+import {
+  createSpatialGrid,
+  clearSpatialGrid,
+  insertIntoGrid,
+  removeFromGrid,
+  moveInGrid,
+  queryGridRange,
+  findNearestInGrid,
+  getGridSize
+} from '../src/utils/spatial-grid';
+
+/**
+ * Scatters points over an area that extends past the origin, so negative cells are covered too
+ * @param {number} count - Number of points
+ * @returns {Array<Object>} Points {id, x, y}
+ */
+function scatterPoints(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `point-${index}`,
+    x: randomFloat() * 1000 - 100,
+    y: randomFloat() * 800 - 100
+  }));
+}
+
+/**
+ * Finds the IDs of every point strictly within a radius, by checking all of them
+ * @param {Array<Object>} points - Points {id, x, y}
+ * @param {Object} center - Query center {x, y}
+ * @param {number} radius - Query radius
+ * @returns {Array<string>} Sorted IDs
+ */
+function bruteForceRange(points, center, radius) {
+  return points
+    .filter(point => Math.hypot(point.x - center.x, point.y - center.y) < radius)
+    .map(point => point.id)
+    .sort();
+}
+
+describe('spatial grid', () => {
+  let points;
+  let grid;
+  
+  beforeEach(() => {
+    setRandomSeed(17);
+    points = scatterPoints(500);
+    grid = createSpatialGrid(50);
+    points.forEach(point => insertIntoGrid(grid, point.id, point));
+  });
+  
+  it('finds the same entries in range as a brute-force search', () => {
+    [5, 50, 120, 2000].forEach(radius => {
+      for (let query = 0; query < 30; query++) {
+        const center = { x: randomFloat() * 1000 - 100, y: randomFloat() * 800 - 100 };
+        expect(queryGridRange(grid, center, radius).sort()).toEqual(bruteForceRange(points, center, radius));
+      }
+    });
+  });
+  
+  it('finds the same nearest entry as a brute-force search', () => {
+    for (let query = 0; query < 50; query++) {
+      const center = { x: randomFloat() * 1000 - 100, y: randomFloat() * 800 - 100 };
+      const radius = 30 + randomFloat() * 100;
+      const evenOnly = id => Number(id.split('-')[1]) % 2 === 0;
+      
+      const candidates = points.filter(point => evenOnly(point.id));
+      const expected = candidates
+        .map(point => ({ id: point.id, distance: Math.hypot(point.x - center.x, point.y - center.y) }))
+        .filter(({ distance }) => distance < radius)
+        .sort((a, b) => a.distance - b.distance)[0];
+      
+      expect(findNearestInGrid(grid, center, radius, evenOnly)).toBe(expected ? expected.id : null);
+    }
+  });
+  
+  it('stays in step with a brute-force search as entries move and leave', () => {
+    points.slice(0, 200).forEach(point => {
+      point.x = randomFloat() * 1000 - 100;
+      point.y = randomFloat() * 800 - 100;
+      expect(moveInGrid(grid, point.id, point)).toBe(true);
+    });
+    const removed = points.splice(200, 100);
+    removed.forEach(point => expect(removeFromGrid(grid, point.id)).toBe(true));
+    
+    expect(removeFromGrid(grid, removed[0].id)).toBe(false);
+    expect(moveInGrid(grid, removed[0].id, { x: 0, y: 0 })).toBe(false);
+    expect(getGridSize(grid)).toBe(400);
+    
+    for (let query = 0; query < 30; query++) {
+      const center = { x: randomFloat() * 1000 - 100, y: randomFloat() * 800 - 100 };
+      expect(queryGridRange(grid, center, 80).sort()).toEqual(bruteForceRange(points, center, 80));
+    }
+  });
+  
+  it('replaces an entry inserted twice and empties on clear', () => {
+    insertIntoGrid(grid, points[0].id, { x: 5000, y: 5000 }, 'moved');
+    
+    expect(getGridSize(grid)).toBe(500);
+    expect(queryGridRange(grid, { x: 5000, y: 5000 }, 1)).toEqual(['moved']);
+    
+    clearSpatialGrid(grid);
+    expect(getGridSize(grid)).toBe(0);
+    expect(queryGridRange(grid, { x: 400, y: 300 }, 2000)).toEqual([]);
+  });
+});